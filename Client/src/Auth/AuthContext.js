@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+export const AuthContext = createContext({
+    user: null,
+    loading: true,
+    login: async () => {},
+    logout: () => {},
+    hasRole: () => false
+});
+
+export const useAuth = () => useContext(AuthContext);
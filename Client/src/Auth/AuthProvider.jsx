@@ -0,0 +1,74 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AuthContext } from './AuthContext';
+import { API_BASE, AUTH_EXPIRED_EVENT, apiFetch, getToken, setToken, clearToken } from '../api/client';
+
+const AuthProvider = ({ children }) => {
+    const [user, setUser] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    // Restore the session from a stored token
+    useEffect(() => {
+        const loadUser = async () => {
+            if (!getToken()) {
+                setLoading(false);
+                return;
+            }
+
+            try {
+                const response = await apiFetch('/auth/me');
+                if (response.ok) {
+                    const data = await response.json();
+                    setUser(data.user);
+                }
+            } catch (error) {
+                console.error('Failed to restore session:', error);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        loadUser();
+    }, []);
+
+    // Any request that comes back 401 signs the user out
+    useEffect(() => {
+        const handleExpired = () => setUser(null);
+        window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+        return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    }, []);
+
+    const login = useCallback(async (username, password) => {
+        const response = await fetch(`${API_BASE}/auth/login`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ username, password })
+        });
+
+        const data = await response.json().catch(() => ({ error: 'Unknown error' }));
+        if (!response.ok) {
+            throw new Error(data.error || 'Login failed');
+        }
+
+        setToken(data.token);
+        setUser(data.user);
+        return data.user;
+    }, []);
+
+    const logout = useCallback(() => {
+        clearToken();
+        setUser(null);
+    }, []);
+
+    // Mirrors the server's route-level role checks so the UI can hide what the user cannot do
+    const hasRole = useCallback((...roles) => Boolean(user && roles.includes(user.role)), [user]);
+
+    return (
+        <AuthContext.Provider value={{ user, loading, login, logout, hasRole }}>
+            {children}
+        </AuthContext.Provider>
+    );
+};
+
+export default AuthProvider;
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router';
+import { LogIn, Loader, AlertCircle } from 'lucide-react';
+import { useAuth } from './AuthContext';
+
+const Login = () => {
+    const { user, login } = useAuth();
+    const navigate = useNavigate();
+    const location = useLocation();
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const redirectTo = location.state?.from?.pathname || '/';
+
+    if (user) {
+        return <Navigate to={redirectTo} replace />;
+    }
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        setError(null);
+
+        try {
+            setIsSubmitting(true);
+            await login(username.trim(), password);
+            navigate(redirectTo, { replace: true });
+        } catch (loginError) {
+            setError(loginError.message);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-6">
+            <form
+                onSubmit={handleSubmit}
+                className="bg-white rounded-2xl shadow-xl p-8 w-full max-w-md"
+            >
+                <div className="text-center mb-6">
+                    <LogIn className="w-12 h-12 text-indigo-600 mx-auto mb-3" />
+                    <h1 className="text-3xl font-bold text-gray-800">Sign In</h1>
+                    <p className="text-gray-600 mt-1">Log in to manage FCR projects</p>
+                </div>
+
+                {error && (
+                    <div className="mb-4 flex items-center gap-2 bg-red-50 border-l-4 border-red-500 text-red-800 px-4 py-3 rounded">
+                        <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0" />
+                        <span className="text-sm font-medium">{error}</span>
+                    </div>
+                )}
+
+                <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Username</label>
+                    <input
+                        type="text"
+                        value={username}
+                        onChange={(e) => setUsername(e.target.value)}
+                        autoComplete="username"
+                        required
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                    />
+                </div>
+
+                <div className="mb-6">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        autoComplete="current-password"
+                        required
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                    />
+                </div>
+
+                <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-4 rounded-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+                >
+                    {isSubmitting ? (
+                        <>
+                            <Loader className="w-4 h-4 mr-2 animate-spin" />
+                            Signing in...
+                        </>
+                    ) : (
+                        'Sign In'
+                    )}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default Login;
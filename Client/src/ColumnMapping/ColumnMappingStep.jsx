@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Columns, Save, Check, X, Loader, Sparkles } from 'lucide-react';
+import { apiFetch } from '../api/client';
+import { useAuth } from '../Auth/AuthContext';
+import { suggestMapping, isMappingComplete } from '../utils/columnMapping';
+
+const NO_FIELDS = [];
+
+// Assign an upload's columns to the fields an import needs, with suggestions and saved profiles.
+// kind: 'fcr' | 'po' | 'recycled'; optionalFields may stay unmapped; dateFormat is stored with new FCR profiles.
+const ColumnMappingStep = ({ kind, fields, optionalFields = NO_FIELDS, headers, fileName, dateFormat, onApply, onCancel }) => {
+    const [profiles, setProfiles] = useState([]);
+    const [mapping, setMapping] = useState({});
+    const [suggested, setSuggested] = useState({});
+    const [profileId, setProfileId] = useState('');
+    const [profileName, setProfileName] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const { hasRole } = useAuth();
+    const canSave = hasRole('operator', 'admin');
+
+    const suggest = useCallback((availableProfiles) => {
+        const suggestion = suggestMapping(fields, headers, availableProfiles, optionalFields);
+        setMapping(suggestion.mapping);
+        setSuggested(suggestion.mapping);
+        setProfileId(suggestion.profile ? suggestion.profile._id : '');
+        setProfileName(suggestion.profile ? suggestion.profile.name : '');
+    }, [fields, optionalFields, headers]);
+
+    useEffect(() => {
+        const loadProfiles = async () => {
+            let available = [];
+            try {
+                const response = await apiFetch(`/mapping-profiles?kind=${kind}`);
+                if (response.ok) {
+                    available = (await response.json()).profiles;
+                }
+            } catch (error) {
+                console.error('Failed to load mapping profiles:', error);
+            }
+            setProfiles(available);
+            suggest(available);
+        };
+        loadProfiles();
+    }, [kind, suggest]);
+
+    const selectedProfile = profiles.find(profile => profile._id === profileId) || null;
+    const complete = isMappingComplete(fields, mapping);
+
+    const chooseProfile = (id) => {
+        setProfileId(id);
+        const profile = profiles.find(item => item._id === id);
+        if (!profile) {
+            setProfileName('');
+            return;
+        }
+        setProfileName(profile.name);
+        // Columns the profile names but this file lacks stay unmapped
+        setMapping(Object.fromEntries(Object.entries(profile.columns || {}).filter(([, source]) => headers.includes(source))));
+    };
+
+    const saveProfile = async () => {
+        const name = profileName.trim();
+        if (!name) {
+            setError('Enter a profile name');
+            return;
+        }
+
+        // Saving under the selected profile's name updates it; any other name creates a new one
+        const existing = selectedProfile && selectedProfile.name === name ? selectedProfile : null;
+        try {
+            setIsSaving(true);
+            setError(null);
+            const response = await apiFetch(existing ? `/mapping-profiles/${existing._id}` : '/mapping-profiles', {
+                method: existing ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    name,
+                    kind,
+                    columns: mapping,
+                    ...(kind === 'fcr' && dateFormat ? { dateFormat } : {})
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || 'Failed to save profile');
+            }
+
+            const saved = await response.json();
+            setProfiles(prev => [...prev.filter(profile => profile._id !== saved._id), saved]
+                .sort((a, b) => a.name.localeCompare(b.name)));
+            setProfileId(saved._id);
+        } catch (error) {
+            console.error('Error saving mapping profile:', error);
+            setError(error.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="mt-6 rounded-xl border border-indigo-200 bg-indigo-50 p-4 text-left">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-3">
+                <h4 className="text-sm font-semibold text-indigo-900 flex items-center">
+                    <Columns className="w-4 h-4 mr-2" />
+                    Map the columns of {fileName || 'the file'}
+                </h4>
+                <div className="flex items-center gap-2">
+                    <select
+                        value={profileId}
+                        onChange={(e) => chooseProfile(e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                    >
+                        <option value="">No profile</option>
+                        {profiles.map(profile => (
+                            <option key={profile._id} value={profile._id}>{profile.name}</option>
+                        ))}
+                    </select>
+                    <button
+                        onClick={() => suggest(profiles)}
+                        className="p-1 text-indigo-700 hover:text-indigo-900"
+                        title="Suggest again"
+                    >
+                        <Sparkles className="w-4 h-4" />
+                    </button>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-3">
+                {[...fields, ...optionalFields].map(field => (
+                    <label key={field} className="flex items-center justify-between gap-2 bg-white rounded-md px-3 py-2 text-sm">
+                        <span className="font-medium text-gray-700">
+                            {field}
+                            {optionalFields.includes(field) && <span className="ml-1 text-xs font-normal text-gray-500">(optional)</span>}
+                        </span>
+                        <span className="flex items-center gap-1">
+                            {mapping[field] && mapping[field] === suggested[field] && (
+                                <span className="text-xs text-indigo-600" title="Suggested">auto</span>
+                            )}
+                            <select
+                                value={mapping[field] || ''}
+                                onChange={(e) => setMapping(prev => ({ ...prev, [field]: e.target.value }))}
+                                className={`px-2 py-1 border rounded-md text-sm ${mapping[field] || optionalFields.includes(field) ? 'border-gray-300' : 'border-red-400'}`}
+                            >
+                                <option value="">— not mapped —</option>
+                                {headers.map(header => (
+                                    <option key={header} value={header}>{header}</option>
+                                ))}
+                            </select>
+                        </span>
+                    </label>
+                ))}
+            </div>
+
+            {error && <p className="text-sm text-red-700 mb-2">{error}</p>}
+
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+                {canSave ? (
+                    <div className="flex items-center gap-2">
+                        <input
+                            type="text"
+                            value={profileName}
+                            onChange={(e) => setProfileName(e.target.value)}
+                            placeholder="Profile name"
+                            className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                        />
+                        <button
+                            onClick={saveProfile}
+                            disabled={isSaving || !profileName.trim()}
+                            className="px-3 py-1 rounded-md text-sm border border-indigo-600 text-indigo-700 hover:bg-indigo-100 disabled:opacity-50 flex items-center gap-1"
+                        >
+                            {isSaving ? <Loader className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                            {selectedProfile && selectedProfile.name === profileName.trim() ? 'Update profile' : 'Save as profile'}
+                        </button>
+                    </div>
+                ) : <span />}
+                <div className="flex items-center gap-2">
+                    <button
+                        onClick={onCancel}
+                        className="px-3 py-1 rounded-md text-sm text-gray-600 hover:text-gray-900 flex items-center gap-1"
+                    >
+                        <X className="w-4 h-4" />
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => onApply(mapping, selectedProfile)}
+                        disabled={!complete}
+                        className="px-3 py-1 rounded-md text-sm bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-1"
+                        title={complete ? 'Use this mapping' : 'Map every field first'}
+                    >
+                        <Check className="w-4 h-4" />
+                        Use mapping
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ColumnMappingStep;
@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Save, Trash2, Star, Loader, AlertCircle, X } from 'lucide-react';
+import { apiFetch } from '../api/client';
+import { useAuth } from '../Auth/AuthContext';
+import { classifyInvoice, matchLabel } from '../utils/compositionRules';
+import { dayKey, poSetsOn, DEFAULT_PO_SET } from '../utils/recycledPos';
+
+const emptyRule = { _id: null, code: '', description: '', priority: 0, isDefault: false, conditions: [] };
+const emptyCondition = { poSet: DEFAULT_PO_SET, match: 'all' };
+
+// Composition rule table: which code and description each PO processor invoice gets, by PO set membership
+const CompositionRulesPage = () => {
+    const [rules, setRules] = useState([]);
+    const [matchTypes, setMatchTypes] = useState(['all', 'some', 'any', 'none']);
+    const [poSets, setPoSets] = useState([DEFAULT_PO_SET]);
+    const [poEntries, setPoEntries] = useState([]);
+    const [draft, setDraft] = useState(null);
+    const [sample, setSample] = useState({ pos: '', day: dayKey(new Date()) });
+    const [loading, setLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const { hasRole } = useAuth();
+    const isAdmin = hasRole('admin');
+
+    const loadRules = async (selectId) => {
+        try {
+            setLoading(true);
+            const response = await apiFetch('/composition-rules');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            setRules(data.rules);
+            setMatchTypes(data.matchTypes);
+            setPoSets(data.poSets);
+            const selected = data.rules.find(rule => rule._id === selectId) || data.rules[0];
+            setDraft(selected ? { ...selected } : { ...emptyRule });
+        } catch (error) {
+            console.error('Error fetching composition rules:', error);
+            setError(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // The PO sets themselves, only needed for the rule tester
+    const loadPoEntries = async () => {
+        try {
+            const response = await apiFetch('/recycled-pos');
+            if (response.ok) {
+                setPoEntries(await response.json());
+            }
+        } catch (error) {
+            console.error('Error fetching PO sets:', error);
+        }
+    };
+
+    useEffect(() => {
+        loadRules();
+        loadPoEntries();
+    }, []);
+
+    const updateCondition = (conditionIndex, changes) => {
+        setDraft(prev => ({
+            ...prev,
+            conditions: prev.conditions.map((condition, idx) => (idx === conditionIndex ? { ...condition, ...changes } : condition))
+        }));
+    };
+
+    const saveRule = async () => {
+        try {
+            setIsSaving(true);
+            setError(null);
+            const response = await apiFetch(draft._id ? `/composition-rules/${draft._id}` : '/composition-rules', {
+                method: draft._id ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    code: draft.code,
+                    description: draft.description,
+                    priority: draft.priority,
+                    isDefault: draft.isDefault,
+                    conditions: draft.conditions
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || 'Failed to save composition rule');
+            }
+
+            const saved = await response.json();
+            await loadRules(saved._id);
+        } catch (error) {
+            console.error('Error saving composition rule:', error);
+            setError(error.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const deleteRule = async () => {
+        if (!window.confirm(`Delete composition rule ${draft.code}? Invoices it matched will fall back to the default rule.`)) return;
+
+        try {
+            const response = await apiFetch(`/composition-rules/${draft._id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || 'Failed to delete composition rule');
+            }
+            await loadRules();
+        } catch (error) {
+            console.error('Error deleting composition rule:', error);
+            window.alert(`Failed to delete composition rule: ${error.message}`);
+        }
+    };
+
+    if (loading && !draft) {
+        return (
+            <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+            </div>
+        );
+    }
+
+    // Try the sample against the table as it would be after saving the draft
+    const previewTable = [...rules.filter(rule => rule._id !== draft?._id), ...(draft ? [draft] : [])]
+        .map(rule => (draft?.isDefault && rule !== draft ? { ...rule, isDefault: false } : rule))
+        .sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0) || a.code.localeCompare(b.code));
+    const samplePos = sample.pos.split(/[\s,;]+/).filter(Boolean);
+    const sampleResult = samplePos.length > 0 && sample.day
+        ? classifyInvoice(samplePos, previewTable, poSetsOn(poEntries, sample.day))
+        : null;
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Header */}
+                <div className="mb-8 flex items-center justify-between">
+                    <div>
+                        <h1 className="text-4xl font-bold text-gray-900 mb-2">Composition Rules</h1>
+                        <p className="text-gray-600">
+                            Rules are tried from the highest priority down; invoices no rule matches get the default rule
+                        </p>
+                    </div>
+                    {isAdmin && (
+                        <button
+                            onClick={() => setDraft({ ...emptyRule, conditions: [{ ...emptyCondition }] })}
+                            className="bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-4 rounded-lg flex items-center gap-2"
+                        >
+                            <Plus className="w-4 h-4" />
+                            New Rule
+                        </button>
+                    )}
+                </div>
+
+                {error && (
+                    <div className="mb-6 flex items-center gap-2 bg-red-50 border-l-4 border-red-500 text-red-800 px-4 py-3 rounded">
+                        <AlertCircle className="w-5 h-5 text-red-500" />
+                        <span className="text-sm font-medium">{error}</span>
+                    </div>
+                )}
+
+                <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+                    {/* Rule list */}
+                    <div className="bg-white rounded-xl shadow-lg p-4 space-y-2">
+                        {rules.map(rule => (
+                            <button
+                                key={rule._id}
+                                onClick={() => setDraft({ ...rule })}
+                                className={`w-full text-left p-3 rounded-lg border transition-colors ${draft?._id === rule._id
+                                    ? 'border-indigo-500 bg-indigo-50'
+                                    : 'border-gray-200 hover:bg-gray-50'
+                                    }`}
+                            >
+                                <p className="font-medium text-sm text-gray-800 flex items-center gap-1">
+                                    {rule.isDefault && <Star className="w-3 h-3 text-yellow-500 fill-yellow-500" />}
+                                    {rule.code}
+                                    <span className="ml-auto text-xs text-gray-400">priority {rule.priority}</span>
+                                </p>
+                                <p className="text-xs text-gray-500 truncate">{rule.description}</p>
+                            </button>
+                        ))}
+                    </div>
+
+                    {/* Editor */}
+                    {draft && (
+                        <div className="lg:col-span-3 space-y-6">
+                            <div className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-2">Composition Code</label>
+                                        <input
+                                            type="text"
+                                            value={draft.code}
+                                            onChange={(e) => setDraft(prev => ({ ...prev, code: e.target.value }))}
+                                            disabled={!isAdmin}
+                                            placeholder="RECYCLED-70-30"
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-2">Priority</label>
+                                        <input
+                                            type="number"
+                                            value={draft.priority}
+                                            onChange={(e) => setDraft(prev => ({ ...prev, priority: e.target.value }))}
+                                            disabled={!isAdmin}
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                                        />
+                                    </div>
+                                </div>
+
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Description (written to the PO output and the FCR)</label>
+                                    <textarea
+                                        value={draft.description}
+                                        onChange={(e) => setDraft(prev => ({ ...prev, description: e.target.value }))}
+                                        disabled={!isAdmin}
+                                        rows={2}
+                                        placeholder="70% PORCELAIN, 30% RECYCLED PRE-CONSUMER PORCELAIN"
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                                    />
+                                </div>
+
+                                {/* Conditions */}
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Conditions (all must hold)</label>
+                                    <div className="space-y-2">
+                                        {draft.conditions.length === 0 && (
+                                            <p className="text-sm text-gray-500">No conditions: this rule is only used as the default.</p>
+                                        )}
+                                        {draft.conditions.map((condition, idx) => (
+                                            <div key={idx} className="flex items-center gap-2">
+                                                <select
+                                                    value={condition.match}
+                                                    onChange={(e) => updateCondition(idx, { match: e.target.value })}
+                                                    disabled={!isAdmin}
+                                                    className="px-2 py-2 border border-gray-300 rounded-md text-sm disabled:bg-gray-50"
+                                                >
+                                                    {matchTypes.map(type => <option key={type} value={type}>{matchLabel(type)}</option>)}
+                                                </select>
+                                                <input
+                                                    type="text"
+                                                    list="composition-po-sets"
+                                                    value={condition.poSet}
+                                                    onChange={(e) => updateCondition(idx, { poSet: e.target.value })}
+                                                    disabled={!isAdmin}
+                                                    placeholder="PO set"
+                                                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                                                />
+                                                {isAdmin && (
+                                                    <button
+                                                        onClick={() => setDraft(prev => ({ ...prev, conditions: prev.conditions.filter((_, conditionIdx) => conditionIdx !== idx) }))}
+                                                        className="p-2 text-gray-500 hover:text-red-600"
+                                                        title="Remove condition"
+                                                    >
+                                                        <X className="w-4 h-4" />
+                                                    </button>
+                                                )}
+                                            </div>
+                                        ))}
+                                        <datalist id="composition-po-sets">
+                                            {poSets.map(name => <option key={name} value={name} />)}
+                                        </datalist>
+                                    </div>
+                                    {isAdmin && (
+                                        <button
+                                            onClick={() => setDraft(prev => ({ ...prev, conditions: [...prev.conditions, { ...emptyCondition }] }))}
+                                            className="mt-2 text-sm text-indigo-600 hover:text-indigo-800 flex items-center gap-1"
+                                        >
+                                            <Plus className="w-4 h-4" />
+                                            Add condition
+                                        </button>
+                                    )}
+                                </div>
+
+                                {isAdmin && (
+                                    <div className="flex items-center gap-3">
+                                        <label className="flex items-center gap-2 text-sm text-gray-700 flex-1">
+                                            <input
+                                                type="checkbox"
+                                                checked={draft.isDefault}
+                                                onChange={(e) => setDraft(prev => ({ ...prev, isDefault: e.target.checked }))}
+                                            />
+                                            Default for invoices no rule matches
+                                        </label>
+                                        {draft._id && (
+                                            <button
+                                                onClick={deleteRule}
+                                                className="p-2 text-gray-500 hover:text-red-600"
+                                                title="Delete rule"
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        )}
+                                        <button
+                                            onClick={saveRule}
+                                            disabled={isSaving}
+                                            className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+                                        >
+                                            {isSaving ? <Loader className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                                            {draft._id ? 'Save Rule' : 'Create Rule'}
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
+
+                            {/* Rule tester */}
+                            <div className="bg-white rounded-xl shadow-lg p-6">
+                                <h3 className="text-lg font-semibold text-gray-800 mb-4">Try an invoice</h3>
+                                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                                    <input
+                                        type="text"
+                                        value={sample.pos}
+                                        onChange={(e) => setSample(prev => ({ ...prev, pos: e.target.value }))}
+                                        placeholder="PO numbers, e.g. 4500123, 4500124"
+                                        className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-md font-mono focus:ring-2 focus:ring-blue-500"
+                                    />
+                                    <input
+                                        type="date"
+                                        value={sample.day}
+                                        onChange={(e) => setSample(prev => ({ ...prev, day: e.target.value }))}
+                                        className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                                    />
+                                </div>
+                                {sampleResult && (
+                                    <div className={`text-sm ${sampleResult.matched ? 'text-green-700' : 'text-yellow-700'}`}>
+                                        <p>
+                                            <span className="font-mono font-bold">{sampleResult.rule ? sampleResult.rule.code : '(none)'}</span> — {sampleResult.reason}
+                                        </p>
+                                        {sampleResult.rule && <p className="mt-1 font-mono text-gray-700">{sampleResult.rule.description}</p>}
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CompositionRulesPage;
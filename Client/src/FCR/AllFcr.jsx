@@ -1,11 +1,153 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { Search, Loader, Check, AlertCircle } from 'lucide-react';
+import { Link } from 'react-router';
+import { apiFetch } from '../api/client';
 
+const SEARCH_FIELDS = [
+    { value: 'all', label: 'All fields' },
+    { value: 'invoiceNo', label: 'Invoice No' },
+    { value: 'poNumbers', label: 'PO Number' },
+    { value: 'lcContact', label: 'LC Contact' },
+    { value: 'expNo', label: 'EXP No (AD/Serial/Year)' }
+];
+
+// Cross-project lookup of invoice, PO, LC and EXP numbers
 const AllFcr = () => {
+    const [query, setQuery] = useState('');
+    const [field, setField] = useState('all');
+    const [results, setResults] = useState(null);
+    const [isSearching, setIsSearching] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSearch = async (event) => {
+        event.preventDefault();
+        if (query.trim().length < 2) {
+            setError('Enter at least 2 characters to search');
+            return;
+        }
+
+        try {
+            setIsSearching(true);
+            setError(null);
+            const params = new URLSearchParams({ q: query.trim(), field });
+            const response = await apiFetch(`/projects/search?${params}`);
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || 'Search failed');
+            }
+
+            setResults(await response.json());
+        } catch (error) {
+            console.error('Error searching FCR boxes:', error);
+            setError(error.message);
+            setResults(null);
+        } finally {
+            setIsSearching(false);
+        }
+    };
+
     return (
-        <div>
-            <h1>All FCR Page</h1>
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Header */}
+                <div className="mb-8">
+                    <h1 className="text-4xl font-bold text-gray-900 mb-2">FCR Lookup</h1>
+                    <p className="text-gray-600">Find an invoice, PO, LC or EXP number across every project</p>
+                </div>
+
+                {/* Search form */}
+                <form onSubmit={handleSearch} className="bg-white rounded-xl shadow-lg p-6 mb-8 flex flex-col md:flex-row gap-4 items-center">
+                    <div className="flex items-center gap-2 flex-1 w-full">
+                        <Search className="w-5 h-5 text-gray-400" />
+                        <input
+                            type="text"
+                            value={query}
+                            onChange={(e) => setQuery(e.target.value)}
+                            placeholder="e.g. 1234, PO-001, LC-100 or 12345/000001/2024"
+                            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                    </div>
+                    <select
+                        value={field}
+                        onChange={(e) => setField(e.target.value)}
+                        className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                    >
+                        {SEARCH_FIELDS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                    <button
+                        type="submit"
+                        disabled={isSearching}
+                        className="bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-6 rounded-lg disabled:opacity-50 flex items-center gap-2"
+                    >
+                        {isSearching ? <Loader className="w-4 h-4 animate-spin" /> : <Search className="w-4 h-4" />}
+                        Search
+                    </button>
+                </form>
+
+                {error && (
+                    <div className="mb-6 flex items-center gap-2 bg-red-50 border-l-4 border-red-500 text-red-800 px-4 py-3 rounded">
+                        <AlertCircle className="w-5 h-5 text-red-500" />
+                        <span className="text-sm font-medium">{error}</span>
+                    </div>
+                )}
+
+                {/* Results */}
+                {results && (
+                    <div className="bg-white rounded-xl shadow-lg p-6">
+                        <h3 className="text-lg font-semibold text-gray-800 mb-4">
+                            {results.length} matching box{results.length === 1 ? '' : 'es'}
+                            {results.length === 200 && ' (showing the first 200)'}
+                        </h3>
+                        {results.length > 0 && (
+                            <div className="overflow-x-auto">
+                                <table className="min-w-full bg-white rounded-lg overflow-hidden">
+                                    <thead className="bg-gray-100">
+                                        <tr>
+                                            {['Project', 'Year', 'Box', 'Invoice No', 'PO Numbers', 'EXP No', 'LC Contact', 'Status'].map(header => (
+                                                <th key={header} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                                    {header}
+                                                </th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-200">
+                                        {results.map(result => (
+                                            <tr key={`${result.projectId}-${result.boxId}`} className="hover:bg-gray-50">
+                                                <td className="px-4 py-3 text-sm text-indigo-700 font-medium">
+                                                    <Link to={`/project/${result.projectId}`}>{result.projectName}</Link>
+                                                    {result.isArchived && <span className="ml-2 text-xs text-gray-400">(archived)</span>}
+                                                </td>
+                                                <td className="px-4 py-3 text-sm text-gray-900">{result.year}</td>
+                                                <td className="px-4 py-3 text-sm text-gray-900">#{result.index}</td>
+                                                <td className="px-4 py-3 text-sm text-gray-900">{result.invoiceNo}</td>
+                                                <td className="px-4 py-3 text-sm text-gray-900 max-w-xs truncate">{result.poNumbers}</td>
+                                                <td className="px-4 py-3 text-sm text-gray-900">{result.expNo}</td>
+                                                <td className="px-4 py-3 text-sm text-gray-900">{result.lcContact}</td>
+                                                <td className="px-4 py-3 text-sm">
+                                                    {result.isCopied ? (
+                                                        <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                                                            <Check className="w-3 h-3" /> Copied
+                                                        </span>
+                                                    ) : (
+                                                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                                                            Not copied
+                                                        </span>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
         </div>
     );
 };
 
-export default AllFcr;
\ No newline at end of file
+export default AllFcr;
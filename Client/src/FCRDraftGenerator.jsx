@@ -1,6 +1,30 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { Upload, Download, Search, X, RotateCcw, Save, Eye, FileText, AlertCircle, CheckCircle, Loader, Database, Copy, Check, Calendar } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { Upload, Download, Search, X, RotateCcw, Save, Eye, FileText, AlertCircle, CheckCircle, Loader, Database, Copy, Check, Calendar, History, Trash2, CloudOff } from 'lucide-react';
 import Papa from 'papaparse';
+import { apiFetch } from './api/client';
+import { useAuth } from './Auth/AuthContext';
+import { useBlocker } from 'react-router';
+import { mergeCopiedBoxes, sameCopyStatus } from './utils/copyStatus';
+import { renderFcrTemplate, FALLBACK_TEMPLATE_BODY } from './utils/fcrTemplate';
+import { classifyRow, FALLBACK_HS_CODE } from './utils/hsCodes';
+import { countryLookup, checkCountry } from './utils/countries';
+import { REQUIRED_COLUMNS, DATE_COLUMNS, validateFcrRows } from './utils/fcrValidation';
+import { isSpreadsheetFile, readWorkbook, sheetRows, pickSheet } from './utils/spreadsheet';
+import { headersMatch, applyMapping } from './utils/columnMapping';
+import ColumnMappingStep from './ColumnMapping/ColumnMappingStep';
+import { PO_OUTPUT_COLUMNS, loadPoOutput, clearPoOutput, joinPoOutput } from './utils/poPipeline';
+import {
+    DATE_FORMATS, dateFormatLabel, detectDateFormat, countAmbiguousDates, formatDateValue,
+    rememberedDateFormat, rememberDateFormat
+} from './utils/dateFormats';
+import { draftSessionKey, saveDraftSession, discardDraftSession, listDraftSessions } from './utils/draftSessions';
+
+// With PO processor output attached, the EXP register only needs the remaining columns
+const REGISTER_COLUMNS = REQUIRED_COLUMNS.filter(column => !PO_OUTPUT_COLUMNS.includes(column));
+
+// Autosave waits for a pause in ticking, then backs off exponentially while the server fails
+const AUTOSAVE_DELAY_MS = 2000;
+const AUTOSAVE_MAX_DELAY_MS = 60000;
 
 const FCRDraftGenerator = () => {
     const [inputData, setInputData] = useState(null);
@@ -18,20 +42,76 @@ const FCRDraftGenerator = () => {
     const [savedProjects, setSavedProjects] = useState([]);
     const [currentProject, setCurrentProject] = useState(null);
     const [notification, setNotification] = useState(null);
+    const [sessionHistory, setSessionHistory] = useState([]);
+    const [sourceFileName, setSourceFileName] = useState('');
+    const [recoverableSessions, setRecoverableSessions] = useState(() => listDraftSessions());
+    const [templates, setTemplates] = useState([]);
+    const [selectedTemplateId, setSelectedTemplateId] = useState(null);
+    const [hsCodes, setHsCodes] = useState([]);
+    const [unclassifiedRows, setUnclassifiedRows] = useState([]);
+    const [countries, setCountries] = useState({ lookup: new Map(), corrections: {} });
+    const [unknownCountryRows, setUnknownCountryRows] = useState([]);
+    const [continueDespiteIssues, setContinueDespiteIssues] = useState(false);
+    const [issueFilter, setIssueFilter] = useState({ text: '', severity: 'all', column: 'all' });
+    const [dateFormat, setDateFormat] = useState(() => rememberedDateFormat());
+    const [sheetNames, setSheetNames] = useState([]);
+    const [selectedSheet, setSelectedSheet] = useState(null);
+    // Upload whose headers need mapping to the FCR columns: { rows, headers, fileName }
+    const [pendingImport, setPendingImport] = useState(null);
+    const [activeProfile, setActiveProfile] = useState(null);
+    // POProcessor output waiting to be joined with an EXP register, and the result of the last join
+    const [poOutput, setPoOutput] = useState(() => loadPoOutput());
+    const [joinReport, setJoinReport] = useState(null);
+    const [isAutosaving, setIsAutosaving] = useState(false);
+    // Copy / uncopy / reset requests recordCopyEvent has sent and not heard back from yet
+    const [copyWritesInFlight, setCopyWritesInFlight] = useState(0);
+    const [autosaveAttempt, setAutosaveAttempt] = useState(0);
     const searchInputRef = useRef(null);
-
-    // API endpoints - adjust these to match your backend URL
-    const API_BASE = 'https://demco-fcr-server.vercel.app/api';
-
-    // Required columns for FCR data
-    const requiredColumns = [
-        'EXP Serial', 'Invoice Date', 'Entry Date', 'Date of Contact',
-        'Description', 'PO Numbers', 'Invoice No', 'AD Code', 'EXP Year',
-        'Lc Contact', 'Country short code', 'Goods'
-    ];
+    const draftKeyRef = useRef(null);
+    // Last uploaded workbook, kept so another sheet can be picked without re-uploading
+    const workbookRef = useRef(null);
+    const { hasRole } = useAuth();
+
+    // Viewers can browse and export; operators save and tick boxes; only admins change saved row data
+    const canEdit = hasRole('operator', 'admin');
+    const isAdmin = hasRole('admin');
+
+    const selectedTemplate = templates.find(template => template._id === selectedTemplateId);
+    const templateBody = selectedTemplate ? selectedTemplate.body : FALLBACK_TEMPLATE_BODY;
+    const countryFormat = selectedTemplate?.countryFormat || 'code';
+    // The template is part of a saved project's row data, so only admins may switch it there
+    const canChangeTemplate = !currentProject || isAdmin;
+
+    // A loaded project has unsaved changes while the local copy status differs from the last
+    // state the server confirmed (currentProject.copiedBoxes is kept in step with every write)
+    const hasUnsavedChanges = Boolean(currentProject) && canEdit && !sameCopyStatus(copiedBoxes, currentProject.copiedBoxes);
+
+    // Every date cell of the upload, for format detection
+    const dateValues = useMemo(
+        () => (inputData || []).flatMap(row => DATE_COLUMNS.map(column => row[column])),
+        [inputData]
+    );
+    const detectedDateFormat = useMemo(() => detectDateFormat(dateValues), [dateValues]);
+    const ambiguousDateCount = useMemo(() => countAmbiguousDates(dateValues), [dateValues]);
+    const effectiveDateFormat = dateFormat === 'auto' ? detectedDateFormat.format : dateFormat;
+
+    // Row-level problems in the uploaded file; errors block processing until the operator chooses to continue
+    const validationIssues = useMemo(
+        () => (inputData ? validateFcrRows(inputData, { projectYear, dateFormat: effectiveDateFormat }) : []),
+        [inputData, projectYear, effectiveDateFormat]
+    );
+    const validationErrorCount = validationIssues.filter(issue => issue.severity === 'error').length;
+    const processingBlocked = validationErrorCount > 0 && !continueDespiteIssues;
+    const issueColumns = [...new Set(validationIssues.map(issue => issue.column))];
+    const filteredIssues = validationIssues.filter(issue => {
+        if (issueFilter.severity !== 'all' && issue.severity !== issueFilter.severity) return false;
+        if (issueFilter.column !== 'all' && issue.column !== issueFilter.column) return false;
+        const text = issueFilter.text.trim().toLowerCase();
+        return !text || `${issue.row} ${issue.invoiceNo} ${issue.column} ${issue.message}`.toLowerCase().includes(text);
+    });
 
     // Notification system (SweetAlert-like)
-    const showNotification = (message, type = 'info', duration = 5000) => {
+    const showNotification = useCallback((message, type = 'info', duration = 5000) => {
         const id = Date.now();
         const newNotification = { id, message, type };
         setNotification(newNotification);
@@ -39,7 +119,7 @@ const FCRDraftGenerator = () => {
         setTimeout(() => {
             setNotification(null);
         }, duration);
-    };
+    }, []);
 
     const addLog = useCallback((message, type = 'info') => {
         const timestamp = new Date().toLocaleTimeString();
@@ -56,18 +136,32 @@ const FCRDraftGenerator = () => {
         }
     };
 
-    const formatDate = (dateStr) => {
+    const formatDate = (dateStr) => formatDateValue(dateStr, effectiveDateFormat);
+
+    // Remembered in the mapping profile the file was read with, else for the standard layout
+    const changeDateFormat = async (format) => {
+        setDateFormat(format);
+        addLog(`Date format set to ${dateFormatLabel(format)}`, 'info');
+        if (!activeProfile || !canEdit) {
+            rememberDateFormat('standard', format);
+            return;
+        }
+
         try {
-            if (!dateStr || dateStr === '') return '';
-            const date = new Date(dateStr);
-            if (isNaN(date.getTime())) return String(dateStr);
-
-            const day = date.getDate().toString().padStart(2, '0');
-            const month = (date.getMonth() + 1).toString().padStart(2, '0');
-            const year = date.getFullYear();
-            return `${day}-${month}-${year}`;
-        } catch {
-            return String(dateStr || '');
+            const response = await apiFetch(`/mapping-profiles/${activeProfile._id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ dateFormat: format })
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || 'Failed to update profile');
+            }
+            setActiveProfile(await response.json());
+        } catch (error) {
+            addLog(`Could not remember the date format in profile "${activeProfile.name}": ${error.message}`, 'error');
         }
     };
 
@@ -83,10 +177,10 @@ const FCRDraftGenerator = () => {
     };
 
     // Load saved projects from MongoDB
-    const loadProjects = async () => {
+    const loadProjects = useCallback(async () => {
         try {
             setIsLoading(true);
-            const response = await fetch(`${API_BASE}/projects`);
+            const response = await apiFetch('/projects');
             if (response.ok) {
                 const projects = await response.json();
                 setSavedProjects(projects);
@@ -97,6 +191,72 @@ const FCRDraftGenerator = () => {
         } finally {
             setIsLoading(false);
         }
+    }, [addLog, showNotification]);
+
+    // Load the box text templates; start with the default one unless a project chose another
+    const loadTemplates = useCallback(async () => {
+        try {
+            const response = await apiFetch('/templates');
+            if (response.ok) {
+                const data = await response.json();
+                setTemplates(data.templates);
+                const defaultTemplate = data.templates.find(template => template.isDefault) || data.templates[0];
+                setSelectedTemplateId(prev => prev || defaultTemplate?._id || null);
+            }
+        } catch {
+            addLog('Failed to load templates, using the standard layout', 'error');
+        }
+    }, [addLog]);
+
+    // HS code table used by processData, highest priority first
+    const loadHsCodes = useCallback(async () => {
+        try {
+            const response = await apiFetch('/hs-codes');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            setHsCodes((await response.json()).hsCodes);
+        } catch {
+            const errorMsg = `Failed to load HS codes; rows get ${FALLBACK_HS_CODE} until the page is reloaded`;
+            addLog(errorMsg, 'error');
+            showNotification(errorMsg, 'error');
+        }
+    }, [addLog, showNotification]);
+
+    // ISO 3166 table used by processData to validate country codes
+    const loadCountries = useCallback(async () => {
+        try {
+            const response = await apiFetch('/countries');
+            if (response.ok) {
+                const data = await response.json();
+                setCountries({ lookup: countryLookup(data.countries), corrections: data.corrections || {} });
+            }
+        } catch {
+            addLog('Failed to load countries; country codes will not be checked', 'error');
+        }
+    }, [addLog]);
+
+    // Re-render every box with another template; the row fields are all the template needs
+    const changeTemplate = (templateId) => {
+        setSelectedTemplateId(templateId);
+        const template = templates.find(item => item._id === templateId);
+        if (template && processedData) {
+            // Rows saved before HS codes or country names were looked up get them now
+            setProcessedData(prev => prev.map(row => {
+                const classified = { ...row };
+                if (classified.hsCode === undefined) {
+                    classified.hsCode = classifyRow(row, hsCodes).hsCode;
+                }
+                if (classified.countryName === undefined) {
+                    classified.countryName = checkCountry(classified.countryCode, countries.lookup).countryName;
+                }
+                return {
+                    ...classified,
+                    formattedText: renderFcrTemplate(template.body, classified, { countryFormat: template.countryFormat })
+                };
+            }));
+            addLog(`Applied template "${template.name}" to ${processedData.length} boxes`, 'info');
+        }
     };
 
     // Save project to MongoDB
@@ -115,11 +275,14 @@ const FCRDraftGenerator = () => {
                 year: parseInt(projectYear), // Ensure year is saved as number
                 processedData,
                 copiedBoxes,
+                template: selectedTemplateId,
+                copyHistory: sessionHistory,
+                source: 'draft-generator',
                 createdAt: new Date(),
                 updatedAt: new Date()
             };
 
-            const response = await fetch(`${API_BASE}/projects`, {
+            const response = await apiFetch('/projects', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -130,6 +293,8 @@ const FCRDraftGenerator = () => {
             if (response.ok) {
                 const savedProject = await response.json();
                 setCurrentProject(savedProject);
+                setSessionHistory([]);
+                forgetDraftSession();
                 const successMsg = `Project "${projectName}" (${projectYear}) saved successfully!`;
                 addLog(successMsg, 'success');
                 showNotification(successMsg, 'success');
@@ -147,7 +312,8 @@ const FCRDraftGenerator = () => {
         }
     };
 
-    // Update project in MongoDB
+    // Update project in MongoDB. The version loaded with the project is sent as If-Match, so a
+    // save over someone else's newer changes gets a 409 instead of silently replacing them.
     const updateProject = async () => {
         if (!currentProject) {
             await saveProjectToMongoDB();
@@ -156,22 +322,47 @@ const FCRDraftGenerator = () => {
 
         try {
             setIsSaving(true);
-            const updateData = {
-                name: projectName.trim(),
-                year: parseInt(projectYear), // Ensure year is saved as number
-                processedData,
-                copiedBoxes,
-                updatedAt: new Date()
-            };
+            const updateData = isAdmin
+                ? {
+                    name: projectName.trim(),
+                    year: parseInt(projectYear), // Ensure year is saved as number
+                    processedData,
+                    copiedBoxes,
+                    template: selectedTemplateId,
+                    updatedAt: new Date()
+                }
+                : { copiedBoxes };
 
-            const response = await fetch(`${API_BASE}/projects/${currentProject._id}`, {
+            const putProject = (data, version) => apiFetch(`/projects/${currentProject._id}`, {
                 method: 'PUT',
                 headers: {
                     'Content-Type': 'application/json',
+                    ...(version !== undefined && { 'If-Match': `"${version}"` })
                 },
-                body: JSON.stringify(updateData)
+                body: JSON.stringify(data)
             });
 
+            let response = await putProject(updateData, currentProject.version);
+
+            if (response.status === 409) {
+                const { current } = await response.json();
+                const merged = mergeCopiedBoxes(currentProject.copiedBoxes, copiedBoxes, current.copiedBoxes);
+                addLog(`Save conflict: project changed on the server (version ${current.version})`, 'info');
+
+                const mergeMessage = isAdmin
+                    ? 'merge the copy status of both and save again (your row data and name replace theirs)'
+                    : 'merge the copy status of both and save again';
+                if (!window.confirm(`"${current.name}" was changed by someone else since you loaded it.\n\nOK: ${mergeMessage}.\nCancel: discard your changes and load their version.`)) {
+                    showProject(current);
+                    showNotification(`Loaded the latest version of "${current.name}"`, 'info');
+                    return;
+                }
+
+                setCopiedBoxes(merged);
+                response = await putProject({ ...updateData, copiedBoxes: merged }, current.version);
+                addLog(`Merged copy status: ${Object.keys(merged).length} boxes copied`, 'info');
+            }
+
             if (response.ok) {
                 const updatedProject = await response.json();
                 setCurrentProject(updatedProject);
@@ -192,10 +383,370 @@ const FCRDraftGenerator = () => {
         }
     };
 
+    // Record a copy / uncopy / reset in the project's audit trail. Loaded projects are updated
+    // right away; for a new session the events are kept and sent along with the first save.
+    const recordCopyEvent = async (action, boxId) => {
+        if (!currentProject) {
+            setSessionHistory(prev => [...prev, { action, boxId, at: new Date().toISOString() }]);
+            return;
+        }
+
+        setCopyWritesInFlight(prev => prev + 1);
+        try {
+            const response = action === 'reset'
+                ? await apiFetch(`/projects/${currentProject._id}/reset-copy-status`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ source: 'draft-generator' })
+                })
+                : await apiFetch(`/projects/${currentProject._id}/copy-status`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ boxId, isCopied: action === 'copy', source: 'draft-generator' })
+                });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || 'Request failed');
+            }
+
+            // Keep the save precondition and merge base in step with our own writes. The version only
+            // advances when no one else wrote in between, so their changes still surface on the next save.
+            const result = await response.json();
+            setCurrentProject(prev => prev && ({
+                ...prev,
+                version: result.version === (prev.version || 0) + 1 ? result.version : prev.version,
+                copiedBoxes: action === 'reset' ? {} : { ...prev.copiedBoxes, [boxId]: action === 'copy' }
+            }));
+        } catch (error) {
+            addLog(`Failed to record ${action} on server: ${error.message}`, 'error');
+        } finally {
+            setCopyWritesInFlight(prev => prev - 1);
+        }
+    };
+
+    // Copy status only: admins' row and name edits still go through the Update Project button.
+    // Each box that differs from the server is replayed through /copy-status, so autosaved ticks land
+    // in the copy history and no revision snapshot is stored for them.
+    const autosaveCopyStatus = useCallback(async () => {
+        const saved = currentProject.copiedBoxes || {};
+        const changed = [...new Set([...Object.keys(saved), ...Object.keys(copiedBoxes)])]
+            .filter(boxId => !!saved[boxId] !== !!copiedBoxes[boxId]);
+
+        try {
+            setIsAutosaving(true);
+            for (const boxId of changed) {
+                const isCopied = !!copiedBoxes[boxId];
+                const response = await apiFetch(`/projects/${currentProject._id}/copy-status`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ boxId, isCopied, source: 'draft-generator' })
+                });
+
+                if (!response.ok) {
+                    const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                    throw new Error(errorData.error || 'Failed to save copy status');
+                }
+
+                // Same bookkeeping as recordCopyEvent: only our own write advances the version
+                const result = await response.json();
+                setCurrentProject(prev => prev && ({
+                    ...prev,
+                    version: result.version === (prev.version || 0) + 1 ? result.version : prev.version,
+                    copiedBoxes: { ...prev.copiedBoxes, [boxId]: isCopied }
+                }));
+            }
+            setAutosaveAttempt(0);
+        } catch (error) {
+            addLog(`Autosave failed: ${error.message}`, 'error');
+            setAutosaveAttempt(prev => prev + 1);
+        } finally {
+            setIsAutosaving(false);
+        }
+    }, [currentProject, copiedBoxes, addLog]);
+
+    const autosaveDelay = autosaveAttempt === 0
+        ? AUTOSAVE_DELAY_MS
+        : Math.min(AUTOSAVE_DELAY_MS * 2 ** autosaveAttempt, AUTOSAVE_MAX_DELAY_MS);
+
+    // Every tick restarts the timer; a failed save schedules the next attempt further out
+    useEffect(() => {
+        // Changes still on their way through recordCopyEvent would be sent twice; whatever they
+        // leave unconfirmed is picked up once they have all finished
+        if (!hasUnsavedChanges || isAutosaving || copyWritesInFlight > 0) return;
+
+        const timer = setTimeout(autosaveCopyStatus, autosaveDelay);
+        return () => clearTimeout(timer);
+    }, [hasUnsavedChanges, isAutosaving, copyWritesInFlight, autosaveCopyStatus, autosaveDelay]);
+
+    // Warn before leaving with changes the server has not confirmed yet, both for in-app
+    // navigation and for closing or reloading the tab. Unsaved new sessions are kept locally.
+    const blocker = useBlocker(({ currentLocation, nextLocation }) =>
+        (hasUnsavedChanges || isAutosaving) && currentLocation.pathname !== nextLocation.pathname
+    );
+
+    useEffect(() => {
+        if (blocker.state !== 'blocked') return;
+        if (window.confirm('Some copy status changes have not been saved to the server yet. Leave anyway?')) {
+            blocker.proceed();
+        } else {
+            blocker.reset();
+        }
+    }, [blocker]);
+
+    useEffect(() => {
+        if (!hasUnsavedChanges && !isAutosaving) return;
+
+        const warnBeforeUnload = (event) => {
+            event.preventDefault();
+            event.returnValue = '';
+        };
+        window.addEventListener('beforeunload', warnBeforeUnload);
+        return () => window.removeEventListener('beforeunload', warnBeforeUnload);
+    }, [hasUnsavedChanges, isAutosaving]);
+
+    // Show a full project document (GET /projects/:id, or the current state sent with a 409).
+    // Its copiedBoxes and version become the base for copy-status writes and conflict merges.
+    const showProject = (project) => {
+        draftKeyRef.current = null;
+        setCurrentProject(project);
+        setSessionHistory([]);
+        setProjectName(project.name);
+        setProjectYear(project.year.toString());
+        setProcessedData(project.processedData || []);
+        setCopiedBoxes(project.copiedBoxes || {});
+        setUnclassifiedRows([]);
+        setUnknownCountryRows([]);
+        if (project.template) {
+            setSelectedTemplateId(project.template);
+        }
+        setLastCopiedBoxId(null);
+        setAutosaveAttempt(0);
+    };
+
+    // The project list only carries summaries, so fetch the rows and copy status before opening one
+    const openProject = async (summary) => {
+        if (hasUnsavedChanges && !window.confirm('Some copy status changes have not been saved yet. Open another project anyway?')) {
+            return;
+        }
+
+        try {
+            setIsLoading(true);
+            const response = await apiFetch(`/projects/${summary._id}`);
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || 'Failed to load project');
+            }
+
+            const project = await response.json();
+            showProject(project);
+            showNotification(`Loaded project: ${project.name} (${project.year})`, 'success');
+        } catch (error) {
+            const errorMsg = `Failed to load project: ${error.message}`;
+            addLog(errorMsg, 'error');
+            showNotification(errorMsg, 'error');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // Snapshot the unsaved session locally (debounced) so a reload or crash does not lose it.
+    // Loaded and saved projects live on the server instead. Renaming the project moves the snapshot.
+    useEffect(() => {
+        if (currentProject || (!inputData && !processedData)) return;
+
+        const timer = setTimeout(() => {
+            const key = draftSessionKey(sourceFileName, projectName);
+            if (draftKeyRef.current && draftKeyRef.current !== key) {
+                discardDraftSession(draftKeyRef.current);
+            }
+            draftKeyRef.current = key;
+
+            try {
+                saveDraftSession(key, {
+                    fileName: sourceFileName,
+                    projectName,
+                    projectYear,
+                    // The raw rows are only needed until they have been processed
+                    inputData: processedData ? null : inputData,
+                    processedData,
+                    copiedBoxes,
+                    sessionHistory,
+                    templateId: selectedTemplateId
+                });
+            } catch (error) {
+                addLog(`Could not keep a local copy of this session: ${error.message}`, 'error');
+            }
+        }, 1000);
+
+        return () => clearTimeout(timer);
+    }, [currentProject, inputData, processedData, copiedBoxes, sessionHistory, projectName, projectYear, sourceFileName, selectedTemplateId, addLog]);
+
+    // Drop the current session's snapshot once it is safely on the server
+    const forgetDraftSession = () => {
+        if (draftKeyRef.current) {
+            discardDraftSession(draftKeyRef.current);
+            draftKeyRef.current = null;
+        }
+        setRecoverableSessions(listDraftSessions());
+    };
+
+    const resumeDraftSession = (session) => {
+        draftKeyRef.current = session.key;
+        setCurrentProject(null);
+        setSourceFileName(session.fileName || '');
+        setProjectName(session.projectName || '');
+        setProjectYear(session.projectYear || new Date().getFullYear().toString());
+        setInputData(session.inputData || null);
+        setContinueDespiteIssues(false);
+        workbookRef.current = null;
+        setSheetNames([]);
+        setProcessedData(session.processedData || null);
+        setCopiedBoxes(session.copiedBoxes || {});
+        setSessionHistory(session.sessionHistory || []);
+        setUnclassifiedRows([]);
+        setUnknownCountryRows([]);
+        if (session.templateId) {
+            setSelectedTemplateId(session.templateId);
+        }
+        setLastCopiedBoxId(null);
+
+        const resumeMsg = `Resumed session "${session.projectName || session.fileName}" from ${new Date(session.savedAt).toLocaleString()}`;
+        addLog(resumeMsg, 'success');
+        showNotification(resumeMsg, 'success');
+    };
+
+    const discardRecoverableSession = (session) => {
+        if (!window.confirm(`Discard the unsaved session "${session.projectName || session.fileName}"? Its copy progress will be lost.`)) return;
+        discardDraftSession(session.key);
+        if (draftKeyRef.current === session.key) {
+            draftKeyRef.current = null;
+        }
+        setRecoverableSessions(listDraftSessions());
+    };
+
     // Load projects on component mount
     useEffect(() => {
         loadProjects();
-    }, []);
+        loadTemplates();
+        loadHsCodes();
+        loadCountries();
+    }, [loadProjects, loadTemplates, loadHsCodes, loadCountries]);
+
+    const importColumns = poOutput ? REGISTER_COLUMNS : REQUIRED_COLUMNS;
+
+    // Shared by CSV and spreadsheet uploads; throws when the rows can't be used.
+    // Files with other headers go through the column mapping step first, and an EXP register
+    // is joined with the attached PO processor output.
+    const loadRows = (uploadedRows, headers, fileName, format = dateFormat) => {
+        if (!uploadedRows || uploadedRows.length === 0) {
+            throw new Error('No valid data found in file');
+        }
+
+        if (!headersMatch(importColumns, headers)) {
+            const missingColumns = importColumns.filter(col => !headers.includes(col));
+            addLog(`Columns not found by name: ${missingColumns.join(', ')}; map them to continue`);
+            setInputData(null);
+            setPendingImport({ rows: uploadedRows, headers, fileName });
+            return;
+        }
+
+        let rows = uploadedRows;
+        if (poOutput) {
+            const join = joinPoOutput(poOutput.rows, uploadedRows);
+            setJoinReport({ matched: join.rows.length, unmatchedPo: join.unmatchedPo, unmatchedRegister: join.unmatchedRegister });
+            addLog(`Joined ${join.rows.length} register rows with the PO processor output`, 'info');
+            if (join.unmatchedPo.length > 0) {
+                addLog(`${join.unmatchedPo.length} PO output invoice(s) not in the register: ${join.unmatchedPo.join(', ')}`, 'error');
+            }
+            if (join.unmatchedRegister.length > 0) {
+                addLog(`${join.unmatchedRegister.length} register row(s) with no PO output invoice were left out`, 'error');
+            }
+            if (join.rows.length === 0) {
+                throw new Error('No invoice in the register matches the PO processor output');
+            }
+            rows = join.rows;
+        }
+
+        addLog(`Successfully loaded ${rows.length} records`);
+        showNotification(`Successfully loaded ${rows.length} records`, 'success');
+        setInputData(rows);
+        setContinueDespiteIssues(false);
+        setIssueFilter({ text: '', severity: 'all', column: 'all' });
+
+        const dates = rows.flatMap(row => DATE_COLUMNS.map(column => row[column]));
+        const excelDates = dates.filter(value => value instanceof Date).length;
+        if (excelDates > 0) {
+            addLog(`${excelDates} date cell(s) read as Excel dates`);
+        }
+        const detected = detectDateFormat(dates);
+        const usedFormat = format === 'auto' ? detected.format : format;
+        addLog(format === 'auto'
+            ? `Detected date format: ${dateFormatLabel(detected.format)}`
+            : `Reading dates as ${dateFormatLabel(format)}`);
+        if (format === 'auto' && detected.ambiguous) {
+            addLog(`Dates could be day-first or month-first (${countAmbiguousDates(dates)} ambiguous); assuming ${dateFormatLabel(detected.format)}. Pick the format explicitly if that is wrong`, 'error');
+        }
+
+        const issues = validateFcrRows(rows, { projectYear, dateFormat: usedFormat });
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+        if (issues.length > 0) {
+            addLog(`Validation found ${errorCount} error(s) and ${issues.length - errorCount} warning(s); see the validation report`, 'error');
+        } else {
+            addLog('Validation passed for every row', 'success');
+        }
+
+        // Auto-set project name from filename if not already set
+        if (!projectName) {
+            setProjectName(fileName.replace(/\.[^/.]+$/, ""));
+        }
+    };
+
+    const applyImportMapping = (mapping, profile) => {
+        const { rows, fileName } = pendingImport;
+        setPendingImport(null);
+        setActiveProfile(profile);
+        const format = profile ? profile.dateFormat : dateFormat;
+        if (profile) {
+            setDateFormat(profile.dateFormat);
+        }
+        addLog(profile ? `Columns mapped with profile "${profile.name}"` : 'Columns mapped');
+
+        try {
+            loadRows(applyMapping(rows, importColumns, mapping), importColumns, fileName, format);
+        } catch (error) {
+            addLog(`Error: ${error.message}`, 'error');
+            showNotification(`Error: ${error.message}`, 'error');
+        }
+    };
+
+    // Load one sheet of the uploaded workbook
+    const loadSheet = (workbook, sheetName, fileName) => {
+        try {
+            setSelectedSheet(sheetName);
+            setPendingImport(null);
+            addLog(`Reading sheet "${sheetName}"`);
+            const { fields, rows } = sheetRows(workbook, sheetName);
+            loadRows(rows, fields, fileName);
+        } catch (error) {
+            setInputData(null);
+            addLog(`Error: ${error.message}`, 'error');
+            showNotification(`Error: ${error.message}`, 'error');
+        }
+    };
+
+    const changeSheet = (sheetName) => {
+        if (!workbookRef.current) return;
+        setUnclassifiedRows([]);
+        setUnknownCountryRows([]);
+        loadSheet(workbookRef.current, sheetName, sourceFileName);
+    };
 
     const handleFileUpload = async (event) => {
         const file = event.target.files[0];
@@ -204,6 +755,31 @@ const FCRDraftGenerator = () => {
         try {
             setLogs([]);
             addLog(`Reading file: ${file.name}`);
+            // A new file starts a new local session; earlier snapshots stay recoverable
+            draftKeyRef.current = null;
+            setSourceFileName(file.name);
+            setUnclassifiedRows([]);
+            setUnknownCountryRows([]);
+            workbookRef.current = null;
+            setSheetNames([]);
+            setSelectedSheet(null);
+            setPendingImport(null);
+            setActiveProfile(null);
+            setJoinReport(null);
+
+            if (isSpreadsheetFile(file.name)) {
+                const workbook = await readWorkbook(file);
+                if (workbook.SheetNames.length === 0) {
+                    throw new Error('The workbook has no sheets');
+                }
+                workbookRef.current = workbook;
+                setSheetNames(workbook.SheetNames);
+                if (workbook.SheetNames.length > 1) {
+                    addLog(`Workbook has ${workbook.SheetNames.length} sheets: ${workbook.SheetNames.join(', ')}`);
+                }
+                loadSheet(workbook, pickSheet(workbook, importColumns), file.name);
+                return;
+            }
 
             Papa.parse(file, {
                 header: true,
@@ -213,27 +789,7 @@ const FCRDraftGenerator = () => {
                 delimitersToGuess: [',', ';', '\t', '|'],
                 complete: (results) => {
                     try {
-                        if (!results.data || results.data.length === 0) {
-                            throw new Error('No valid data found in file');
-                        }
-
-                        const headers = results.meta.fields || [];
-                        const missingColumns = requiredColumns.filter(col => !headers.includes(col));
-
-                        if (missingColumns.length > 0) {
-                            throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
-                        }
-
-                        addLog(`Successfully loaded ${results.data.length} records`);
-                        showNotification(`Successfully loaded ${results.data.length} records`, 'success');
-                        setInputData(results.data);
-
-                        // Auto-set project name from filename if not already set
-                        if (!projectName) {
-                            const fileName = file.name.replace(/\.[^/.]+$/, "");
-                            setProjectName(fileName);
-                        }
-
+                        loadRows(results.data, results.meta.fields || [], file.name);
                     } catch (error) {
                         addLog(`Error: ${error.message}`, 'error');
                         showNotification(`Error: ${error.message}`, 'error');
@@ -261,10 +817,19 @@ const FCRDraftGenerator = () => {
             return;
         }
 
+        if (processingBlocked) {
+            const errorMsg = `${validationErrorCount} validation error(s) must be fixed, or choose to continue anyway`;
+            addLog(errorMsg, 'error');
+            showNotification(errorMsg, 'error');
+            return;
+        }
+
         setIsProcessing(true);
         addLog('Starting FCR data processing');
 
         try {
+            const unclassified = [];
+            const unknownCountries = [];
             const processed = inputData.map((row, index) => {
                 const expSerial = formatExpSerial(row['EXP Serial']);
                 const invoiceDate = formatDate(row['Invoice Date']);
@@ -276,7 +841,7 @@ const FCRDraftGenerator = () => {
 
                 const boxId = `box_${index}`;
 
-                return {
+                const box = {
                     id: boxId,
                     index: index + 1,
                     description: row['Description'] || '',
@@ -290,22 +855,36 @@ const FCRDraftGenerator = () => {
                     entryDate,
                     lcContact: row['Lc Contact'] || '',
                     contactDate,
-                    countryCode: row['Country short code'] || '',
-                    formattedText: `100% PORCELAIN TABLEWARE
-ORDER NO. : ${row['PO Numbers'] || ''}
-DESCRIPTION OF GOODS. : ${row['Goods'] || ''}
-INVOICE NO. : ${invoiceNo}
-DATE: ${invoiceDate}
-EXP NO. : ${adCode}/${expSerial}/${expYear}
-DATE: ${entryDate}
-CONTRACT NO. : ${row['Lc Contact'] || ''}
-DATE: ${contactDate}
-H. S. CODE: 6911.10.00
-COUNTRY: ${row['Country short code'] || ''}`
+                    countryCode: row['Country short code'] || ''
                 };
+
+                const country = checkCountry(box.countryCode, countries.lookup, countries.corrections);
+                box.countryCode = country.countryCode;
+                box.countryName = country.countryName;
+                if (!country.known) {
+                    unknownCountries.push({ index: box.index, invoiceNo, reason: country.reason });
+                }
+
+                const classification = classifyRow(box, hsCodes);
+                box.hsCode = classification.hsCode;
+                if (!classification.matched) {
+                    unclassified.push({ index: box.index, invoiceNo, goods: box.goods, description: box.description, reason: classification.reason });
+                }
+
+                return { ...box, formattedText: renderFcrTemplate(templateBody, box, { countryFormat }) };
             });
 
+            setUnclassifiedRows(unclassified);
+            if (unclassified.length > 0) {
+                addLog(`${unclassified.length} row(s) matched no HS code rule: ${unclassified.map(row => `#${row.index}`).join(', ')}`, 'error');
+            }
+            setUnknownCountryRows(unknownCountries);
+            if (unknownCountries.length > 0) {
+                addLog(`${unknownCountries.length} row(s) have an unknown country code: ${unknownCountries.map(row => `#${row.index}`).join(', ')}`, 'error');
+            }
+
             setProcessedData(processed);
+            addLog(`Rendered with template "${selectedTemplate?.name || 'Standard (built-in)'}"`, 'info');
             const successMsg = `Successfully processed ${processed.length} records`;
             addLog(successMsg, 'success');
             showNotification(successMsg, 'success');
@@ -323,8 +902,13 @@ COUNTRY: ${row['Country short code'] || ''}`
     const copyToClipboard = async (boxId, content) => {
         try {
             await navigator.clipboard.writeText(content);
+            if (!canEdit) {
+                showNotification('Content copied to clipboard!', 'success', 2000);
+                return;
+            }
             setCopiedBoxes(prev => ({ ...prev, [boxId]: true }));
             setLastCopiedBoxId(boxId);
+            recordCopyEvent('copy', boxId);
             addLog('Box content copied to clipboard!', 'success');
             showNotification('Content copied to clipboard!', 'success', 2000);
         } catch (error) {
@@ -345,6 +929,7 @@ COUNTRY: ${row['Country short code'] || ''}`
             setLastCopiedBoxId(null);
         }
 
+        recordCopyEvent('uncopy', boxId);
         addLog('Copied status removed!', 'success');
         showNotification('Copied status removed!', 'success', 2000);
     };
@@ -364,6 +949,7 @@ COUNTRY: ${row['Country short code'] || ''}`
     const resetAllCopied = () => {
         setCopiedBoxes({});
         setLastCopiedBoxId(null);
+        recordCopyEvent('reset');
         addLog('All copied status has been reset!', 'success');
         showNotification('All copied status has been reset!', 'success');
     };
@@ -686,28 +1272,65 @@ COUNTRY: ${row['Country short code'] || ''}`
 
             {/* Fixed toolbar */}
             <div className="fixed top-4 right-4 z-40 bg-white rounded-lg shadow-lg p-3 flex gap-2">
-                <button
-                    onClick={updateProject}
-                    disabled={isSaving}
-                    className="p-2 bg-green-600 text-white rounded hover:bg-green-700 transition-colors disabled:opacity-50"
-                    title="Save to MongoDB"
-                >
-                    {isSaving ? <Loader className="w-4 h-4 animate-spin" /> : <Database className="w-4 h-4" />}
-                </button>
-                <button
-                    onClick={undoLastCopy}
-                    className="p-2 bg-yellow-600 text-white rounded hover:bg-yellow-700 transition-colors"
-                    title="Undo Last Copy"
-                >
-                    <RotateCcw className="w-4 h-4" />
-                </button>
-                <button
-                    onClick={resetAllCopied}
-                    className="p-2 bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
-                    title="Reset All"
-                >
-                    <X className="w-4 h-4" />
-                </button>
+                {/* Autosave status for loaded projects */}
+                {currentProject && canEdit && (
+                    <span className={`self-center px-2 text-xs font-medium flex items-center gap-1 ${isAutosaving
+                        ? 'text-blue-700'
+                        : hasUnsavedChanges
+                            ? autosaveAttempt > 0 ? 'text-red-700' : 'text-yellow-700'
+                            : 'text-green-700'
+                        }`}>
+                        {isAutosaving ? (
+                            <>
+                                <Loader className="w-3 h-3 animate-spin" />
+                                Saving...
+                            </>
+                        ) : hasUnsavedChanges ? (
+                            autosaveAttempt > 0 ? (
+                                <>
+                                    <CloudOff className="w-3 h-3" />
+                                    Save failed, retrying in {Math.round(autosaveDelay / 1000)}s
+                                </>
+                            ) : (
+                                <>
+                                    <AlertCircle className="w-3 h-3" />
+                                    Unsaved changes
+                                </>
+                            )
+                        ) : (
+                            <>
+                                <Check className="w-3 h-3" />
+                                Saved
+                            </>
+                        )}
+                    </span>
+                )}
+                {canEdit && (
+                    <>
+                        <button
+                            onClick={updateProject}
+                            disabled={isSaving}
+                            className="p-2 bg-green-600 text-white rounded hover:bg-green-700 transition-colors disabled:opacity-50"
+                            title="Save to MongoDB"
+                        >
+                            {isSaving ? <Loader className="w-4 h-4 animate-spin" /> : <Database className="w-4 h-4" />}
+                        </button>
+                        <button
+                            onClick={undoLastCopy}
+                            className="p-2 bg-yellow-600 text-white rounded hover:bg-yellow-700 transition-colors"
+                            title="Undo Last Copy"
+                        >
+                            <RotateCcw className="w-4 h-4" />
+                        </button>
+                        <button
+                            onClick={resetAllCopied}
+                            className="p-2 bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
+                            title="Reset All"
+                        >
+                            <X className="w-4 h-4" />
+                        </button>
+                    </>
+                )}
                 <button
                     onClick={exportToDOC}
                     disabled={!processedData}
@@ -744,6 +1367,51 @@ COUNTRY: ${row['Country short code'] || ''}`
                     <p className="text-sm text-gray-500 mt-2">by Mahabubul Alam Arif | GitHub: arif547</p>
                 </div>
 
+                {/* Unsaved sessions kept in this browser */}
+                {recoverableSessions.length > 0 && !inputData && !processedData && (
+                    <div className="bg-white rounded-2xl shadow-xl p-6 mb-8">
+                        <div className="flex items-center mb-4">
+                            <History className="w-6 h-6 text-amber-600 mr-2" />
+                            <h3 className="text-xl font-semibold text-gray-800">Resume Session</h3>
+                        </div>
+                        <p className="text-sm text-gray-600 mb-4">
+                            These sessions were never saved to the server. Resume one to continue where you left off.
+                        </p>
+                        <div className="space-y-2">
+                            {recoverableSessions.map(session => (
+                                <div key={session.key} className="flex items-center gap-4 p-3 border border-gray-200 rounded-lg">
+                                    <div className="flex-1">
+                                        <p className="font-medium text-sm text-gray-800">
+                                            {session.projectName || 'Untitled'} ({session.projectYear})
+                                        </p>
+                                        <p className="text-xs text-gray-500">
+                                            {session.fileName || 'No file'} •{' '}
+                                            {session.processedData
+                                                ? `${Object.keys(session.copiedBoxes || {}).length} of ${session.processedData.length} boxes copied`
+                                                : `${session.inputData?.length || 0} records, not processed`}
+                                            {' '}• {new Date(session.savedAt).toLocaleString()}
+                                        </p>
+                                    </div>
+                                    <button
+                                        onClick={() => resumeDraftSession(session)}
+                                        className="bg-blue-600 text-white py-1 px-3 rounded-md text-sm hover:bg-blue-700 flex items-center"
+                                    >
+                                        <RotateCcw className="w-4 h-4 mr-1" />
+                                        Resume
+                                    </button>
+                                    <button
+                                        onClick={() => discardRecoverableSession(session)}
+                                        className="p-2 text-gray-500 hover:text-red-600"
+                                        title="Discard this session"
+                                    >
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 {/* Project Management Section */}
                 <div className="bg-white rounded-2xl shadow-xl p-6 mb-8">
                     <div className="flex items-center mb-4">
@@ -751,7 +1419,7 @@ COUNTRY: ${row['Country short code'] || ''}`
                         <h3 className="text-xl font-semibold text-gray-800">Project Management</h3>
                     </div>
 
-                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                         {/* Project Name Input */}
                         <div>
                             <label className="block text-sm font-medium text-gray-700 mb-2">Project Name</label>
@@ -781,31 +1449,55 @@ COUNTRY: ${row['Country short code'] || ''}`
                             />
                         </div>
 
-                        {/* Save Button */}
-                        <div className="flex items-end">
-                            <button
-                                onClick={updateProject}
-                                disabled={isSaving || !processedData}
-                                className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+                        {/* Template */}
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                                <FileText className="w-4 h-4 inline mr-1" />
+                                Template
+                            </label>
+                            <select
+                                value={selectedTemplateId || ''}
+                                onChange={(e) => changeTemplate(e.target.value)}
+                                disabled={!canChangeTemplate || templates.length === 0}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                                title={canChangeTemplate ? 'Layout of the box text' : 'Only admins can change the template of a saved project'}
                             >
-                                {isSaving ? (
-                                    <>
-                                        <Loader className="w-4 h-4 mr-2 animate-spin" />
-                                        Saving...
-                                    </>
-                                ) : currentProject ? (
-                                    <>
-                                        <Save className="w-4 h-4 mr-2" />
-                                        Update Project
-                                    </>
-                                ) : (
-                                    <>
-                                        <Database className="w-4 h-4 mr-2" />
-                                        Save New Project
-                                    </>
-                                )}
-                            </button>
+                                {templates.length === 0 && <option value="">Standard (built-in)</option>}
+                                {templates.map(template => (
+                                    <option key={template._id} value={template._id}>
+                                        {template.name}{template.isDefault ? ' (default)' : ''}
+                                    </option>
+                                ))}
+                            </select>
                         </div>
+
+                        {/* Save Button */}
+                        {canEdit && (
+                            <div className="flex items-end">
+                                <button
+                                    onClick={updateProject}
+                                    disabled={isSaving || !processedData}
+                                    className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+                                >
+                                    {isSaving ? (
+                                        <>
+                                            <Loader className="w-4 h-4 mr-2 animate-spin" />
+                                            Saving...
+                                        </>
+                                    ) : currentProject ? (
+                                        <>
+                                            <Save className="w-4 h-4 mr-2" />
+                                            Update Project
+                                        </>
+                                    ) : (
+                                        <>
+                                            <Database className="w-4 h-4 mr-2" />
+                                            Save New Project
+                                        </>
+                                    )}
+                                </button>
+                            </div>
+                        )}
                     </div>
 
                     {currentProject && (
@@ -833,16 +1525,7 @@ COUNTRY: ${row['Country short code'] || ''}`
                                             key={project._id}
                                             className={`p-3 border rounded-lg cursor-pointer hover:bg-gray-50 transition-colors ${currentProject?._id === project._id ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
                                                 }`}
-                                            onClick={() => {
-                                                setCurrentProject(project);
-                                                setProjectName(project.name);
-                                                setProjectYear(project.year.toString());
-                                                if (project.processedData) {
-                                                    setProcessedData(project.processedData);
-                                                    setCopiedBoxes(project.copiedBoxes || {});
-                                                    showNotification(`Loaded project: ${project.name} (${project.year})`, 'success');
-                                                }
-                                            }}
+                                            onClick={() => openProject(project)}
                                         >
                                             <p className="font-medium text-sm text-gray-800">{project.name}</p>
                                             <p className="text-xs text-gray-500">Year: {project.year}</p>
@@ -858,14 +1541,41 @@ COUNTRY: ${row['Country short code'] || ''}`
 
                 {/* File upload section */}
                 <div className="bg-white rounded-2xl shadow-xl p-8 mb-8">
+                    {/* PO processor output waiting for its EXP register */}
+                    {poOutput && (
+                        <div className="mb-6 flex flex-col md:flex-row md:items-center justify-between gap-3 bg-indigo-50 border-l-4 border-indigo-500 rounded-lg p-4">
+                            <div className="text-sm text-indigo-900">
+                                <p className="font-semibold flex items-center">
+                                    <Database className="w-4 h-4 mr-2" />
+                                    PO processor output attached: {poOutput.rows.length} invoice{poOutput.rows.length === 1 ? '' : 's'}
+                                </p>
+                                <p className="text-xs mt-1">
+                                    Upload the EXP register; PO Numbers, Description and Goods come from the PO output, joined by invoice number.
+                                </p>
+                            </div>
+                            <button
+                                onClick={() => {
+                                    clearPoOutput();
+                                    setPoOutput(null);
+                                    setJoinReport(null);
+                                    addLog('Detached the PO processor output', 'info');
+                                }}
+                                className="text-sm px-3 py-1 rounded-md border border-indigo-600 text-indigo-700 hover:bg-indigo-100 flex items-center gap-1"
+                            >
+                                <X className="w-4 h-4" />
+                                Detach
+                            </button>
+                        </div>
+                    )}
+
                     <div className="bg-gradient-to-r from-blue-50 to-blue-100 rounded-xl p-6 border-2 border-dashed border-blue-300 hover:border-blue-400 transition-colors">
                         <div className="text-center">
                             <Upload className="w-12 h-12 text-blue-600 mx-auto mb-4" />
-                            <h3 className="text-xl font-semibold text-gray-800 mb-2">Upload FCR Data File</h3>
-                            <p className="text-gray-600 mb-4">Upload CSV file with FCR data</p>
+                            <h3 className="text-xl font-semibold text-gray-800 mb-2">{poOutput ? 'Upload EXP Register' : 'Upload FCR Data File'}</h3>
+                            <p className="text-gray-600 mb-4">Upload CSV or Excel (XLSX, XLS) file with {poOutput ? 'the EXP register' : 'FCR data'}</p>
                             <input
                                 type="file"
-                                accept=".csv"
+                                accept=".csv,.xlsx,.xls"
                                 onChange={handleFileUpload}
                                 className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
                             />
@@ -875,14 +1585,197 @@ COUNTRY: ${row['Country short code'] || ''}`
                                     <span className="text-sm font-medium">{inputData.length} records loaded</span>
                                 </div>
                             )}
+                            {sheetNames.length > 1 && (
+                                <label className="mt-4 text-sm text-gray-700 flex items-center justify-center gap-2">
+                                    <FileText className="w-4 h-4 text-blue-600" />
+                                    Sheet
+                                    <select
+                                        value={selectedSheet || ''}
+                                        onChange={(e) => changeSheet(e.target.value)}
+                                        className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                    >
+                                        {sheetNames.map(name => (
+                                            <option key={name} value={name}>{name}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            )}
+                            <div className="mt-4 flex flex-col items-center gap-1">
+                                <label className="text-sm text-gray-700 flex items-center gap-2">
+                                    <Calendar className="w-4 h-4 text-blue-600" />
+                                    Dates are
+                                    <select
+                                        value={dateFormat}
+                                        onChange={(e) => changeDateFormat(e.target.value)}
+                                        className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                    >
+                                        {DATE_FORMATS.map(format => (
+                                            <option key={format.id} value={format.id}>{format.label}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                {inputData && dateFormat === 'auto' && (
+                                    <p className="text-xs text-gray-600">Detected {dateFormatLabel(detectedDateFormat.format)}</p>
+                                )}
+                                {activeProfile && (
+                                    <p className="text-xs text-gray-600">Remembered in mapping profile "{activeProfile.name}"</p>
+                                )}
+                                {inputData && ambiguousDateCount > 0 && (dateFormat === 'auto' ? detectedDateFormat.ambiguous : true) && (
+                                    <p className="text-xs text-yellow-700">
+                                        {ambiguousDateCount} date{ambiguousDateCount === 1 ? '' : 's'} could be read day-first or month-first; read as {dateFormatLabel(effectiveDateFormat)}
+                                    </p>
+                                )}
+                            </div>
                         </div>
                     </div>
 
+                    {/* Invoices the PO output and the EXP register did not have in common */}
+                    {joinReport && (joinReport.unmatchedPo.length > 0 || joinReport.unmatchedRegister.length > 0) && (
+                        <div className="mt-6 bg-yellow-50 border-l-4 border-yellow-500 rounded-lg p-4">
+                            <div className="flex items-center justify-between mb-2">
+                                <h4 className="text-sm font-semibold text-yellow-800 flex items-center">
+                                    <AlertCircle className="w-4 h-4 mr-2" />
+                                    {joinReport.matched} invoice{joinReport.matched === 1 ? '' : 's'} joined; some did not match
+                                </h4>
+                                <button
+                                    onClick={() => setJoinReport(null)}
+                                    className="text-yellow-700 hover:text-yellow-900"
+                                    title="Dismiss"
+                                >
+                                    <X className="w-4 h-4" />
+                                </button>
+                            </div>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-xs text-yellow-900">
+                                <div>
+                                    <p className="font-semibold mb-1">In the PO output, not in the register ({joinReport.unmatchedPo.length})</p>
+                                    <div className="max-h-40 overflow-y-auto space-y-1">
+                                        {joinReport.unmatchedPo.map(invoiceNo => (
+                                            <p key={invoiceNo}>Invoice {invoiceNo}</p>
+                                        ))}
+                                    </div>
+                                </div>
+                                <div>
+                                    <p className="font-semibold mb-1">In the register, not in the PO output ({joinReport.unmatchedRegister.length})</p>
+                                    <div className="max-h-40 overflow-y-auto space-y-1">
+                                        {joinReport.unmatchedRegister.map(entry => (
+                                            <p key={entry.row}>Row {entry.row}: invoice {entry.invoiceNo || '(blank)'}</p>
+                                        ))}
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Column mapping for files whose headers differ from the FCR layout */}
+                    {pendingImport && (
+                        <ColumnMappingStep
+                            kind="fcr"
+                            fields={importColumns}
+                            headers={pendingImport.headers}
+                            fileName={pendingImport.fileName}
+                            dateFormat={dateFormat}
+                            onApply={applyImportMapping}
+                            onCancel={() => {
+                                setPendingImport(null);
+                                addLog('Column mapping cancelled', 'info');
+                            }}
+                        />
+                    )}
+
+                    {/* Validation report */}
+                    {validationIssues.length > 0 && (
+                        <div className={`mt-6 rounded-xl border-l-4 p-4 ${processingBlocked ? 'bg-red-50 border-red-500' : 'bg-yellow-50 border-yellow-500'}`}>
+                            <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-3">
+                                <h4 className={`text-sm font-semibold flex items-center ${processingBlocked ? 'text-red-800' : 'text-yellow-800'}`}>
+                                    <AlertCircle className="w-4 h-4 mr-2" />
+                                    Validation report: {validationErrorCount} error{validationErrorCount === 1 ? '' : 's'}, {validationIssues.length - validationErrorCount} warning{validationIssues.length - validationErrorCount === 1 ? '' : 's'}
+                                </h4>
+                                {validationErrorCount > 0 && (
+                                    continueDespiteIssues ? (
+                                        <button
+                                            onClick={() => setContinueDespiteIssues(false)}
+                                            className="text-sm px-3 py-1 rounded-md border border-yellow-600 text-yellow-800 hover:bg-yellow-100"
+                                        >
+                                            Block processing again
+                                        </button>
+                                    ) : (
+                                        <button
+                                            onClick={() => {
+                                                setContinueDespiteIssues(true);
+                                                addLog(`Continuing despite ${validationErrorCount} validation error(s)`, 'info');
+                                            }}
+                                            className="text-sm px-3 py-1 rounded-md bg-red-600 text-white hover:bg-red-700"
+                                        >
+                                            Continue anyway
+                                        </button>
+                                    )
+                                )}
+                            </div>
+                            <div className="flex flex-col md:flex-row gap-2 mb-3">
+                                <input
+                                    type="text"
+                                    placeholder="Filter by row, invoice or message..."
+                                    value={issueFilter.text}
+                                    onChange={(e) => setIssueFilter(prev => ({ ...prev, text: e.target.value }))}
+                                    className="flex-1 px-3 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                                />
+                                <select
+                                    value={issueFilter.severity}
+                                    onChange={(e) => setIssueFilter(prev => ({ ...prev, severity: e.target.value }))}
+                                    className="px-3 py-1 text-sm border border-gray-300 rounded-md"
+                                >
+                                    <option value="all">All severities</option>
+                                    <option value="error">Errors</option>
+                                    <option value="warning">Warnings</option>
+                                </select>
+                                <select
+                                    value={issueFilter.column}
+                                    onChange={(e) => setIssueFilter(prev => ({ ...prev, column: e.target.value }))}
+                                    className="px-3 py-1 text-sm border border-gray-300 rounded-md"
+                                >
+                                    <option value="all">All columns</option>
+                                    {issueColumns.map(column => (
+                                        <option key={column} value={column}>{column}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="max-h-64 overflow-y-auto bg-white rounded-md border border-gray-200">
+                                <table className="w-full text-xs text-left">
+                                    <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                                        <tr>
+                                            <th className="px-3 py-2">Row</th>
+                                            <th className="px-3 py-2">Invoice</th>
+                                            <th className="px-3 py-2">Column</th>
+                                            <th className="px-3 py-2">Problem</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {filteredIssues.map((issue, idx) => (
+                                            <tr key={idx} className="border-t border-gray-100">
+                                                <td className="px-3 py-1 font-medium">{issue.row}</td>
+                                                <td className="px-3 py-1">{issue.invoiceNo || '—'}</td>
+                                                <td className="px-3 py-1">{issue.column}</td>
+                                                <td className={`px-3 py-1 ${issue.severity === 'error' ? 'text-red-700' : 'text-yellow-700'}`}>
+                                                    {issue.message}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                        {filteredIssues.length === 0 && (
+                                            <tr>
+                                                <td colSpan={4} className="px-3 py-3 text-center text-gray-500">No issues match the filter</td>
+                                            </tr>
+                                        )}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
                     {/* Process button */}
                     <div className="text-center mt-8">
                         <button
                             onClick={processData}
-                            disabled={!inputData || isProcessing}
+                            disabled={!inputData || isProcessing || processingBlocked}
                             className="bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 disabled:from-gray-400 disabled:to-gray-500 text-white font-bold py-4 px-8 rounded-xl text-lg shadow-lg transform hover:scale-105 disabled:hover:scale-100 transition-all duration-200 disabled:cursor-not-allowed flex items-center mx-auto"
                         >
                             {isProcessing ? (
@@ -948,6 +1841,56 @@ COUNTRY: ${row['Country short code'] || ''}`
                     </div>
                 )}
 
+                {/* Import report: rows the HS code or country tables could not resolve */}
+                {processedData && (unclassifiedRows.length > 0 || unknownCountryRows.length > 0) && (
+                    <div className="bg-yellow-50 border-l-4 border-yellow-500 rounded-lg p-4 mb-8 space-y-3">
+                        <div className="flex items-center justify-between">
+                            <h4 className="text-sm font-semibold text-yellow-800 flex items-center">
+                                <AlertCircle className="w-4 h-4 mr-2" />
+                                Import report
+                            </h4>
+                            <button
+                                onClick={() => {
+                                    setUnclassifiedRows([]);
+                                    setUnknownCountryRows([]);
+                                }}
+                                className="text-yellow-700 hover:text-yellow-900"
+                                title="Dismiss"
+                            >
+                                <X className="w-4 h-4" />
+                            </button>
+                        </div>
+                        {unclassifiedRows.length > 0 && (
+                            <div>
+                                <p className="text-xs font-semibold text-yellow-800 mb-1">
+                                    {unclassifiedRows.length} row{unclassifiedRows.length === 1 ? '' : 's'} matched no HS code rule
+                                </p>
+                                <div className="max-h-40 overflow-y-auto text-xs text-yellow-900 space-y-1">
+                                    {unclassifiedRows.map(row => (
+                                        <p key={row.index}>
+                                            <strong>#{row.index}</strong> (invoice {row.invoiceNo}) — {row.goods || row.description || 'no goods or description'}: {row.reason}
+                                        </p>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                        {unknownCountryRows.length > 0 && (
+                            <div>
+                                <p className="text-xs font-semibold text-yellow-800 mb-1">
+                                    {unknownCountryRows.length} row{unknownCountryRows.length === 1 ? '' : 's'} with an unknown country code
+                                </p>
+                                <div className="max-h-40 overflow-y-auto text-xs text-yellow-900 space-y-1">
+                                    {unknownCountryRows.map(row => (
+                                        <p key={row.index}>
+                                            <strong>#{row.index}</strong> (invoice {row.invoiceNo}): {row.reason}
+                                        </p>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                )}
+
                 {/* FCR Boxes Grid */}
                 {filteredData.length > 0 && (
                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
@@ -973,7 +1916,7 @@ COUNTRY: ${row['Country short code'] || ''}`
                                 )}
 
                                 {/* Undo button for copied boxes */}
-                                {copiedBoxes[item.id] && (
+                                {copiedBoxes[item.id] && canEdit && (
                                     <button
                                         onClick={(e) => {
                                             e.stopPropagation();
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Upload, Download, Search, Filter, Copy, Check, X, RotateCcw, Save, Eye, FileText, AlertCircle, CheckCircle, Loader } from 'lucide-react';
 import Papa from 'papaparse';
+import { DATE_FORMATS, dateFormatLabel, detectDateFormat, formatDateValue, rememberedDateFormat, rememberDateFormat } from './utils/dateFormats';
 
 const FCRGenerator = () => {
   const [inputData, setInputData] = useState(null);
@@ -13,6 +14,8 @@ const FCRGenerator = () => {
   const [showShortcuts, setShowShortcuts] = useState(true);
   const [lastCopiedBoxId, setLastCopiedBoxId] = useState(null);
   const [copyHistory, setCopyHistory] = useState([]);
+  const [dateFormat, setDateFormat] = useState(() => rememberedDateFormat());
+  const [detectedDateFormat, setDetectedDateFormat] = useState(null);
   const searchInputRef = useRef(null);
 
   // Required columns for FCR data
@@ -37,20 +40,9 @@ const FCRGenerator = () => {
     }
   };
 
-  const formatDate = (dateStr) => {
-    try {
-      if (!dateStr || dateStr === '') return '';
-      const date = new Date(dateStr);
-      if (isNaN(date.getTime())) return String(dateStr);
-
-      const day = date.getDate().toString().padStart(2, '0');
-      const month = (date.getMonth() + 1).toString().padStart(2, '0');
-      const year = date.getFullYear();
-      return `${day}-${month}-${year}`;
-    } catch {
-      return String(dateStr || '');
-    }
-  };
+  const effectiveDateFormat = dateFormat === 'auto' ? (detectedDateFormat || 'dmy') : dateFormat;
+
+  const formatDate = (dateStr) => formatDateValue(dateStr, effectiveDateFormat);
 
   const formatNumber = (value) => {
     try {
@@ -121,6 +113,15 @@ const FCRGenerator = () => {
             addLog(`Successfully loaded ${results.data.length} records`);
             setInputData(results.data);
 
+            const detected = detectDateFormat(results.data.flatMap(row =>
+              [row['Invoice Date'], row['Entry Date'], row['Date of Contact']]
+            ));
+            setDetectedDateFormat(detected.format);
+            addLog(`Detected date format: ${dateFormatLabel(detected.format)}`);
+            if (detected.ambiguous) {
+              addLog(`Dates could be day-first or month-first; assuming ${dateFormatLabel(detected.format)}`, 'error');
+            }
+
           } catch (error) {
             addLog(`Error: ${error.message}`, 'error');
           }
@@ -461,6 +462,23 @@ COUNTRY: ${row['Country short code'] || ''}`
                   <span className="text-sm font-medium">{inputData.length} records loaded</span>
                 </div>
               )}
+              <label className="mt-4 text-sm text-gray-700 flex items-center justify-center gap-2">
+                Dates are
+                <select
+                  value={dateFormat}
+                  onChange={(e) => {
+                    setDateFormat(e.target.value);
+                    rememberDateFormat('standard', e.target.value);
+                  }}
+                  className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                >
+                  {DATE_FORMATS.map(format => (
+                    <option key={format.id} value={format.id}>
+                      {format.id === 'auto' && detectedDateFormat ? `${format.label} (${dateFormatLabel(detectedDateFormat)})` : format.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
             </div>
           </div>
 
@@ -1,7 +1,10 @@
 import React from 'react';
 import { Link } from 'react-router';
+import { useAuth } from '../Auth/AuthContext';
 
 const Header = () => {
+    const { user, logout } = useAuth();
+
     return (
         <div className='max-w-[1200px] mx-auto'>
             <div className="navbar bg-base-100 shadow-lg">
@@ -51,9 +54,85 @@ const Header = () => {
                                 Projects
                             </Link>
                         </li>
+                        <li>
+                            <Link
+                                to="/AllFcr"
+                                className={({ isActive }) =>
+                                    `btn transition-all duration-200 ${isActive
+                                        ? 'btn-primary'
+                                        : 'btn-ghost hover:btn-primary'
+                                    }`
+                                }
+                            >
+                                Lookup
+                            </Link>
+                        </li>
+                        <li>
+                            <Link
+                                to="/templates"
+                                className={({ isActive }) =>
+                                    `btn transition-all duration-200 ${isActive
+                                        ? 'btn-primary'
+                                        : 'btn-ghost hover:btn-primary'
+                                    }`
+                                }
+                            >
+                                Templates
+                            </Link>
+                        </li>
+                        <li>
+                            <Link
+                                to="/hs-codes"
+                                className={({ isActive }) =>
+                                    `btn transition-all duration-200 ${isActive
+                                        ? 'btn-primary'
+                                        : 'btn-ghost hover:btn-primary'
+                                    }`
+                                }
+                            >
+                                HS Codes
+                            </Link>
+                        </li>
+                        <li>
+                            <Link
+                                to="/recycled-pos"
+                                className={({ isActive }) =>
+                                    `btn transition-all duration-200 ${isActive
+                                        ? 'btn-primary'
+                                        : 'btn-ghost hover:btn-primary'
+                                    }`
+                                }
+                            >
+                                PO Sets
+                            </Link>
+                        </li>
+                        <li>
+                            <Link
+                                to="/composition-rules"
+                                className={({ isActive }) =>
+                                    `btn transition-all duration-200 ${isActive
+                                        ? 'btn-primary'
+                                        : 'btn-ghost hover:btn-primary'
+                                    }`
+                                }
+                            >
+                                Compositions
+                            </Link>
+                        </li>
                     </ul>
                 </div>
-                <div className="navbar-end">
+                <div className="navbar-end gap-2">
+                    {user && (
+                        <>
+                            <span className="text-sm text-base-content/70">{user.name || user.username} ({user.role})</span>
+                            <button
+                                onClick={logout}
+                                className="btn btn-ghost btn-sm"
+                            >
+                                Logout
+                            </button>
+                        </>
+                    )}
                     <a
                         href="https://mahabubul-alam.netlify.app/"
                         target="_blank"
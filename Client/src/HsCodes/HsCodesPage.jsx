@@ -0,0 +1,327 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Save, Trash2, Star, Loader, AlertCircle, X } from 'lucide-react';
+import { apiFetch } from '../api/client';
+import { useAuth } from '../Auth/AuthContext';
+import { classifyRow } from '../utils/hsCodes';
+
+const emptyCode = { _id: null, code: '', label: '', priority: 0, isDefault: false, rules: [] };
+const emptyRule = { field: 'goods', matchType: 'keyword', pattern: '' };
+
+// HS code master table: which code each FCR row gets, by keyword or regex on goods / description
+const HsCodesPage = () => {
+    const [hsCodes, setHsCodes] = useState([]);
+    const [ruleFields, setRuleFields] = useState(['goods', 'description']);
+    const [matchTypes, setMatchTypes] = useState(['keyword', 'regex']);
+    const [draft, setDraft] = useState(null);
+    const [sample, setSample] = useState({ goods: '', description: '' });
+    const [loading, setLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const { hasRole } = useAuth();
+    const isAdmin = hasRole('admin');
+
+    const loadHsCodes = async (selectId) => {
+        try {
+            setLoading(true);
+            const response = await apiFetch('/hs-codes');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            setHsCodes(data.hsCodes);
+            setRuleFields(data.ruleFields);
+            setMatchTypes(data.matchTypes);
+            const selected = data.hsCodes.find(hsCode => hsCode._id === selectId) || data.hsCodes[0];
+            setDraft(selected ? { ...selected } : { ...emptyCode });
+        } catch (error) {
+            console.error('Error fetching HS codes:', error);
+            setError(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadHsCodes();
+    }, []);
+
+    const updateRule = (ruleIndex, changes) => {
+        setDraft(prev => ({
+            ...prev,
+            rules: prev.rules.map((rule, idx) => (idx === ruleIndex ? { ...rule, ...changes } : rule))
+        }));
+    };
+
+    const saveHsCode = async () => {
+        try {
+            setIsSaving(true);
+            setError(null);
+            const response = await apiFetch(draft._id ? `/hs-codes/${draft._id}` : '/hs-codes', {
+                method: draft._id ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    code: draft.code,
+                    label: draft.label,
+                    priority: draft.priority,
+                    isDefault: draft.isDefault,
+                    rules: draft.rules
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || 'Failed to save HS code');
+            }
+
+            const saved = await response.json();
+            await loadHsCodes(saved._id);
+        } catch (error) {
+            console.error('Error saving HS code:', error);
+            setError(error.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const deleteHsCode = async () => {
+        if (!window.confirm(`Delete HS code ${draft.code}? Rows it matched will fall back to the default code.`)) return;
+
+        try {
+            const response = await apiFetch(`/hs-codes/${draft._id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || 'Failed to delete HS code');
+            }
+            await loadHsCodes();
+        } catch (error) {
+            console.error('Error deleting HS code:', error);
+            window.alert(`Failed to delete HS code: ${error.message}`);
+        }
+    };
+
+    if (loading && !draft) {
+        return (
+            <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+            </div>
+        );
+    }
+
+    // Try the sample against the table as it would be after saving the draft
+    const previewTable = [...hsCodes.filter(hsCode => hsCode._id !== draft?._id), ...(draft ? [draft] : [])]
+        .map(hsCode => (draft?.isDefault && hsCode !== draft ? { ...hsCode, isDefault: false } : hsCode))
+        .sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0) || a.code.localeCompare(b.code));
+    const sampleResult = (sample.goods || sample.description) ? classifyRow(sample, previewTable) : null;
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Header */}
+                <div className="mb-8 flex items-center justify-between">
+                    <div>
+                        <h1 className="text-4xl font-bold text-gray-900 mb-2">HS Codes</h1>
+                        <p className="text-gray-600">
+                            Rules are tried from the highest priority down; rows no rule matches get the default code
+                        </p>
+                    </div>
+                    {isAdmin && (
+                        <button
+                            onClick={() => setDraft({ ...emptyCode, rules: [{ ...emptyRule }] })}
+                            className="bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-4 rounded-lg flex items-center gap-2"
+                        >
+                            <Plus className="w-4 h-4" />
+                            New HS Code
+                        </button>
+                    )}
+                </div>
+
+                {error && (
+                    <div className="mb-6 flex items-center gap-2 bg-red-50 border-l-4 border-red-500 text-red-800 px-4 py-3 rounded">
+                        <AlertCircle className="w-5 h-5 text-red-500" />
+                        <span className="text-sm font-medium">{error}</span>
+                    </div>
+                )}
+
+                <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+                    {/* Code list */}
+                    <div className="bg-white rounded-xl shadow-lg p-4 space-y-2">
+                        {hsCodes.map(hsCode => (
+                            <button
+                                key={hsCode._id}
+                                onClick={() => setDraft({ ...hsCode })}
+                                className={`w-full text-left p-3 rounded-lg border transition-colors ${draft?._id === hsCode._id
+                                    ? 'border-indigo-500 bg-indigo-50'
+                                    : 'border-gray-200 hover:bg-gray-50'
+                                    }`}
+                            >
+                                <p className="font-medium text-sm text-gray-800 flex items-center gap-1">
+                                    {hsCode.isDefault && <Star className="w-3 h-3 text-yellow-500 fill-yellow-500" />}
+                                    {hsCode.code}
+                                    <span className="ml-auto text-xs text-gray-400">priority {hsCode.priority}</span>
+                                </p>
+                                {hsCode.label && <p className="text-xs text-gray-500">{hsCode.label}</p>}
+                            </button>
+                        ))}
+                    </div>
+
+                    {/* Editor */}
+                    {draft && (
+                        <div className="lg:col-span-3 space-y-6">
+                            <div className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+                                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-2">HS Code</label>
+                                        <input
+                                            type="text"
+                                            value={draft.code}
+                                            onChange={(e) => setDraft(prev => ({ ...prev, code: e.target.value }))}
+                                            disabled={!isAdmin}
+                                            placeholder="6911.10.00"
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-2">Label</label>
+                                        <input
+                                            type="text"
+                                            value={draft.label}
+                                            onChange={(e) => setDraft(prev => ({ ...prev, label: e.target.value }))}
+                                            disabled={!isAdmin}
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-2">Priority</label>
+                                        <input
+                                            type="number"
+                                            value={draft.priority}
+                                            onChange={(e) => setDraft(prev => ({ ...prev, priority: e.target.value }))}
+                                            disabled={!isAdmin}
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                                        />
+                                    </div>
+                                </div>
+
+                                {/* Rules */}
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Rules (any one matching is enough)</label>
+                                    <div className="space-y-2">
+                                        {draft.rules.length === 0 && (
+                                            <p className="text-sm text-gray-500">No rules: this code is only used as the default.</p>
+                                        )}
+                                        {draft.rules.map((rule, idx) => (
+                                            <div key={idx} className="flex items-center gap-2">
+                                                <select
+                                                    value={rule.field}
+                                                    onChange={(e) => updateRule(idx, { field: e.target.value })}
+                                                    disabled={!isAdmin}
+                                                    className="px-2 py-2 border border-gray-300 rounded-md text-sm disabled:bg-gray-50"
+                                                >
+                                                    {ruleFields.map(field => <option key={field} value={field}>{field}</option>)}
+                                                </select>
+                                                <select
+                                                    value={rule.matchType}
+                                                    onChange={(e) => updateRule(idx, { matchType: e.target.value })}
+                                                    disabled={!isAdmin}
+                                                    className="px-2 py-2 border border-gray-300 rounded-md text-sm disabled:bg-gray-50"
+                                                >
+                                                    {matchTypes.map(type => <option key={type} value={type}>{type}</option>)}
+                                                </select>
+                                                <input
+                                                    type="text"
+                                                    value={rule.pattern}
+                                                    onChange={(e) => updateRule(idx, { pattern: e.target.value })}
+                                                    disabled={!isAdmin}
+                                                    placeholder={rule.matchType === 'regex' ? '\\bstoneware\\b' : 'stoneware'}
+                                                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                                                />
+                                                {isAdmin && (
+                                                    <button
+                                                        onClick={() => setDraft(prev => ({ ...prev, rules: prev.rules.filter((_, ruleIdx) => ruleIdx !== idx) }))}
+                                                        className="p-2 text-gray-500 hover:text-red-600"
+                                                        title="Remove rule"
+                                                    >
+                                                        <X className="w-4 h-4" />
+                                                    </button>
+                                                )}
+                                            </div>
+                                        ))}
+                                    </div>
+                                    {isAdmin && (
+                                        <button
+                                            onClick={() => setDraft(prev => ({ ...prev, rules: [...prev.rules, { ...emptyRule }] }))}
+                                            className="mt-2 text-sm text-indigo-600 hover:text-indigo-800 flex items-center gap-1"
+                                        >
+                                            <Plus className="w-4 h-4" />
+                                            Add rule
+                                        </button>
+                                    )}
+                                </div>
+
+                                {isAdmin && (
+                                    <div className="flex items-center gap-3">
+                                        <label className="flex items-center gap-2 text-sm text-gray-700 flex-1">
+                                            <input
+                                                type="checkbox"
+                                                checked={draft.isDefault}
+                                                onChange={(e) => setDraft(prev => ({ ...prev, isDefault: e.target.checked }))}
+                                            />
+                                            Default for rows no rule matches
+                                        </label>
+                                        {draft._id && (
+                                            <button
+                                                onClick={deleteHsCode}
+                                                className="p-2 text-gray-500 hover:text-red-600"
+                                                title="Delete HS code"
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        )}
+                                        <button
+                                            onClick={saveHsCode}
+                                            disabled={isSaving}
+                                            className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+                                        >
+                                            {isSaving ? <Loader className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                                            {draft._id ? 'Save HS Code' : 'Create HS Code'}
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
+
+                            {/* Rule tester */}
+                            <div className="bg-white rounded-xl shadow-lg p-6">
+                                <h3 className="text-lg font-semibold text-gray-800 mb-4">Try a row</h3>
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                                    <input
+                                        type="text"
+                                        value={sample.goods}
+                                        onChange={(e) => setSample(prev => ({ ...prev, goods: e.target.value }))}
+                                        placeholder="Goods, e.g. DINNER SET 18 PCS"
+                                        className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                                    />
+                                    <input
+                                        type="text"
+                                        value={sample.description}
+                                        onChange={(e) => setSample(prev => ({ ...prev, description: e.target.value }))}
+                                        placeholder="Description, e.g. 100% STONEWARE TABLEWARE"
+                                        className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                                    />
+                                </div>
+                                {sampleResult && (
+                                    <p className={`text-sm ${sampleResult.matched ? 'text-green-700' : 'text-yellow-700'}`}>
+                                        <span className="font-mono font-bold">{sampleResult.hsCode || '(none)'}</span> — {sampleResult.reason}
+                                    </p>
+                                )}
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default HsCodesPage;
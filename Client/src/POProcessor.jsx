@@ -1,24 +1,36 @@
-import React, { useState, useCallback } from 'react';
-import { Upload, Download, FileText, AlertCircle, CheckCircle, Loader } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Upload, Download, FileText, AlertCircle, CheckCircle, Loader, ArrowRight, Recycle } from 'lucide-react';
+import { Link, useNavigate } from 'react-router';
 import Papa from 'papaparse';
 import * as XLSX from 'xlsx';
+import { headersMatch, applyMapping } from './utils/columnMapping';
+import ColumnMappingStep from './ColumnMapping/ColumnMappingStep';
+import { storePoOutput } from './utils/poPipeline';
+import { apiFetch } from './api/client';
+import { detectDateFormat, parseDateValue, dateFormatLabel } from './utils/dateFormats';
+import { dayKey, poSetsOn } from './utils/recycledPos';
+import { classifyInvoice } from './utils/compositionRules';
 
 // Constants
 const PO_HEADERS = ['Invoice', 'PO', 'Goods'];
-const RECYCLED_HEADERS = ['PO'];
-const OUTPUT_HEADERS = ['Invoice Number', 'PO Numbers', 'Description', 'Goods'];
-
-const TYPE_MIXED = "100% PORCELAIN TABLEWARE AND 80% PORCELAIN, 20% RECYCLED PRE-CONSUMER PORCELAIN";
-const TYPE_RECYCLED = "80% PORCELAIN, 20% RECYCLED PRE-CONSUMER PORCELAIN";
-const TYPE_NORMAL = "100% PORCELAIN TABLEWARE";
+// Picks the recycled PO list valid on each invoice's date
+const PO_OPTIONAL_HEADERS = ['Invoice Date'];
+// Composition Code comes last so sheets read by position still find the original four columns
+const OUTPUT_HEADERS = ['Invoice Number', 'PO Numbers', 'Description', 'Goods', 'Composition Code'];
 
 const PoProcessor = () => {
     const [poData, setPOData] = useState(null);
-    const [recycledPOsData, setRecycledPOsData] = useState(null);
+    // Server-managed recycled PO list (every entry, with its effective dates)
+    const [recycledEntries, setRecycledEntries] = useState(null);
+    // Invoices without a date are checked against the list valid on this day
+    const [fallbackDay, setFallbackDay] = useState(() => dayKey(new Date()));
     const [processedData, setProcessedData] = useState(null);
     const [isProcessing, setIsProcessing] = useState(false);
     const [logs, setLogs] = useState([]);
     const [errors, setErrors] = useState([]);
+    // Upload whose headers need mapping: { headers, rows, fileName }
+    const [pendingImport, setPendingImport] = useState(null);
+    const navigate = useNavigate();
 
     const addLog = useCallback((message, type = 'info') => {
         const timestamp = new Date().toLocaleTimeString();
@@ -30,21 +42,27 @@ const PoProcessor = () => {
         addLog(message, 'error');
     }, [addLog]);
 
+    const loadRecycledEntries = useCallback(async () => {
+        const response = await apiFetch('/recycled-pos');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const entries = await response.json();
+        setRecycledEntries(entries);
+        return entries;
+    }, []);
+
+    useEffect(() => {
+        loadRecycledEntries().catch(error => console.error('Failed to load recycled POs:', error));
+    }, [loadRecycledEntries]);
+
     const clearLogs = () => {
         setLogs([]);
         setErrors([]);
     };
 
-    const validateHeaders = (headers, expectedHeaders, fileName) => {
-        const normalizedHeaders = headers.map(h => h.trim());
-        const normalizedExpected = expectedHeaders.map(h => h.trim());
-
-        if (JSON.stringify(normalizedHeaders) !== JSON.stringify(normalizedExpected)) {
-            throw new Error(`Header mismatch in ${fileName}. Expected: [${normalizedExpected.join(', ')}], Got: [${normalizedHeaders.join(', ')}]`);
-        }
-    };
-
-    const parseExcelFile = (file, expectedHeaders, fileName) => {
+    // Both parsers resolve to { headers, rows }; matching headers to fields happens afterwards
+    const parseExcelFile = (file, fileName) => {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = (e) => {
@@ -75,9 +93,6 @@ const PoProcessor = () => {
                         throw new Error(`No headers found in ${fileName}. Please ensure the file has a header row.`);
                     }
 
-                    // Validate headers
-                    validateHeaders(headers, expectedHeaders, fileName);
-
                     // Convert to object format like Papa Parse
                     const objectData = dataRows
                         .filter(row => row.some(cell => cell !== '')) // Skip empty rows
@@ -90,7 +105,7 @@ const PoProcessor = () => {
                         });
 
                     addLog(`Successfully read ${objectData.length} rows from ${fileName} (Excel)`);
-                    resolve(objectData);
+                    resolve({ headers: headers.filter(header => header !== undefined && header !== '').map(String), rows: objectData });
                 } catch (error) {
                     reject(new Error(`Failed to parse Excel file ${fileName}: ${error.message}`));
                 }
@@ -104,7 +119,7 @@ const PoProcessor = () => {
         });
     };
 
-    const parseCSVFile = (file, expectedHeaders, fileName) => {
+    const parseCSVFile = (file, fileName) => {
         return new Promise((resolve, reject) => {
             Papa.parse(file, {
                 header: true,
@@ -134,10 +149,9 @@ const PoProcessor = () => {
                         }
 
                         addLog(`Detected delimiter: '${results.meta.delimiter}' in ${fileName}`);
-                        validateHeaders(headers, expectedHeaders, fileName);
 
                         addLog(`Successfully read ${results.data.length} rows from ${fileName} (CSV)`);
-                        resolve(results.data);
+                        resolve({ headers, rows: results.data });
                     } catch (error) {
                         reject(error);
                     }
@@ -153,7 +167,7 @@ const PoProcessor = () => {
         return fileName.split('.').pop().toLowerCase();
     };
 
-    const handleFileUpload = async (event, fileType) => {
+    const handleFileUpload = async (event) => {
         const file = event.target.files[0];
         if (!file) return;
 
@@ -162,42 +176,50 @@ const PoProcessor = () => {
             addLog(`Reading file: ${file.name}`);
 
             const fileExtension = getFileExtension(file.name);
-            let data;
+            let parsed;
 
             // Determine file type and parse accordingly
             if (fileExtension === 'csv') {
-                if (fileType === 'po') {
-                    data = await parseCSVFile(file, PO_HEADERS, file.name);
-                } else if (fileType === 'recycled') {
-                    data = await parseCSVFile(file, RECYCLED_HEADERS, file.name);
-                }
+                parsed = await parseCSVFile(file, file.name);
             } else if (fileExtension === 'xlsx' || fileExtension === 'xls') {
-                if (fileType === 'po') {
-                    data = await parseExcelFile(file, PO_HEADERS, file.name);
-                } else if (fileType === 'recycled') {
-                    data = await parseExcelFile(file, RECYCLED_HEADERS, file.name);
-                }
+                parsed = await parseExcelFile(file, file.name);
             } else {
                 throw new Error(`Unsupported file format: ${fileExtension}. Please upload CSV, XLSX, or XLS files.`);
             }
 
-            if (fileType === 'po') {
-                setPOData(data);
-                addLog(`PO data loaded: ${data.length} records`);
-            } else if (fileType === 'recycled') {
-                setRecycledPOsData(data);
-                addLog(`Recycled POs data loaded: ${data.length} records`);
+            if (headersMatch(PO_HEADERS, parsed.headers)) {
+                setPendingImport(null);
+                storeData(parsed.rows);
+            } else {
+                addLog(`Columns of ${file.name} do not match [${PO_HEADERS.join(', ')}]; map them to continue`);
+                setPendingImport({ headers: parsed.headers, rows: parsed.rows, fileName: file.name });
             }
         } catch (error) {
             addError(`Error loading ${file.name}: ${error.message}`);
         }
     };
 
+    const storeData = (data) => {
+        setPOData(data);
+        addLog(`PO data loaded: ${data.length} records`);
+    };
+
+    const applyImportMapping = (mapping, profile) => {
+        const { rows } = pendingImport;
+        setPendingImport(null);
+        addLog(profile ? `Columns mapped with profile "${profile.name}"` : 'Columns mapped');
+        storeData(applyMapping(rows, [...PO_HEADERS, ...PO_OPTIONAL_HEADERS], mapping));
+    };
+
     const processPOData = (poData) => {
         addLog("Processing PO data");
 
         const invoicePOMap = {};
         const invoiceGoodsMap = {};
+        const invoiceDateMap = {};
+
+        // Invoice dates are optional; the first readable one per invoice counts
+        const dateFormat = detectDateFormat(poData.map(row => row['Invoice Date'])).format;
 
         poData.forEach(row => {
             const invoice = row.Invoice?.toString().trim();
@@ -212,42 +234,60 @@ const PoProcessor = () => {
 
                 if (po) invoicePOMap[invoice].push(po);
                 if (goods) invoiceGoodsMap[invoice].push(goods);
+
+                const date = parseDateValue(row['Invoice Date'], dateFormat);
+                if (date && !invoiceDateMap[invoice]) invoiceDateMap[invoice] = dayKey(date);
             }
         });
 
+        const datedCount = Object.keys(invoiceDateMap).length;
+        if (datedCount > 0) {
+            addLog(`Read invoice dates for ${datedCount} invoices (${dateFormatLabel(dateFormat)})`);
+        }
         addLog(`Processed data for ${Object.keys(invoicePOMap).length} invoices`);
-        return { invoicePOMap, invoiceGoodsMap };
+        return { invoicePOMap, invoiceGoodsMap, invoiceDateMap };
     };
 
-    const determineInvoiceType = (invoicePOMap, recycledPOsSet) => {
-        addLog("Determining invoice types");
+    // Each invoice is run through the composition rules with the PO sets that were valid on its date.
+    // Returns invoice -> { code, description }.
+    const determineInvoiceType = (invoicePOMap, invoiceDateMap, recycledEntries, rules) => {
+        addLog("Determining invoice compositions");
 
         const invoiceTypeMap = {};
-        const typeCounts = { mixed: 0, recycled: 0, normal: 0 };
+        const typeCounts = {};
+        const setsByDay = new Map();
+        let undatedCount = 0;
 
         Object.entries(invoicePOMap).forEach(([invoice, posList]) => {
-            const hasRecycled = posList.some(po => recycledPOsSet.has(po));
-            const hasNormal = posList.some(po => !recycledPOsSet.has(po) && po);
-
-            if (hasRecycled && hasNormal) {
-                invoiceTypeMap[invoice] = TYPE_MIXED;
-                typeCounts.mixed++;
-            } else if (hasRecycled) {
-                invoiceTypeMap[invoice] = TYPE_RECYCLED;
-                typeCounts.recycled++;
-            } else {
-                invoiceTypeMap[invoice] = TYPE_NORMAL;
-                typeCounts.normal++;
-            }
+            const day = invoiceDateMap[invoice] || fallbackDay;
+            if (!invoiceDateMap[invoice]) undatedCount++;
+            if (!setsByDay.has(day)) setsByDay.set(day, poSetsOn(recycledEntries, day));
+
+            const { rule, reason } = classifyInvoice(posList, rules, setsByDay.get(day));
+            const code = rule ? rule.code : '';
+            invoiceTypeMap[invoice] = { code, description: rule ? rule.description : '' };
+            typeCounts[code || 'none'] = (typeCounts[code || 'none'] || 0) + 1;
+            addLog(`Invoice ${invoice}: ${code || 'no composition'} (${reason})`, rule ? 'info' : 'warning');
         });
 
-        addLog(`Invoice type counts: Mixed: ${typeCounts.mixed}, Recycled: ${typeCounts.recycled}, Normal: ${typeCounts.normal}`);
+        if (undatedCount > 0) {
+            addLog(`${undatedCount} invoices without a date were checked against the lists valid on ${fallbackDay}`);
+        }
+        addLog(`Composition counts: ${Object.entries(typeCounts).map(([code, count]) => `${code}: ${count}`).join(', ')}`);
         return invoiceTypeMap;
     };
 
+    const loadCompositionRules = async () => {
+        const response = await apiFetch('/composition-rules');
+        if (!response.ok) {
+            throw new Error(`Failed to load composition rules (status ${response.status})`);
+        }
+        return (await response.json()).rules;
+    };
+
     const processData = async () => {
-        if (!poData || !recycledPOsData) {
-            addError("Please upload both PO data and recycled POs files");
+        if (!poData) {
+            addError("Please upload the PO data file");
             return;
         }
 
@@ -257,29 +297,28 @@ const PoProcessor = () => {
         try {
             addLog("Starting PO data processing");
 
-            // Extract recycled PO numbers
-            const recycledPOsSet = new Set(
-                recycledPOsData
-                    .map(row => row.PO?.toString().trim())
-                    .filter(po => po)
-            );
-            addLog(`Found ${recycledPOsSet.size} recycled PO numbers`);
+            // Fetch the list again so edits made since the page opened are used
+            const entries = await loadRecycledEntries();
+            addLog(`Loaded ${entries.length} recycled PO entries from the server`);
+            const rules = await loadCompositionRules();
+            addLog(`Loaded ${rules.length} composition rules`);
 
             // Process the data
-            const { invoicePOMap, invoiceGoodsMap } = processPOData(poData);
-            const invoiceTypeMap = determineInvoiceType(invoicePOMap, recycledPOsSet);
+            const { invoicePOMap, invoiceGoodsMap, invoiceDateMap } = processPOData(poData);
+            const invoiceTypeMap = determineInvoiceType(invoicePOMap, invoiceDateMap, entries, rules);
 
             // Generate output data
             const outputData = Object.entries(invoicePOMap).map(([invoice, pos]) => {
                 const poNumbers = pos.filter(po => po).join(',');
                 const goods = (invoiceGoodsMap[invoice] || []).filter(g => g).join(',');
-                const description = invoiceTypeMap[invoice] || TYPE_NORMAL;
+                const { code, description } = invoiceTypeMap[invoice];
 
                 return {
                     'Invoice Number': invoice,
                     'PO Numbers': poNumbers,
                     'Description': description,
-                    'Goods': goods
+                    'Goods': goods,
+                    'Composition Code': code
                 };
             });
 
@@ -326,6 +365,13 @@ const PoProcessor = () => {
         XLSX.writeFile(wb, `output_${new Date().toISOString().split('T')[0]}.xlsx`);
     };
 
+    // Hand the per-invoice output to the FCR draft generator, which joins it with the EXP register
+    const continueToFcrDraft = () => {
+        if (!processedData) return;
+        storePoOutput(processedData);
+        navigate('/FcrDarftMake');
+    };
+
     return (
         <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
             <div className="max-w-6xl mx-auto">
@@ -344,11 +390,11 @@ const PoProcessor = () => {
                             <div className="text-center">
                                 <Upload className="w-12 h-12 text-blue-600 mx-auto mb-4" />
                                 <h3 className="text-xl font-semibold text-gray-800 mb-2">PO Data File</h3>
-                                <p className="text-gray-600 mb-4">Upload CSV/Excel with columns: Invoice, PO, Goods</p>
+                                <p className="text-gray-600 mb-4">Upload CSV/Excel with columns: Invoice, PO, Goods and optionally Invoice Date (other names can be mapped)</p>
                                 <input
                                     type="file"
                                     accept=".csv,.xlsx,.xls"
-                                    onChange={(e) => handleFileUpload(e, 'po')}
+                                    onChange={handleFileUpload}
                                     className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
                                 />
                                 <p className="text-xs text-gray-500 mt-2">Supports: CSV, XLSX, XLS</p>
@@ -361,34 +407,58 @@ const PoProcessor = () => {
                             </div>
                         </div>
 
-                        {/* Recycled POs Upload */}
-                        <div className="bg-gradient-to-r from-green-50 to-green-100 rounded-xl p-6 border-2 border-dashed border-green-300 hover:border-green-400 transition-colors">
+                        {/* Recycled PO list (managed on the server) */}
+                        <div className="bg-gradient-to-r from-green-50 to-green-100 rounded-xl p-6 border-2 border-green-300">
                             <div className="text-center">
-                                <Upload className="w-12 h-12 text-green-600 mx-auto mb-4" />
-                                <h3 className="text-xl font-semibold text-gray-800 mb-2">Recycled POs File</h3>
-                                <p className="text-gray-600 mb-4">Upload CSV/Excel with column: PO</p>
-                                <input
-                                    type="file"
-                                    accept=".csv,.xlsx,.xls"
-                                    onChange={(e) => handleFileUpload(e, 'recycled')}
-                                    className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-green-50 file:text-green-700 hover:file:bg-green-100"
-                                />
-                                <p className="text-xs text-gray-500 mt-2">Supports: CSV, XLSX, XLS</p>
-                                {recycledPOsData && (
-                                    <div className="mt-3 flex items-center justify-center text-green-600">
-                                        <CheckCircle className="w-5 h-5 mr-2" />
-                                        <span className="text-sm font-medium">{recycledPOsData.length} records loaded</span>
-                                    </div>
-                                )}
+                                <Recycle className="w-12 h-12 text-green-600 mx-auto mb-4" />
+                                <h3 className="text-xl font-semibold text-gray-800 mb-2">PO Sets &amp; Composition Rules</h3>
+                                <p className="text-gray-600 mb-4">
+                                    {recycledEntries
+                                        ? `${recycledEntries.length} PO entries; each invoice uses the lists valid on its invoice date`
+                                        : 'Loading the list from the server...'}
+                                </p>
+                                <label className="text-sm text-gray-700 flex items-center justify-center gap-2">
+                                    Invoices without a date use the lists of
+                                    <input
+                                        type="date"
+                                        value={fallbackDay}
+                                        onChange={(e) => setFallbackDay(e.target.value || dayKey(new Date()))}
+                                        className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                    />
+                                </label>
+                                <div className="mt-3 flex justify-center gap-4 text-sm font-medium">
+                                    <Link to="/recycled-pos" className="text-green-700 hover:text-green-900">
+                                        Manage PO sets
+                                    </Link>
+                                    <Link to="/composition-rules" className="text-green-700 hover:text-green-900">
+                                        Edit composition rules
+                                    </Link>
+                                </div>
                             </div>
                         </div>
                     </div>
 
+                    {/* Column mapping for files whose headers differ from the expected ones */}
+                    {pendingImport && (
+                        <div className="mb-8">
+                            <ColumnMappingStep
+                                key={pendingImport.fileName}
+                                kind="po"
+                                fields={PO_HEADERS}
+                                optionalFields={PO_OPTIONAL_HEADERS}
+                                headers={pendingImport.headers}
+                                fileName={pendingImport.fileName}
+                                onApply={applyImportMapping}
+                                onCancel={() => setPendingImport(null)}
+                            />
+                        </div>
+                    )}
+
                     {/* Process Button */}
                     <div className="text-center mb-8">
                         <button
                             onClick={processData}
-                            disabled={!poData || !recycledPOsData || isProcessing}
+                            disabled={!poData || isProcessing}
                             className="bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 disabled:from-gray-400 disabled:to-gray-500 text-white font-bold py-4 px-8 rounded-xl text-lg shadow-lg transform hover:scale-105 disabled:hover:scale-100 transition-all duration-200 disabled:cursor-not-allowed flex items-center mx-auto"
                         >
                             {isProcessing ? (
@@ -423,6 +493,13 @@ const PoProcessor = () => {
                                     <Download className="w-5 h-5 mr-2" />
                                     Download as Excel
                                 </button>
+                                <button
+                                    onClick={continueToFcrDraft}
+                                    className="bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 text-white font-bold py-3 px-6 rounded-xl shadow-lg transform hover:scale-105 transition-all duration-200 flex items-center"
+                                >
+                                    <ArrowRight className="w-5 h-5 mr-2" />
+                                    Continue to FCR Draft
+                                </button>
                             </div>
                         </div>
                     )}
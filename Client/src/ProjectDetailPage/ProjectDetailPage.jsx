@@ -1,10 +1,37 @@
-import React, { useState, useEffect } from 'react';
-import { Copy, Check, X, ArrowLeft } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Copy, Check, X, ArrowLeft, History, GitBranch, Users, CloudOff, RefreshCw } from 'lucide-react';
+import { apiFetch, eventStreamUrl } from '../api/client';
+import { useAuth } from '../Auth/AuthContext';
+import { enqueueCopyChange, getQueuedChanges, removeQueuedChange } from '../utils/offlineQueue';
+import RevisionHistory from './RevisionHistory';
+
+// How often the page refetches the project while the live event stream is unavailable
+const FALLBACK_REFRESH_MS = 15000;
+// Retry delay after a failed sync of queued changes, doubling up to the maximum
+const SYNC_RETRY_MS = 5000;
+const SYNC_RETRY_MAX_MS = 5 * 60 * 1000;
 
 const ProjectDetailPage = () => {
     const [project, setProject] = useState(null);
     const [loading, setLoading] = useState(true);
     const [copiedBoxes, setCopiedBoxes] = useState({});
+    const [showHistory, setShowHistory] = useState(false);
+    const [history, setHistory] = useState([]);
+    const [historyFilter, setHistoryFilter] = useState('');
+    const [showRevisions, setShowRevisions] = useState(false);
+    const [viewers, setViewers] = useState([]);
+    const [liveUpdates, setLiveUpdates] = useState(true);
+    const [pendingSync, setPendingSync] = useState({});
+    const [isSyncing, setIsSyncing] = useState(false);
+    const syncingRef = useRef(false);
+    // The listeners and timers below call the latest syncPending through this ref
+    const syncPendingRef = useRef(null);
+    const syncRetryRef = useRef({ timer: null, attempt: 0 });
+    const { user, hasRole } = useAuth();
+
+    // Viewers can copy text but not mark boxes as done
+    const canMarkCopied = hasRole('operator', 'admin');
+    const isAdmin = hasRole('admin');
 
     // Get project ID dynamically from URL
     const getProjectIdFromUrl = () => {
@@ -14,17 +41,12 @@ const ProjectDetailPage = () => {
     };
 
     const projectId = getProjectIdFromUrl();
-    const API_BASE = 'https://demco-fcr-server.vercel.app/api';
 
-    // Load project data
-    useEffect(() => {
-        loadProject();
-    }, []);
-
-    const loadProject = async () => {
+    // silent: refresh in place without the full-page loading state
+    const loadProject = useCallback(async (silent = false) => {
         try {
-            setLoading(true);
-            const response = await fetch(`${API_BASE}/projects/${projectId}`);
+            if (!silent) setLoading(true);
+            const response = await apiFetch(`/projects/${projectId}`);
             if (response.ok) {
                 const data = await response.json();
                 setProject(data);
@@ -35,57 +57,259 @@ const ProjectDetailPage = () => {
         } finally {
             setLoading(false);
         }
-    };
+    }, [projectId]);
 
-    // Update copy status on server - fallback to full project update
-    const updateCopyStatus = async (boxId, isCopied) => {
-        try {
-            // First try the dedicated copy-status endpoint
-            let response = await fetch(`${API_BASE}/projects/${projectId}/copy-status`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    boxId,
-                    isCopied
-                })
-            });
+    // Load project data
+    useEffect(() => {
+        loadProject();
+    }, [loadProject]);
+
+    // Live updates from other operators: box ticks, resets, full saves and who else has the page open.
+    // While the stream is down (or the deployment cannot hold one open) the project is refetched
+    // periodically instead, and once it reconnects once more to catch up on what was missed.
+    useEffect(() => {
+        if (!projectId) return;
+
+        const source = new EventSource(eventStreamUrl(`/projects/${projectId}/events`));
+        let opened = false;
+        let fallbackTimer = null;
 
-            // If that fails, fallback to updating the entire project
-            if (!response.ok) {
-                console.log('Copy-status endpoint failed, using fallback method');
+        source.addEventListener('open', () => {
+            if (opened) loadProject(true);
+            opened = true;
+            clearInterval(fallbackTimer);
+            fallbackTimer = null;
+            setLiveUpdates(true);
+        });
 
-                const newCopiedBoxes = { ...copiedBoxes };
+        source.addEventListener('error', () => {
+            if (fallbackTimer) return;
+            setLiveUpdates(false);
+            setViewers([]);
+            fallbackTimer = setInterval(() => loadProject(true), FALLBACK_REFRESH_MS);
+        });
+
+        source.addEventListener('copy-status', (event) => {
+            const { boxId, isCopied } = JSON.parse(event.data);
+            setCopiedBoxes(prev => {
+                const next = { ...prev };
                 if (isCopied) {
-                    newCopiedBoxes[boxId] = true;
+                    next[boxId] = true;
                 } else {
-                    delete newCopiedBoxes[boxId];
+                    delete next[boxId];
                 }
+                return next;
+            });
+        });
 
-                response = await fetch(`${API_BASE}/projects/${projectId}`, {
-                    method: 'PUT',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        copiedBoxes: newCopiedBoxes,
-                        updatedAt: new Date()
-                    })
-                });
+        source.addEventListener('reset', () => setCopiedBoxes({}));
+
+        source.addEventListener('updated', (event) => {
+            const { user: author } = JSON.parse(event.data);
+            if (author !== user?.username) {
+                loadProject(true);
             }
+        });
 
-            return response.ok;
+        source.addEventListener('presence', (event) => {
+            setViewers(JSON.parse(event.data).viewers);
+        });
+
+        return () => {
+            source.close();
+            clearInterval(fallbackTimer);
+        };
+    }, [projectId, user?.username, loadProject]);
+
+    // Replay anything queued offline now and whenever the browser comes back online
+    useEffect(() => {
+        if (!projectId) return;
+
+        const retry = syncRetryRef.current;
+        const sync = () => syncPendingRef.current();
+        sync();
+        window.addEventListener('online', sync);
+        return () => {
+            window.removeEventListener('online', sync);
+            clearTimeout(retry.timer);
+        };
+    }, [projectId]);
+
+    const sendCopyStatus = (boxId, isCopied) => apiFetch(`/projects/${projectId}/copy-status`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            boxId,
+            isCopied,
+            source: 'project-detail'
+        })
+    });
+
+    // Queued changes for this project made by the signed-in user; the latest per box is shown as pending
+    const loadPendingSync = async () => {
+        const changes = (await getQueuedChanges(projectId)).filter(change => change.user === user?.username);
+        setPendingSync(changes.reduce((pending, change) => ({ ...pending, [change.boxId]: change.isCopied }), {}));
+        return changes;
+    };
+
+    const queueCopyChange = async (boxId, isCopied) => {
+        try {
+            const boxIndex = project?.processedData?.find(item => item.id === boxId)?.index;
+            await enqueueCopyChange({
+                projectId,
+                boxId,
+                boxIndex,
+                isCopied,
+                user: user?.username,
+                at: new Date().toISOString()
+            });
+            setPendingSync(prev => ({ ...prev, [boxId]: isCopied }));
+            return true;
         } catch (error) {
-            console.error('Failed to update copy status:', error);
+            console.error('Failed to queue copy status change:', error);
             return false;
         }
     };
 
+    // Update a single box's copy status on server (atomic, so other operators' ticks are kept).
+    // Without a connection the change is queued in IndexedDB instead and replayed by syncPending;
+    // while anything is queued new changes go to the back of the queue so the order is kept.
+    const updateCopyStatus = async (boxId, isCopied) => {
+        if (!navigator.onLine || Object.keys(pendingSync).length > 0) {
+            const queued = await queueCopyChange(boxId, isCopied);
+            if (queued && navigator.onLine) syncPending();
+            return queued;
+        }
+
+        try {
+            const response = await sendCopyStatus(boxId, isCopied);
+            if (response.status >= 500) {
+                // The server may be back in a moment; keep the change rather than reverting it
+                const queued = await queueCopyChange(boxId, isCopied);
+                if (queued) scheduleSync(SYNC_RETRY_MS);
+                return queued;
+            }
+            return response.ok;
+        } catch (error) {
+            // fetch only rejects when the request never reached the server
+            console.error('Failed to update copy status, queued for sync:', error);
+            return queueCopyChange(boxId, isCopied);
+        }
+    };
+
+    const scheduleSync = (delay) => {
+        clearTimeout(syncRetryRef.current.timer);
+        syncRetryRef.current.timer = setTimeout(() => syncPendingRef.current(), delay);
+    };
+
+    // Replay queued changes oldest first. If another operator touched a box (or reset the project)
+    // after our offline change, that is a conflict and the operator decides whose change stands.
+    // Changes the server refuses (4xx) are dropped and reported; after a server error (5xx) or a
+    // lost connection the rest stay queued and the sync is retried with a growing delay.
+    const syncPending = async () => {
+        if (syncingRef.current || !navigator.onLine) return;
+        syncingRef.current = true;
+        clearTimeout(syncRetryRef.current.timer);
+
+        const changes = await loadPendingSync().catch(() => []);
+        if (changes.length === 0) {
+            syncingRef.current = false;
+            return;
+        }
+        setIsSyncing(true);
+
+        const rejected = [];
+        let failed = false;
+        try {
+            const historyResponse = await apiFetch(`/projects/${projectId}/history`);
+            if (!historyResponse.ok) {
+                throw new Error('Failed to load copy history');
+            }
+            const serverHistory = await historyResponse.json(); // newest first
+
+            for (const change of changes) {
+                const latest = serverHistory.find(event => event.boxId === change.boxId || event.action === 'reset');
+                let apply = true;
+
+                if (latest && latest.user !== change.user && new Date(latest.at) > new Date(change.at)) {
+                    apply = window.confirm(
+                        `Sync conflict on box #${change.boxIndex ?? change.boxId}: ${latest.user} ${describeAction(latest)} ` +
+                        `at ${new Date(latest.at).toLocaleString()}, after your offline change.\n\n` +
+                        `OK: apply yours (${change.isCopied ? 'copied' : 'not copied'}).\nCancel: keep theirs.`
+                    );
+                }
+
+                if (apply) {
+                    const response = await sendCopyStatus(change.boxId, change.isCopied);
+                    if (response.status >= 500) {
+                        throw new Error(`Server error ${response.status}`);
+                    }
+                    if (!response.ok) {
+                        const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                        rejected.push(`${change.boxId}: ${errorData.error}`);
+                    }
+                }
+
+                await removeQueuedChange(change.seq);
+            }
+        } catch (error) {
+            // Connection dropped again or the server failed; whatever is left stays queued
+            failed = true;
+            console.error('Failed to sync queued copy status changes:', error);
+        } finally {
+            syncingRef.current = false;
+            setIsSyncing(false);
+        }
+
+        const remaining = await loadPendingSync().catch(() => []);
+        loadProject(true);
+
+        if (failed) {
+            const attempt = ++syncRetryRef.current.attempt;
+            scheduleSync(Math.min(SYNC_RETRY_MS * 2 ** (attempt - 1), SYNC_RETRY_MAX_MS));
+        } else {
+            syncRetryRef.current.attempt = 0;
+            // Changes queued while this sync was running
+            if (remaining.length > 0) scheduleSync(0);
+        }
+
+        if (rejected.length > 0) {
+            window.alert(`Some queued changes were rejected by the server and dropped:\n${rejected.join('\n')}`);
+        }
+    };
+
+    syncPendingRef.current = syncPending;
+
+    // Load the copy / uncopy / reset timeline
+    const loadHistory = async () => {
+        try {
+            const response = await apiFetch(`/projects/${projectId}/history`);
+            if (response.ok) {
+                setHistory(await response.json());
+            }
+        } catch (error) {
+            console.error('Failed to load history:', error);
+        }
+    };
+
+    const toggleHistory = () => {
+        if (!showHistory) loadHistory();
+        setShowHistory(prev => !prev);
+    };
+
+    const describeAction = (event) => {
+        if (event.action === 'reset') return 'reset all boxes';
+        const box = event.index ? `box #${event.index} (invoice ${event.invoiceNo})` : `box ${event.boxId}`;
+        return event.action === 'copy' ? `marked ${box} copied` : `removed copied status from ${box}`;
+    };
+
     // Copy to clipboard and mark as copied
     const copyToClipboard = async (boxId, content) => {
         try {
             await navigator.clipboard.writeText(content);
+            if (!canMarkCopied) return;
 
             // Update local state immediately for instant visual feedback
             setCopiedBoxes(prev => ({
@@ -172,9 +396,13 @@ const ProjectDetailPage = () => {
     }
 
     const processedData = project.processedData || [];
-    const copiedCount = Object.values(copiedBoxes).filter(Boolean).length;
+    // Server state with this operator's not-yet-synced changes laid over it
+    const displayedBoxes = { ...copiedBoxes, ...pendingSync };
+    const pendingCount = Object.keys(pendingSync).length;
+    const copiedCount = Object.values(displayedBoxes).filter(Boolean).length;
     const totalCount = processedData.length;
     const progressPercent = totalCount > 0 ? (copiedCount / totalCount) * 100 : 0;
+    const otherViewers = viewers.filter(viewer => viewer.username !== user?.username);
 
     return (
         <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
@@ -195,19 +423,53 @@ const ProjectDetailPage = () => {
                                     {project.Year && `Year: ${project.Year} • `}
                                     Created: {new Date(project.createdAt).toLocaleDateString()}
                                 </p>
+                                {otherViewers.length > 0 && (
+                                    <p className="text-xs text-indigo-600 flex items-center gap-1 mt-1">
+                                        <Users className="w-3 h-3" />
+                                        {otherViewers.map(viewer => viewer.name).join(', ')} {otherViewers.length === 1 ? 'is' : 'are'} viewing
+                                    </p>
+                                )}
+                                {!liveUpdates && (
+                                    <p className="text-xs text-gray-500 flex items-center gap-1 mt-1">
+                                        <RefreshCw className="w-3 h-3" />
+                                        Live updates unavailable; refreshing every {FALLBACK_REFRESH_MS / 1000}s
+                                    </p>
+                                )}
                             </div>
                         </div>
 
-                        {/* Progress */}
-                        <div className="text-right">
-                            <div className="text-lg font-semibold text-gray-800">
-                                {copiedCount} / {totalCount}
-                            </div>
-                            <div className="w-32 bg-gray-200 rounded-full h-2 mt-1">
-                                <div
-                                    className="bg-green-500 h-2 rounded-full transition-all duration-300"
-                                    style={{ width: `${progressPercent}%` }}
-                                />
+                        <div className="flex items-center gap-6">
+                            <button
+                                onClick={toggleHistory}
+                                className={`px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-2 transition-colors ${showHistory
+                                    ? 'bg-indigo-600 text-white'
+                                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                    }`}
+                            >
+                                <History className="w-4 h-4" />
+                                History
+                            </button>
+                            <button
+                                onClick={() => setShowRevisions(prev => !prev)}
+                                className={`px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-2 transition-colors ${showRevisions
+                                    ? 'bg-indigo-600 text-white'
+                                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                    }`}
+                            >
+                                <GitBranch className="w-4 h-4" />
+                                Revisions
+                            </button>
+                            {/* Progress */}
+                            <div className="text-right">
+                                <div className="text-lg font-semibold text-gray-800">
+                                    {copiedCount} / {totalCount}
+                                </div>
+                                <div className="w-32 bg-gray-200 rounded-full h-2 mt-1">
+                                    <div
+                                        className="bg-green-500 h-2 rounded-full transition-all duration-300"
+                                        style={{ width: `${progressPercent}%` }}
+                                    />
+                                </div>
                             </div>
                         </div>
                     </div>
@@ -216,6 +478,80 @@ const ProjectDetailPage = () => {
 
             {/* Content */}
             <div className="max-w-7xl mx-auto px-6 py-8">
+                {/* Offline queue */}
+                {pendingCount > 0 && (
+                    <div className="mb-6 flex items-center gap-3 bg-yellow-50 border-l-4 border-yellow-500 text-yellow-800 px-4 py-3 rounded">
+                        <CloudOff className="w-5 h-5 text-yellow-600" />
+                        <span className="text-sm font-medium flex-1">
+                            {pendingCount} box{pendingCount === 1 ? '' : 'es'} pending sync
+                            {!navigator.onLine && ' (offline, will sync when the connection returns)'}
+                        </span>
+                        <button
+                            onClick={syncPending}
+                            disabled={isSyncing}
+                            className="px-3 py-1 rounded text-sm font-medium bg-yellow-600 text-white hover:bg-yellow-700 disabled:opacity-50 flex items-center gap-1"
+                        >
+                            <RefreshCw className={`w-4 h-4 ${isSyncing ? 'animate-spin' : ''}`} />
+                            Sync now
+                        </button>
+                    </div>
+                )}
+
+                {/* Revision history */}
+                {showRevisions && (
+                    <RevisionHistory
+                        projectId={projectId}
+                        canRestore={isAdmin}
+                        onRestored={(restored) => {
+                            setProject(restored);
+                            setCopiedBoxes(restored.copiedBoxes || {});
+                        }}
+                    />
+                )}
+
+                {/* Copy history timeline */}
+                {showHistory && (
+                    <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+                        <div className="flex items-center justify-between mb-4">
+                            <h3 className="text-lg font-semibold text-gray-800">Copy History</h3>
+                            <input
+                                type="text"
+                                placeholder="Filter by invoice number..."
+                                value={historyFilter}
+                                onChange={(e) => setHistoryFilter(e.target.value)}
+                                className="px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                            />
+                        </div>
+                        {history.length === 0 ? (
+                            <p className="text-sm text-gray-500">No copy actions recorded yet.</p>
+                        ) : (
+                            <div className="max-h-80 overflow-y-auto divide-y divide-gray-100">
+                                {history
+                                    .filter(event => !historyFilter || (event.invoiceNo || '').toLowerCase().includes(historyFilter.toLowerCase()))
+                                    .map((event, idx) => (
+                                        <div key={idx} className="py-2 flex items-center gap-3 text-sm">
+                                            <span className="text-xs text-gray-500 w-40 flex-shrink-0">
+                                                {new Date(event.at).toLocaleString()}
+                                            </span>
+                                            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${event.action === 'copy'
+                                                ? 'bg-green-100 text-green-800'
+                                                : event.action === 'uncopy'
+                                                    ? 'bg-yellow-100 text-yellow-800'
+                                                    : 'bg-red-100 text-red-800'
+                                                }`}>
+                                                {event.action}
+                                            </span>
+                                            <span className="text-gray-800">
+                                                <strong>{event.user}</strong> {describeAction(event)}
+                                            </span>
+                                            <span className="ml-auto text-xs text-gray-400">{event.source}</span>
+                                        </div>
+                                    ))}
+                            </div>
+                        )}
+                    </div>
+                )}
+
                 {processedData.length === 0 ? (
                     <div className="text-center py-20">
                         <h3 className="text-xl font-medium text-gray-900 mb-2">No Data Available</h3>
@@ -226,7 +562,7 @@ const ProjectDetailPage = () => {
                         {processedData.map((item) => (
                             <div
                                 key={item.id}
-                                className={`relative bg-white border-2 rounded-xl p-6 shadow-lg hover:shadow-xl transition-all duration-200 ${copiedBoxes[item.id]
+                                className={`relative bg-white border-2 rounded-xl p-6 shadow-lg hover:shadow-xl transition-all duration-200 ${displayedBoxes[item.id]
                                     ? 'border-green-400 bg-green-50'
                                     : 'border-gray-300 hover:border-blue-400'
                                     }`}
@@ -236,15 +572,23 @@ const ProjectDetailPage = () => {
                                     {item.index}
                                 </div>
 
+                                {/* Pending sync indicator */}
+                                {pendingSync[item.id] !== undefined && (
+                                    <div className="absolute -top-3 left-8 px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800 flex items-center gap-1">
+                                        <CloudOff className="w-3 h-3" />
+                                        Pending sync
+                                    </div>
+                                )}
+
                                 {/* Copied indicator */}
-                                {copiedBoxes[item.id] && (
+                                {displayedBoxes[item.id] && (
                                     <div className="absolute -top-2 -right-2 bg-green-500 text-white rounded-full p-2">
                                         <Check className="w-4 h-4" />
                                     </div>
                                 )}
 
                                 {/* Remove copy button */}
-                                {copiedBoxes[item.id] && (
+                                {displayedBoxes[item.id] && canMarkCopied && (
                                     <button
                                         onClick={(e) => {
                                             e.stopPropagation();
@@ -274,12 +618,12 @@ const ProjectDetailPage = () => {
                                 {/* Copy button */}
                                 <button
                                     onClick={() => copyToClipboard(item.id, item.formattedText)}
-                                    className={`w-full py-2 px-4 rounded-lg font-medium transition-colors flex items-center justify-center gap-2 ${copiedBoxes[item.id]
+                                    className={`w-full py-2 px-4 rounded-lg font-medium transition-colors flex items-center justify-center gap-2 ${displayedBoxes[item.id]
                                         ? 'bg-green-600 text-white hover:bg-green-700'
                                         : 'bg-blue-600 text-white hover:bg-blue-700'
                                         }`}
                                 >
-                                    {copiedBoxes[item.id] ? (
+                                    {displayedBoxes[item.id] ? (
                                         <>
                                             <Check className="w-4 h-4" />
                                             Copied
@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { RotateCcw, GitCompare, Loader } from 'lucide-react';
+import { apiFetch } from '../api/client';
+
+// Revision list for a project with per-revision diffs and (for admins) restore
+const RevisionHistory = ({ projectId, canRestore, onRestored }) => {
+    const [revisions, setRevisions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [openDiff, setOpenDiff] = useState(null);
+    const [diff, setDiff] = useState(null);
+    const [restoringNumber, setRestoringNumber] = useState(null);
+
+    const loadRevisions = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await apiFetch(`/projects/${projectId}/revisions`);
+            if (response.ok) {
+                setRevisions(await response.json());
+            }
+        } catch (error) {
+            console.error('Failed to load revisions:', error);
+        } finally {
+            setLoading(false);
+        }
+    }, [projectId]);
+
+    useEffect(() => {
+        loadRevisions();
+    }, [loadRevisions]);
+
+    const toggleDiff = async (number) => {
+        if (openDiff === number) {
+            setOpenDiff(null);
+            return;
+        }
+
+        setOpenDiff(number);
+        setDiff(null);
+        try {
+            const response = await apiFetch(`/projects/${projectId}/revisions/${number}/diff`);
+            if (response.ok) {
+                setDiff(await response.json());
+            }
+        } catch (error) {
+            console.error('Failed to load diff:', error);
+        }
+    };
+
+    const restoreRevision = async (revision) => {
+        if (!window.confirm(`Restore revision ${revision.number}? The current row data and copy status will be replaced (this is itself recorded as a new revision).`)) return;
+
+        try {
+            setRestoringNumber(revision.number);
+            const response = await apiFetch(`/projects/${projectId}/revisions/${revision.number}/restore`, { method: 'POST' });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || 'Failed to restore revision');
+            }
+            onRestored(await response.json());
+            await loadRevisions();
+        } catch (error) {
+            console.error('Failed to restore revision:', error);
+            window.alert(`Failed to restore revision: ${error.message}`);
+        } finally {
+            setRestoringNumber(null);
+        }
+    };
+
+    const renderIds = (label, ids) => ids.length > 0 && (
+        <p><span className="font-medium">{label}:</span> {ids.join(', ')}</p>
+    );
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">Revisions</h3>
+            {loading ? (
+                <p className="text-sm text-gray-500">Loading revisions...</p>
+            ) : revisions.length === 0 ? (
+                <p className="text-sm text-gray-500">No revisions recorded yet.</p>
+            ) : (
+                <div className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                    {revisions.map((revision, idx) => (
+                        <div key={revision.number} className="py-3">
+                            <div className="flex items-center gap-3 text-sm">
+                                <span className="font-bold text-gray-800 w-10">#{revision.number}</span>
+                                <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                                    {revision.kind}
+                                </span>
+                                <span className="text-gray-800 flex-1">
+                                    <strong>{revision.author}</strong> — {revision.summary}
+                                </span>
+                                <span className="text-xs text-gray-500">{new Date(revision.createdAt).toLocaleString()}</span>
+                                <button
+                                    onClick={() => toggleDiff(revision.number)}
+                                    className="p-1 text-gray-500 hover:text-indigo-600"
+                                    title="Show changes from the previous revision"
+                                >
+                                    <GitCompare className="w-4 h-4" />
+                                </button>
+                                {canRestore && idx > 0 && (
+                                    <button
+                                        onClick={() => restoreRevision(revision)}
+                                        disabled={restoringNumber !== null}
+                                        className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-50"
+                                        title="Restore this revision"
+                                    >
+                                        {restoringNumber === revision.number
+                                            ? <Loader className="w-4 h-4 animate-spin" />
+                                            : <RotateCcw className="w-4 h-4" />}
+                                    </button>
+                                )}
+                            </div>
+                            {openDiff === revision.number && (
+                                <div className="mt-2 ml-12 p-3 bg-gray-50 rounded text-xs text-gray-700 space-y-1">
+                                    {!diff ? (
+                                        <p>Loading changes...</p>
+                                    ) : (
+                                        <>
+                                            <p className="font-medium">
+                                                {diff.from ? `Changes since revision ${diff.from}` : 'Initial state'}: {diff.summary}
+                                            </p>
+                                            {diff.name && <p><span className="font-medium">Name:</span> {diff.name.from} → {diff.name.to}</p>}
+                                            {diff.year && <p><span className="font-medium">Year:</span> {diff.year.from} → {diff.year.to}</p>}
+                                            {renderIds('Rows added', diff.rows.added)}
+                                            {renderIds('Rows removed', diff.rows.removed)}
+                                            {diff.rows.changed.length > 0 && (
+                                                <div>
+                                                    <span className="font-medium">Rows changed:</span>
+                                                    {diff.rows.changed.map(row => (
+                                                        <p key={row.id} className="ml-2">
+                                                            {row.id} (invoice {row.invoiceNo}): {row.fields.join(', ')}
+                                                        </p>
+                                                    ))}
+                                                </div>
+                                            )}
+                                            {renderIds('Marked copied', diff.copied.added)}
+                                            {renderIds('Unmarked', diff.copied.removed)}
+                                        </>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RevisionHistory;
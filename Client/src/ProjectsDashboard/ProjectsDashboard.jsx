@@ -1,18 +1,34 @@
 import React, { useState, useEffect } from 'react';
-import { Calendar, Box, Copy, Download, Tag, User, Plus } from 'lucide-react';
+import { Calendar, Box, Copy, Download, Tag, User, Plus, Trash2, Archive, ArchiveRestore } from 'lucide-react';
 import { Link, Links } from 'react-router';
+import { apiFetch } from '../api/client';
+import { useAuth } from '../Auth/AuthContext';
 
 const ProjectsDashboard = () => {
     const [projects, setProjects] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [view, setView] = useState('active');
+    const [activeTag, setActiveTag] = useState(null);
+    const [tagCounts, setTagCounts] = useState([]);
+    const [tagsRevision, setTagsRevision] = useState(0);
+    const [editingTagsId, setEditingTagsId] = useState(null);
+    const [tagInput, setTagInput] = useState('');
+    const { hasRole } = useAuth();
+    const isAdmin = hasRole('admin');
+    const canManage = hasRole('operator', 'admin');
 
     useEffect(() => {
         const fetchProjects = async () => {
             try {
                 setLoading(true);
                 setError(null);
-                const response = await fetch('https://demco-fcr-server.vercel.app/api/projects');
+                const params = new URLSearchParams();
+                if (view === 'archived') params.set('archived', 'true');
+                if (activeTag) params.set('tag', activeTag);
+
+                const query = params.toString();
+                const response = await apiFetch(query ? `/projects?${query}` : '/projects');
 
                 if (!response.ok) {
                     throw new Error(`HTTP error! status: ${response.status}`);
@@ -33,7 +49,89 @@ const ProjectsDashboard = () => {
         };
 
         fetchProjects();
-    }, []);
+    }, [view, activeTag]);
+
+    // Tag list with counts for the filter bar
+    useEffect(() => {
+        const fetchTags = async () => {
+            try {
+                const response = await apiFetch(view === 'archived' ? '/projects/tags?archived=true' : '/projects/tags');
+                if (response.ok) {
+                    setTagCounts(await response.json());
+                }
+            } catch (error) {
+                console.error('Error fetching tags:', error);
+            }
+        };
+
+        fetchTags();
+    }, [view, tagsRevision]);
+
+    const startEditingTags = (project) => {
+        setEditingTagsId(project._id);
+        setTagInput((project.tags || []).join(', '));
+    };
+
+    const saveTags = async (project) => {
+        const tags = tagInput.split(',').map(tag => tag.trim()).filter(Boolean);
+
+        try {
+            const response = await apiFetch(`/projects/${project._id}/tags`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ tags })
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || 'Failed to update tags');
+            }
+
+            const updated = await response.json();
+            setProjects(prev => prev.map(p => (p._id === project._id ? { ...p, tags: updated.tags } : p)));
+            setEditingTagsId(null);
+            setTagsRevision(prev => prev + 1);
+        } catch (error) {
+            console.error('Error updating tags:', error);
+            window.alert(`Failed to update tags: ${error.message}`);
+        }
+    };
+
+    // Admin only - the server rejects deletes from other roles
+    const deleteProject = async (project) => {
+        if (!window.confirm(`Delete "${project.name}" (${project.year})? This cannot be undone.`)) return;
+
+        try {
+            const response = await apiFetch(`/projects/${project._id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || 'Failed to delete project');
+            }
+            setProjects(prev => prev.filter(p => p._id !== project._id));
+        } catch (error) {
+            console.error('Error deleting project:', error);
+            window.alert(`Failed to delete project: ${error.message}`);
+        }
+    };
+
+    // Archived projects move to the other tab, so drop them from the current list
+    const toggleArchive = async (project) => {
+        const action = project.isArchived ? 'unarchive' : 'archive';
+
+        try {
+            const response = await apiFetch(`/projects/${project._id}/${action}`, { method: 'PUT' });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || `Failed to ${action} project`);
+            }
+            setProjects(prev => prev.filter(p => p._id !== project._id));
+            setTagsRevision(prev => prev + 1);
+        } catch (error) {
+            console.error(`Error trying to ${action} project:`, error);
+            window.alert(`Failed to ${action} project: ${error.message}`);
+        }
+    };
 
     const formatDate = (dateString) => {
         if (!dateString) return 'N/A';
@@ -46,15 +144,12 @@ const ProjectsDashboard = () => {
         });
     };
 
+    // Stats are computed by the server; the list does not include row data
     const calculateStats = (project) => {
-        const totalBoxes = project.processedData?.length || 0;
-        const copiedCount = project.copiedBoxes ? Object.keys(project.copiedBoxes).length : 0;
-        const completionPercentage = totalBoxes > 0 ? Math.round((copiedCount / totalBoxes) * 100) : 0;
-
         return {
-            totalBoxes,
-            copiedCount,
-            completionPercentage
+            totalBoxes: project.totalBoxes || 0,
+            copiedCount: project.copiedCount || 0,
+            completionPercentage: project.completionPercentage || 0
         };
     };
 
@@ -109,8 +204,51 @@ const ProjectsDashboard = () => {
                             <h1 className="text-4xl font-bold text-gray-900 mb-2">Projects Dashboard</h1>
                             <p className="text-gray-600">Manage and track your FCR project progress</p>
                             <div className="mt-4 flex items-center gap-4 text-sm text-gray-500">
-                                <span>Total Projects: {projects.length}</span>
+                                <span>{view === 'archived' ? 'Archived' : 'Total'} Projects: {projects.length}</span>
+                            </div>
+                            <div className="mt-4 flex gap-2">
+                                {['active', 'archived'].map((tab) => (
+                                    <button
+                                        key={tab}
+                                        onClick={() => {
+                                            setView(tab);
+                                            setActiveTag(null);
+                                        }}
+                                        className={`px-4 py-2 rounded-full text-sm font-medium transition-all ${view === tab
+                                            ? 'bg-indigo-600 text-white shadow-md'
+                                            : 'bg-white text-gray-700 hover:bg-gray-100'
+                                            }`}
+                                    >
+                                        {tab === 'active' ? 'Active' : 'Archived'}
+                                    </button>
+                                ))}
                             </div>
+                            {tagCounts.length > 0 && (
+                                <div className="mt-3 flex flex-wrap items-center gap-2">
+                                    <Tag className="h-4 w-4 text-gray-500" />
+                                    <button
+                                        onClick={() => setActiveTag(null)}
+                                        className={`px-3 py-1 rounded-full text-xs font-medium transition-all ${!activeTag
+                                            ? 'bg-indigo-600 text-white'
+                                            : 'bg-white text-gray-700 hover:bg-gray-100'
+                                            }`}
+                                    >
+                                        All tags
+                                    </button>
+                                    {tagCounts.map(({ tag, count }) => (
+                                        <button
+                                            key={tag}
+                                            onClick={() => setActiveTag(activeTag === tag ? null : tag)}
+                                            className={`px-3 py-1 rounded-full text-xs font-medium transition-all ${activeTag === tag
+                                                ? 'bg-indigo-600 text-white'
+                                                : 'bg-white text-gray-700 hover:bg-gray-100'
+                                                }`}
+                                        >
+                                            {tag} ({count})
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
                         </div>
                         <a
                             href="/"
@@ -126,7 +264,9 @@ const ProjectsDashboard = () => {
                 {projects.length === 0 ? (
                     <div className="text-center py-20">
                         <Box className="h-16 w-16 text-gray-400 mx-auto mb-4" />
-                        <h3 className="text-xl font-medium text-gray-900 mb-2">No Projects Found</h3>
+                        <h3 className="text-xl font-medium text-gray-900 mb-2">
+                            {view === 'archived' ? 'No Archived Projects' : 'No Projects Found'}
+                        </h3>
                         <p className="text-gray-600 mb-6">Create your first FCR project to get started.</p>
                         <a
                             href="/"
@@ -157,9 +297,76 @@ const ProjectsDashboard = () => {
                                                     <Calendar className="h-4 w-4" />
                                                     <span>{project.year || 'No year'}</span>
                                                 </div>
+                                                {/* Tags */}
+                                                {editingTagsId === project._id ? (
+                                                    <div className="mt-2 flex items-center gap-2">
+                                                        <input
+                                                            type="text"
+                                                            value={tagInput}
+                                                            onChange={(e) => setTagInput(e.target.value)}
+                                                            placeholder="buyer, lc-123, ..."
+                                                            className="flex-1 px-2 py-1 border border-gray-300 rounded text-xs focus:ring-2 focus:ring-blue-500"
+                                                        />
+                                                        <button
+                                                            onClick={() => saveTags(project)}
+                                                            className="text-xs text-indigo-600 hover:text-indigo-800 font-medium"
+                                                        >
+                                                            Save
+                                                        </button>
+                                                        <button
+                                                            onClick={() => setEditingTagsId(null)}
+                                                            className="text-xs text-gray-500 hover:text-gray-700"
+                                                        >
+                                                            Cancel
+                                                        </button>
+                                                    </div>
+                                                ) : (
+                                                    <div className="mt-2 flex flex-wrap items-center gap-1">
+                                                        {(project.tags || []).map(tag => (
+                                                            <button
+                                                                key={tag}
+                                                                onClick={() => setActiveTag(tag)}
+                                                                className="px-2 py-0.5 bg-indigo-50 text-indigo-700 rounded-full text-xs hover:bg-indigo-100"
+                                                            >
+                                                                {tag}
+                                                            </button>
+                                                        ))}
+                                                        {canManage && (
+                                                            <button
+                                                                onClick={() => startEditingTags(project)}
+                                                                className="p-1 text-gray-400 hover:text-indigo-600"
+                                                                title="Edit tags"
+                                                            >
+                                                                <Tag className="h-3 w-3" />
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                )}
                                             </div>
-                                            <div className="text-xs text-gray-400 bg-gray-50 px-2 py-1 rounded">
-                                                ID: {project._id?.slice(-6) || 'N/A'}
+                                            <div className="flex items-center gap-2">
+                                                <div className="text-xs text-gray-400 bg-gray-50 px-2 py-1 rounded">
+                                                    ID: {project._id?.slice(-6) || 'N/A'}
+                                                </div>
+                                                {canManage && (
+                                                    <button
+                                                        onClick={() => toggleArchive(project)}
+                                                        className="p-1 text-gray-400 hover:text-indigo-600 transition-colors"
+                                                        title={project.isArchived ? 'Unarchive project' : 'Archive project'}
+                                                    >
+                                                        {project.isArchived
+                                                            ? <ArchiveRestore className="h-4 w-4" />
+                                                            : <Archive className="h-4 w-4" />}
+                                                    </button>
+                                                )}
+                                                {isAdmin && (
+                                                    <button
+                                                        onClick={() => deleteProject(project)}
+                                                        className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                                                        title="Delete project"
+                                                    >
+                                                        <Trash2 className="h-4 w-4" />
+                                                    </button>
+                                                )}
                                             </div>
                                         </div>
 
@@ -0,0 +1,428 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, Loader, AlertCircle, Upload, Recycle } from 'lucide-react';
+import Papa from 'papaparse';
+import { apiFetch } from '../api/client';
+import { useAuth } from '../Auth/AuthContext';
+import { isSpreadsheetFile, readWorkbook, sheetRows } from '../utils/spreadsheet';
+import { headersMatch, applyMapping } from '../utils/columnMapping';
+import { dayKey, isEffectiveOn, DEFAULT_PO_SET } from '../utils/recycledPos';
+import ColumnMappingStep from '../ColumnMapping/ColumnMappingStep';
+
+const RECYCLED_HEADERS = ['PO'];
+
+const emptyEntry = { po: '', poSet: DEFAULT_PO_SET, effectiveFrom: '', effectiveTo: '', note: '' };
+const emptyImport = { text: '', poSet: DEFAULT_PO_SET, effectiveFrom: '', effectiveTo: '' };
+
+// Server dates are UTC midnight; the date inputs want their 'YYYY-MM-DD' part
+const dateInputValue = (value) => (value ? String(value).slice(0, 10) : '');
+
+// Recycled PO master list the PO processor checks invoices against, by invoice date.
+// Entries belong to named PO sets that the composition rules refer to.
+const RecycledPosPage = () => {
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [search, setSearch] = useState('');
+    const [poSetFilter, setPoSetFilter] = useState('');
+    const [validOn, setValidOn] = useState('');
+    const [newEntry, setNewEntry] = useState(emptyEntry);
+    const [bulk, setBulk] = useState(emptyImport);
+    const [isSaving, setIsSaving] = useState(false);
+    // Import file whose PO column has another name: { headers, rows, fileName }
+    const [pendingImport, setPendingImport] = useState(null);
+    const { hasRole } = useAuth();
+    const canEdit = hasRole('operator', 'admin');
+
+    const loadEntries = async () => {
+        try {
+            setLoading(true);
+            const response = await apiFetch('/recycled-pos');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            setEntries(await response.json());
+        } catch (error) {
+            console.error('Error fetching recycled POs:', error);
+            setError(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadEntries();
+    }, []);
+
+    // POST/PUT/DELETE with the usual error handling; resolves to the parsed body or null on failure
+    const send = async (path, method, body) => {
+        try {
+            setIsSaving(true);
+            setError(null);
+            const response = await apiFetch(path, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || `Request failed with status ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.error('Error saving recycled POs:', error);
+            setError(error.message);
+            return null;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const addEntry = async () => {
+        if (await send('/recycled-pos', 'POST', newEntry)) {
+            setNewEntry(emptyEntry);
+            await loadEntries();
+        }
+    };
+
+    const updateDate = async (entry, field, value) => {
+        const saved = await send(`/recycled-pos/${entry._id}`, 'PUT', { [field]: value });
+        if (saved) {
+            setEntries(prev => prev.map(item => (item._id === saved._id ? saved : item)));
+        }
+    };
+
+    const removeEntry = async (entry) => {
+        if (!window.confirm(`Remove recycled PO ${entry.po}?`)) return;
+        if (await send(`/recycled-pos/${entry._id}`, 'DELETE')) {
+            setEntries(prev => prev.filter(item => item._id !== entry._id));
+        }
+    };
+
+    const bulkPos = bulk.text.split(/[\s,;]+/).map(po => po.trim()).filter(Boolean);
+
+    const importBulk = async () => {
+        const result = await send('/recycled-pos/bulk', 'POST', {
+            pos: bulkPos,
+            poSet: bulk.poSet,
+            effectiveFrom: bulk.effectiveFrom,
+            effectiveTo: bulk.effectiveTo
+        });
+        if (result) {
+            window.alert(`${result.added} PO(s) added to ${bulk.poSet}` +
+                (result.skipped.length > 0 ? `; already listed from that date: ${result.skipped.join(', ')}` : ''));
+            setBulk(prev => ({ ...emptyImport, poSet: prev.poSet }));
+            await loadEntries();
+        }
+    };
+
+    // Fill the import box from a CSV/Excel file's PO column
+    const fillFromRows = (rows) => {
+        const pos = rows.map(row => String(row.PO ?? '').trim()).filter(Boolean);
+        setBulk(prev => ({ ...prev, text: pos.join('\n') }));
+    };
+
+    const handleFileUpload = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            setError(null);
+            let parsed;
+            if (isSpreadsheetFile(file.name)) {
+                const workbook = await readWorkbook(file);
+                parsed = sheetRows(workbook, workbook.SheetNames[0]);
+            } else {
+                parsed = await new Promise((resolve, reject) => {
+                    Papa.parse(file, {
+                        header: true,
+                        skipEmptyLines: true,
+                        complete: (results) => resolve({ fields: results.meta.fields || [], rows: results.data }),
+                        error: reject
+                    });
+                });
+            }
+
+            if (headersMatch(RECYCLED_HEADERS, parsed.fields)) {
+                fillFromRows(parsed.rows);
+            } else {
+                setPendingImport({ headers: parsed.fields, rows: parsed.rows, fileName: file.name });
+            }
+        } catch (error) {
+            console.error('Error reading recycled PO file:', error);
+            setError(`Failed to read ${file.name}: ${error.message}`);
+        } finally {
+            event.target.value = '';
+        }
+    };
+
+    const poSets = [...new Set([DEFAULT_PO_SET, ...entries.map(entry => entry.poSet || DEFAULT_PO_SET)])].sort();
+
+    const filteredEntries = entries.filter(entry =>
+        (!search.trim() || entry.po.toLowerCase().includes(search.trim().toLowerCase())) &&
+        (!poSetFilter || (entry.poSet || DEFAULT_PO_SET) === poSetFilter) &&
+        (!validOn || isEffectiveOn(entry, validOn))
+    );
+
+    if (loading && entries.length === 0) {
+        return (
+            <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Header */}
+                <div className="mb-8">
+                    <h1 className="text-4xl font-bold text-gray-900 mb-2 flex items-center gap-3">
+                        <Recycle className="w-9 h-9 text-green-600" />
+                        PO Sets
+                    </h1>
+                    <p className="text-gray-600">
+                        Composition rules check an invoice's POs against the sets listed here on the invoice date
+                    </p>
+                </div>
+
+                {error && (
+                    <div className="mb-6 flex items-center gap-2 bg-red-50 border-l-4 border-red-500 text-red-800 px-4 py-3 rounded">
+                        <AlertCircle className="w-5 h-5 text-red-500" />
+                        <span className="text-sm font-medium">{error}</span>
+                    </div>
+                )}
+
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                    {/* List */}
+                    <div className="lg:col-span-2 bg-white rounded-xl shadow-lg p-6">
+                        <div className="flex flex-col md:flex-row gap-3 mb-4">
+                            <input
+                                type="text"
+                                value={search}
+                                onChange={(e) => setSearch(e.target.value)}
+                                placeholder="Search PO..."
+                                className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500"
+                            />
+                            <select
+                                value={poSetFilter}
+                                onChange={(e) => setPoSetFilter(e.target.value)}
+                                className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                            >
+                                <option value="">All sets</option>
+                                {poSets.map(name => <option key={name} value={name}>{name}</option>)}
+                            </select>
+                            <label className="flex items-center gap-2 text-sm text-gray-700">
+                                Valid on
+                                <input
+                                    type="date"
+                                    value={validOn}
+                                    onChange={(e) => setValidOn(e.target.value)}
+                                    className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                />
+                            </label>
+                            {validOn && (
+                                <button onClick={() => setValidOn('')} className="text-sm text-gray-500 hover:text-gray-700">
+                                    Any date
+                                </button>
+                            )}
+                        </div>
+                        <p className="text-xs text-gray-500 mb-2">
+                            {filteredEntries.length} of {entries.length} entries
+                            {validOn === dayKey(new Date()) ? ' (valid today)' : ''}
+                        </p>
+                        <div className="max-h-[32rem] overflow-y-auto">
+                            <table className="w-full text-sm text-left">
+                                <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                                    <tr>
+                                        <th className="px-3 py-2">PO</th>
+                                        <th className="px-3 py-2">Set</th>
+                                        <th className="px-3 py-2">Effective from</th>
+                                        <th className="px-3 py-2">Effective to</th>
+                                        <th className="px-3 py-2">Added by</th>
+                                        {canEdit && <th className="px-3 py-2"></th>}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {filteredEntries.map(entry => (
+                                        <tr key={entry._id} className="border-t border-gray-100">
+                                            <td className="px-3 py-2 font-mono">
+                                                {entry.po}
+                                                {entry.note && <p className="text-xs text-gray-500 font-sans">{entry.note}</p>}
+                                            </td>
+                                            <td className="px-3 py-2 text-xs text-gray-600">{entry.poSet || DEFAULT_PO_SET}</td>
+                                            {['effectiveFrom', 'effectiveTo'].map(field => (
+                                                <td key={field} className="px-3 py-2">
+                                                    <input
+                                                        type="date"
+                                                        value={dateInputValue(entry[field])}
+                                                        onChange={(e) => updateDate(entry, field, e.target.value)}
+                                                        disabled={!canEdit || isSaving}
+                                                        className="px-2 py-1 border border-gray-200 rounded-md text-xs disabled:bg-gray-50"
+                                                    />
+                                                </td>
+                                            ))}
+                                            <td className="px-3 py-2 text-xs text-gray-500">{entry.createdBy}</td>
+                                            {canEdit && (
+                                                <td className="px-3 py-2 text-right">
+                                                    <button
+                                                        onClick={() => removeEntry(entry)}
+                                                        className="p-1 text-gray-400 hover:text-red-600"
+                                                        title="Remove"
+                                                    >
+                                                        <Trash2 className="w-4 h-4" />
+                                                    </button>
+                                                </td>
+                                            )}
+                                        </tr>
+                                    ))}
+                                    {filteredEntries.length === 0 && (
+                                        <tr>
+                                            <td colSpan={canEdit ? 6 : 5} className="px-3 py-6 text-center text-gray-500">
+                                                No recycled POs{validOn ? ' valid on that date' : ''}
+                                            </td>
+                                        </tr>
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-3">Empty dates mean the entry has no start or no end.</p>
+                    </div>
+
+                    {canEdit && (
+                        <div className="space-y-6">
+                            <datalist id="po-set-names">
+                                {poSets.map(name => <option key={name} value={name} />)}
+                            </datalist>
+
+                            {/* Add one */}
+                            <div className="bg-white rounded-xl shadow-lg p-6 space-y-3">
+                                <h3 className="text-lg font-semibold text-gray-800">Add PO</h3>
+                                <input
+                                    type="text"
+                                    value={newEntry.po}
+                                    onChange={(e) => setNewEntry(prev => ({ ...prev, po: e.target.value }))}
+                                    placeholder="PO number"
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono focus:ring-2 focus:ring-blue-500"
+                                />
+                                <input
+                                    type="text"
+                                    list="po-set-names"
+                                    value={newEntry.poSet}
+                                    onChange={(e) => setNewEntry(prev => ({ ...prev, poSet: e.target.value }))}
+                                    placeholder="PO set, e.g. recycled-70-30"
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500"
+                                />
+                                <div className="grid grid-cols-2 gap-2">
+                                    <label className="text-xs text-gray-600">
+                                        From
+                                        <input
+                                            type="date"
+                                            value={newEntry.effectiveFrom}
+                                            onChange={(e) => setNewEntry(prev => ({ ...prev, effectiveFrom: e.target.value }))}
+                                            className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                        />
+                                    </label>
+                                    <label className="text-xs text-gray-600">
+                                        To
+                                        <input
+                                            type="date"
+                                            value={newEntry.effectiveTo}
+                                            onChange={(e) => setNewEntry(prev => ({ ...prev, effectiveTo: e.target.value }))}
+                                            className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                        />
+                                    </label>
+                                </div>
+                                <input
+                                    type="text"
+                                    value={newEntry.note}
+                                    onChange={(e) => setNewEntry(prev => ({ ...prev, note: e.target.value }))}
+                                    placeholder="Note (optional)"
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500"
+                                />
+                                <button
+                                    onClick={addEntry}
+                                    disabled={isSaving || !newEntry.po.trim() || !newEntry.poSet.trim()}
+                                    className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center gap-2"
+                                >
+                                    {isSaving ? <Loader className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+                                    Add
+                                </button>
+                            </div>
+
+                            {/* Bulk import */}
+                            <div className="bg-white rounded-xl shadow-lg p-6 space-y-3">
+                                <h3 className="text-lg font-semibold text-gray-800">Bulk import</h3>
+                                <input
+                                    type="text"
+                                    list="po-set-names"
+                                    value={bulk.poSet}
+                                    onChange={(e) => setBulk(prev => ({ ...prev, poSet: e.target.value }))}
+                                    placeholder="PO set, e.g. recycled-70-30"
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500"
+                                />
+                                <textarea
+                                    value={bulk.text}
+                                    onChange={(e) => setBulk(prev => ({ ...prev, text: e.target.value }))}
+                                    rows={6}
+                                    placeholder="PO numbers, one per line or comma separated"
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:ring-2 focus:ring-blue-500"
+                                />
+                                <label className="flex items-center gap-2 text-sm text-blue-700 cursor-pointer">
+                                    <Upload className="w-4 h-4" />
+                                    Fill from a CSV or Excel file
+                                    <input type="file" accept=".csv,.xlsx,.xls" onChange={handleFileUpload} className="hidden" />
+                                </label>
+                                {pendingImport && (
+                                    <ColumnMappingStep
+                                        key={pendingImport.fileName}
+                                        kind="recycled"
+                                        fields={RECYCLED_HEADERS}
+                                        headers={pendingImport.headers}
+                                        fileName={pendingImport.fileName}
+                                        onApply={(mapping) => {
+                                            fillFromRows(applyMapping(pendingImport.rows, RECYCLED_HEADERS, mapping));
+                                            setPendingImport(null);
+                                        }}
+                                        onCancel={() => setPendingImport(null)}
+                                    />
+                                )}
+                                <div className="grid grid-cols-2 gap-2">
+                                    <label className="text-xs text-gray-600">
+                                        From
+                                        <input
+                                            type="date"
+                                            value={bulk.effectiveFrom}
+                                            onChange={(e) => setBulk(prev => ({ ...prev, effectiveFrom: e.target.value }))}
+                                            className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                        />
+                                    </label>
+                                    <label className="text-xs text-gray-600">
+                                        To
+                                        <input
+                                            type="date"
+                                            value={bulk.effectiveTo}
+                                            onChange={(e) => setBulk(prev => ({ ...prev, effectiveTo: e.target.value }))}
+                                            className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                        />
+                                    </label>
+                                </div>
+                                <button
+                                    onClick={importBulk}
+                                    disabled={isSaving || bulkPos.length === 0 || !bulk.poSet.trim()}
+                                    className="w-full bg-green-600 text-white py-2 px-4 rounded-md hover:bg-green-700 disabled:opacity-50 flex items-center justify-center gap-2"
+                                >
+                                    {isSaving ? <Loader className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+                                    Import {bulkPos.length > 0 ? `${bulkPos.length} PO${bulkPos.length === 1 ? '' : 's'}` : ''}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RecycledPosPage;
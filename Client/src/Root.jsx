@@ -2,14 +2,17 @@ import React from 'react';
 import { Outlet } from 'react-router';
 import Header from './Header/Header';
 import Footer from './Footer/Footer';
+import AuthProvider from './Auth/AuthProvider';
 
 const Root = () => {
     return (
-        <div>
-            <Header />
-            <Outlet />
-            <Footer />
-        </div>
+        <AuthProvider>
+            <div>
+                <Header />
+                <Outlet />
+                <Footer />
+            </div>
+        </AuthProvider>
     );
 };
 
@@ -6,6 +6,12 @@ import FCRDraftGenerator from "../FCRDraftGenerator";
 import AllFcr from "../FCR/AllFcr";
 import ProjectsDashboard from "../ProjectsDashboard/ProjectsDashboard";
 import ProjectDetailPage from "../ProjectDetailPage/ProjectDetailPage";
+import TemplatesPage from "../Templates/TemplatesPage";
+import HsCodesPage from "../HsCodes/HsCodesPage";
+import RecycledPosPage from "../RecycledPos/RecycledPosPage";
+import CompositionRulesPage from "../CompositionRules/CompositionRulesPage";
+import Login from "../Auth/Login";
+import ProtectedRoute from "../Auth/ProtectedRoute";
 
 export const router = createBrowserRouter([
     {
@@ -14,24 +20,45 @@ export const router = createBrowserRouter([
         errorElement: <ErrorPage />,
         children: [
             {
-                index: true,
-                path: '/',
-                Component: home,
+                path: '/login',
+                Component: Login,
             },
             {
-                path: '/FcrDarftMake',
-                Component: FCRDraftGenerator,
-            }, {
-                path: '/AllFcr',
-                Component: AllFcr,
-
-            }, {
-                path: '/ProjectsDashboard',
-                Component: ProjectsDashboard,
-
-            }, {
-                path: '/project/:projectId',
-                Component: ProjectDetailPage
+                Component: ProtectedRoute,
+                children: [
+                    {
+                        index: true,
+                        path: '/',
+                        Component: home,
+                    },
+                    {
+                        path: '/FcrDarftMake',
+                        Component: FCRDraftGenerator,
+                    }, {
+                        path: '/AllFcr',
+                        Component: AllFcr,
+
+                    }, {
+                        path: '/ProjectsDashboard',
+                        Component: ProjectsDashboard,
+
+                    }, {
+                        path: '/project/:projectId',
+                        Component: ProjectDetailPage
+                    }, {
+                        path: '/templates',
+                        Component: TemplatesPage
+                    }, {
+                        path: '/hs-codes',
+                        Component: HsCodesPage
+                    }, {
+                        path: '/recycled-pos',
+                        Component: RecycledPosPage
+                    }, {
+                        path: '/composition-rules',
+                        Component: CompositionRulesPage
+                    }
+                ]
             }
 
 
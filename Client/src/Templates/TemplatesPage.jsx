@@ -0,0 +1,321 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FileText, Plus, Save, Trash2, Star, Loader, AlertCircle } from 'lucide-react';
+import { apiFetch } from '../api/client';
+import { useAuth } from '../Auth/AuthContext';
+import { renderFcrTemplate } from '../utils/fcrTemplate';
+
+// Row used for the live preview
+const SAMPLE_ROW = {
+    index: 1,
+    description: '100% PORCELAIN TABLEWARE',
+    poNumbers: '4500123456, 4500123457',
+    goods: 'DINNER SET 18 PCS',
+    invoiceNo: '1234',
+    invoiceDate: '15-01-2024',
+    adCode: '12345',
+    expSerial: '000123',
+    expYear: '2024',
+    entryDate: '16-01-2024',
+    lcContact: 'LC-2024-001',
+    contactDate: '10-01-2024',
+    countryCode: 'DE',
+    countryName: 'GERMANY',
+    hsCode: '6911.10.00'
+};
+
+const emptyTemplate = { _id: null, name: '', description: '', body: '', countryFormat: 'code', isDefault: false };
+
+const COUNTRY_FORMAT_LABELS = {
+    code: 'Code (DE)',
+    name: 'Full name (GERMANY)',
+    both: 'Both (GERMANY (DE))'
+};
+
+// Named layouts for FCR box text; everyone can look, admins can change them
+const TemplatesPage = () => {
+    const [templates, setTemplates] = useState([]);
+    const [fields, setFields] = useState([]);
+    const [countryFormats, setCountryFormats] = useState(['code']);
+    const [draft, setDraft] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const bodyRef = useRef(null);
+    const { hasRole } = useAuth();
+    const isAdmin = hasRole('admin');
+    // The server keeps one default at all times, so the current default can't be unticked
+    const isSavedDefault = Boolean(draft?._id) && templates.some(template => template._id === draft._id && template.isDefault);
+
+    const loadTemplates = async (selectId) => {
+        try {
+            setLoading(true);
+            const response = await apiFetch('/templates');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            setTemplates(data.templates);
+            setFields(data.fields);
+            setCountryFormats(data.countryFormats || ['code']);
+            const selected = data.templates.find(template => template._id === selectId) || data.templates[0];
+            setDraft(selected ? { ...selected } : { ...emptyTemplate });
+        } catch (error) {
+            console.error('Error fetching templates:', error);
+            setError(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadTemplates();
+    }, []);
+
+    // Put {{field}} at the cursor in the body
+    const insertPlaceholder = (field) => {
+        const textarea = bodyRef.current;
+        const placeholder = `{{${field}}}`;
+        const start = textarea ? textarea.selectionStart : draft.body.length;
+        const end = textarea ? textarea.selectionEnd : draft.body.length;
+        setDraft(prev => ({ ...prev, body: prev.body.slice(0, start) + placeholder + prev.body.slice(end) }));
+        requestAnimationFrame(() => {
+            if (!textarea) return;
+            textarea.focus();
+            textarea.setSelectionRange(start + placeholder.length, start + placeholder.length);
+        });
+    };
+
+    const saveTemplate = async () => {
+        try {
+            setIsSaving(true);
+            setError(null);
+            const response = await apiFetch(draft._id ? `/templates/${draft._id}` : '/templates', {
+                method: draft._id ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    name: draft.name,
+                    description: draft.description,
+                    body: draft.body,
+                    countryFormat: draft.countryFormat || 'code',
+                    isDefault: draft.isDefault
+                })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || 'Failed to save template');
+            }
+
+            const saved = await response.json();
+            await loadTemplates(saved._id);
+        } catch (error) {
+            console.error('Error saving template:', error);
+            setError(error.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const deleteTemplate = async () => {
+        if (!window.confirm(`Delete template "${draft.name}"?`)) return;
+
+        try {
+            const response = await apiFetch(`/templates/${draft._id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || 'Failed to delete template');
+            }
+            await loadTemplates();
+        } catch (error) {
+            console.error('Error deleting template:', error);
+            window.alert(`Failed to delete template: ${error.message}`);
+        }
+    };
+
+    if (loading && !draft) {
+        return (
+            <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Header */}
+                <div className="mb-8 flex items-center justify-between">
+                    <div>
+                        <h1 className="text-4xl font-bold text-gray-900 mb-2">FCR Templates</h1>
+                        <p className="text-gray-600">Layouts for the text of each FCR box, chosen per project</p>
+                    </div>
+                    {isAdmin && (
+                        <button
+                            onClick={() => setDraft({ ...emptyTemplate })}
+                            className="bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-4 rounded-lg flex items-center gap-2"
+                        >
+                            <Plus className="w-4 h-4" />
+                            New Template
+                        </button>
+                    )}
+                </div>
+
+                {error && (
+                    <div className="mb-6 flex items-center gap-2 bg-red-50 border-l-4 border-red-500 text-red-800 px-4 py-3 rounded">
+                        <AlertCircle className="w-5 h-5 text-red-500" />
+                        <span className="text-sm font-medium">{error}</span>
+                    </div>
+                )}
+
+                <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+                    {/* Template list */}
+                    <div className="bg-white rounded-xl shadow-lg p-4 space-y-2">
+                        {templates.map(template => (
+                            <button
+                                key={template._id}
+                                onClick={() => setDraft({ ...template })}
+                                className={`w-full text-left p-3 rounded-lg border transition-colors ${draft?._id === template._id
+                                    ? 'border-indigo-500 bg-indigo-50'
+                                    : 'border-gray-200 hover:bg-gray-50'
+                                    }`}
+                            >
+                                <p className="font-medium text-sm text-gray-800 flex items-center gap-1">
+                                    {template.isDefault && <Star className="w-3 h-3 text-yellow-500 fill-yellow-500" />}
+                                    {template.name}
+                                </p>
+                                {template.description && <p className="text-xs text-gray-500">{template.description}</p>}
+                            </button>
+                        ))}
+                    </div>
+
+                    {/* Editor */}
+                    {draft && (
+                        <div className="lg:col-span-3 grid grid-cols-1 xl:grid-cols-2 gap-6">
+                            <div className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+                                    <input
+                                        type="text"
+                                        value={draft.name}
+                                        onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                                        disabled={!isAdmin}
+                                        placeholder="e.g. Bank XYZ layout"
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+                                    <input
+                                        type="text"
+                                        value={draft.description}
+                                        onChange={(e) => setDraft(prev => ({ ...prev, description: e.target.value }))}
+                                        disabled={!isAdmin}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Template</label>
+                                    {isAdmin && (
+                                        <div className="flex flex-wrap gap-1 mb-2">
+                                            {fields.map(field => (
+                                                <button
+                                                    key={field}
+                                                    onClick={() => insertPlaceholder(field)}
+                                                    className="px-2 py-0.5 rounded text-xs font-mono bg-indigo-50 text-indigo-700 hover:bg-indigo-100"
+                                                    title={`Insert {{${field}}}`}
+                                                >
+                                                    {field}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    )}
+                                    <textarea
+                                        ref={bodyRef}
+                                        value={draft.body}
+                                        onChange={(e) => setDraft(prev => ({ ...prev, body: e.target.value }))}
+                                        disabled={!isAdmin}
+                                        rows={14}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Country in {'{{country}}'}</label>
+                                    <select
+                                        value={draft.countryFormat || 'code'}
+                                        onChange={(e) => setDraft(prev => ({ ...prev, countryFormat: e.target.value }))}
+                                        disabled={!isAdmin}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                                    >
+                                        {countryFormats.map(format => (
+                                            <option key={format} value={format}>{COUNTRY_FORMAT_LABELS[format] || format}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                {isAdmin && (
+                                    <div className="flex items-center gap-3">
+                                        <label
+                                            className="flex items-center gap-2 text-sm text-gray-700 flex-1"
+                                            title={isSavedDefault ? 'Make another template the default to change this' : undefined}
+                                        >
+                                            <input
+                                                type="checkbox"
+                                                checked={draft.isDefault}
+                                                disabled={isSavedDefault}
+                                                onChange={(e) => setDraft(prev => ({ ...prev, isDefault: e.target.checked }))}
+                                            />
+                                            Default for new projects
+                                        </label>
+                                        {draft._id && !draft.isDefault && (
+                                            <button
+                                                onClick={deleteTemplate}
+                                                className="p-2 text-gray-500 hover:text-red-600"
+                                                title="Delete template"
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        )}
+                                        <button
+                                            onClick={saveTemplate}
+                                            disabled={isSaving}
+                                            className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+                                        >
+                                            {isSaving ? <Loader className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                                            {draft._id ? 'Save Template' : 'Create Template'}
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
+
+                            {/* Live preview */}
+                            <div className="bg-white rounded-xl shadow-lg p-6">
+                                <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                                    <FileText className="w-5 h-5 text-indigo-600" />
+                                    Preview
+                                </h3>
+                                <div className="relative bg-white border-2 border-gray-300 rounded-xl p-6">
+                                    <div className="border-b-2 border-gray-800 pb-2 mb-4">
+                                        <h3 className="font-bold text-lg">Invoice No.: {SAMPLE_ROW.invoiceNo}</h3>
+                                    </div>
+                                    <div className="space-y-1 text-sm">
+                                        {renderFcrTemplate(draft.body, SAMPLE_ROW, { countryFormat: draft.countryFormat }).split('\n').map((line, idx) => (
+                                            <div key={idx} className="leading-relaxed">
+                                                {line || <br />}
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                                <p className="text-xs text-gray-500 mt-3">
+                                    Sample data; placeholders that are not row fields are shown as typed.
+                                </p>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TemplatesPage;
@@ -0,0 +1,42 @@
+// Shared API access for the FCR server: base URL and bearer-token handling
+
+export const API_BASE = 'https://demco-fcr-server.vercel.app/api';
+
+const TOKEN_KEY = 'fcr_auth_token';
+
+// Fired when the server rejects our token so the auth state can reset
+export const AUTH_EXPIRED_EVENT = 'fcr-auth-expired';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setToken = (token) => localStorage.setItem(TOKEN_KEY, token);
+
+export const clearToken = () => localStorage.removeItem(TOKEN_KEY);
+
+// fetch() against API_BASE with the Authorization header filled in
+export const apiFetch = async (path, options = {}) => {
+    const token = getToken();
+    const headers = { ...(options.headers || {}) };
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${API_BASE}${path}`, { ...options, headers });
+
+    if (response.status === 401 && token) {
+        clearToken();
+        window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+    }
+
+    return response;
+};
+
+// URL for an EventSource under API_BASE; EventSource cannot send headers, so the token rides
+// in the query string (the server only accepts it there for event streams)
+export const eventStreamUrl = (path) => {
+    const token = getToken();
+    const separator = path.includes('?') ? '&' : '?';
+    return token
+        ? `${API_BASE}${path}${separator}access_token=${encodeURIComponent(token)}`
+        : `${API_BASE}${path}`;
+};
@@ -0,0 +1,77 @@
+// Matching an upload's column headers to the fields an import needs
+// (see Server/models/MappingProfile.js for the saved profiles)
+
+// Other names the same column turns up under in source reports, compared after normalizing
+const SYNONYMS = {
+    'EXP Serial': ['exp serial no', 'exp sl', 'exp sl no', 'exp no', 'serial no'],
+    'Invoice Date': ['inv date', 'invoice dt', 'date of invoice'],
+    'Entry Date': ['exp date', 'exp entry date', 'date of entry'],
+    'Date of Contact': ['contact date', 'contract date', 'date of contract', 'lc date'],
+    'Description': ['desc', 'composition', 'fcr description'],
+    'PO Numbers': ['po', 'po no', 'po nos', 'po number', 'purchase orders'],
+    'Invoice No': ['invoice', 'invoice number', 'inv no', 'invoice #'],
+    'AD Code': ['ad', 'ad cd', 'authorised dealer code', 'authorized dealer code'],
+    'EXP Year': ['year', 'exp yr'],
+    'Lc Contact': ['lc contract', 'lc no', 'lc number', 'contract no', 'lc/contract'],
+    'Country short code': ['country', 'country code', 'destination', 'destination country', 'iso country'],
+    'Goods': ['description of goods', 'goods description', 'item', 'items', 'product'],
+    'Invoice': ['invoice no', 'invoice number', 'inv no', 'invoice #'],
+    'PO': ['po no', 'po number', 'purchase order', 'order no']
+};
+
+// Case, spacing and punctuation do not matter: "Invoice_No." matches "invoice no"
+export const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// True when every field is already a column, so no mapping step is needed
+export const headersMatch = (fields, headers) => fields.every(field => headers.includes(field));
+
+export const isMappingComplete = (fields, mapping) =>
+    fields.every(field => mapping[field] !== undefined && mapping[field] !== '');
+
+/**
+ * Proposes a source column for each field. A saved profile whose columns all exist in the
+ * file wins; otherwise fields are matched by exact name, then normalized name, then synonyms,
+ * using each column at most once. optionalFields are matched the same way but never required.
+ * Returns { mapping, profile } (profile null when none fit).
+ */
+export const suggestMapping = (requiredFields, headers, profiles = [], optionalFields = []) => {
+    const profile = profiles.find(candidate => {
+        const columns = candidate.columns || {};
+        return isMappingComplete(requiredFields, columns) && requiredFields.every(field => headers.includes(columns[field]));
+    });
+    if (profile) {
+        return {
+            mapping: Object.fromEntries(Object.entries(profile.columns).filter(([, source]) => headers.includes(source))),
+            profile
+        };
+    }
+
+    const fields = [...requiredFields, ...optionalFields];
+    const mapping = {};
+    const used = new Set();
+    const claim = (field, header) => {
+        mapping[field] = header;
+        used.add(header);
+    };
+    const free = (header) => !used.has(header);
+
+    fields.forEach(field => {
+        if (headers.includes(field)) claim(field, field);
+    });
+    fields.filter(field => !mapping[field]).forEach(field => {
+        const header = headers.find(candidate => free(candidate) && normalizeHeader(candidate) === normalizeHeader(field));
+        if (header !== undefined) claim(field, header);
+    });
+    fields.filter(field => !mapping[field]).forEach(field => {
+        const names = (SYNONYMS[field] || []).map(normalizeHeader);
+        const header = headers.find(candidate => free(candidate) && names.includes(normalizeHeader(candidate)));
+        if (header !== undefined) claim(field, header);
+    });
+
+    return { mapping, profile: null };
+};
+
+// Rows keyed by field name, which is what the processing code reads; unmapped fields are ''
+export const applyMapping = (rows, fields, mapping) => rows.map(row =>
+    Object.fromEntries(fields.map(field => [field, row[mapping[field]] ?? '']))
+);
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeHeader, headersMatch, isMappingComplete, suggestMapping, applyMapping } from './columnMapping';
+
+describe('normalizeHeader', () => {
+    it('ignores case, spacing and punctuation', () => {
+        expect(normalizeHeader(' Invoice_No. ')).toBe('invoiceno');
+        expect(normalizeHeader(undefined)).toBe('');
+    });
+});
+
+describe('headersMatch and isMappingComplete', () => {
+    it('need every field', () => {
+        expect(headersMatch(['PO', 'Goods'], ['Goods', 'PO', 'Extra'])).toBe(true);
+        expect(headersMatch(['PO', 'Goods'], ['Goods'])).toBe(false);
+        expect(isMappingComplete(['PO', 'Goods'], { PO: 'Order', Goods: '' })).toBe(false);
+        expect(isMappingComplete(['PO', 'Goods'], { PO: 'Order', Goods: 'Item' })).toBe(true);
+    });
+});
+
+describe('suggestMapping', () => {
+    const fields = ['Invoice', 'PO', 'Goods'];
+
+    it('matches exact names, then normalized names, then synonyms', () => {
+        const { mapping, profile } = suggestMapping(fields, ['Goods', 'INVOICE', 'Purchase Order']);
+        expect(mapping).toEqual({ Goods: 'Goods', Invoice: 'INVOICE', PO: 'Purchase Order' });
+        expect(profile).toBeNull();
+    });
+
+    it('uses each column only once', () => {
+        // "Invoice No" is a synonym of Invoice, but the exact match claims it first
+        const { mapping } = suggestMapping(['Invoice No', 'Invoice'], ['Invoice No']);
+        expect(mapping).toEqual({ 'Invoice No': 'Invoice No' });
+    });
+
+    it('leaves fields without a likely column unmapped', () => {
+        expect(suggestMapping(fields, ['Invoice', 'Colour']).mapping).toEqual({ Invoice: 'Invoice' });
+    });
+
+    it('prefers a saved profile whose columns are all in the file', () => {
+        const profiles = [
+            { name: 'Old layout', columns: { Invoice: 'Bill', PO: 'Order Ref', Goods: 'Lines' } },
+            { name: 'Supplier', columns: { Invoice: 'Inv', PO: 'Ord', Goods: 'Desc', 'Invoice Date': 'When' } }
+        ];
+        const { mapping, profile } = suggestMapping(fields, ['Inv', 'Ord', 'Desc'], profiles, ['Invoice Date']);
+        expect(profile.name).toBe('Supplier');
+        // Optional columns the file lacks are left out
+        expect(mapping).toEqual({ Invoice: 'Inv', PO: 'Ord', Goods: 'Desc' });
+    });
+
+    it('matches optional fields without requiring them', () => {
+        const { mapping } = suggestMapping(['Invoice'], ['Invoice', 'Inv Date'], [], ['Invoice Date']);
+        expect(mapping).toEqual({ Invoice: 'Invoice', 'Invoice Date': 'Inv Date' });
+    });
+});
+
+describe('applyMapping', () => {
+    it('keys rows by field name and fills unmapped fields with blanks', () => {
+        const rows = [{ Inv: 'INV-1', Ord: '4500123', Other: 'x' }];
+        expect(applyMapping(rows, ['Invoice', 'PO', 'Goods'], { Invoice: 'Inv', PO: 'Ord' })).toEqual([
+            { Invoice: 'INV-1', PO: '4500123', Goods: '' }
+        ]);
+    });
+});
@@ -0,0 +1,50 @@
+// Material composition of PO processor invoices against the server's rule table
+// (see Server/models/CompositionRule.js)
+
+const NO_POS = new Set();
+
+const MATCH_WORDS = {
+    all: 'all POs in',
+    some: 'some POs in',
+    any: 'a PO in',
+    none: 'no PO in'
+};
+
+export const matchLabel = (match) => MATCH_WORDS[match] || match;
+
+export const describeCondition = (condition) => `${matchLabel(condition.match)} ${condition.poSet}`;
+
+// pos: the invoice's PO numbers (never empty); poSets: Map from poSetsOn
+const conditionHolds = (condition, pos, poSets) => {
+    const set = poSets.get(condition.poSet) || NO_POS;
+    const inSet = pos.filter(po => set.has(po)).length;
+    switch (condition.match) {
+        case 'all': return inSet === pos.length;
+        case 'some': return inSet > 0 && inSet < pos.length;
+        case 'any': return inSet > 0;
+        case 'none': return inSet === 0;
+        default: return false;
+    }
+};
+
+// rules in the order the server returns them (highest priority first). A rule fires when all of its
+// conditions hold; rules without conditions only ever act as the default.
+// Returns { rule, matched, reason }; rule is null when nothing matched and there is no default.
+export const classifyInvoice = (pos, rules, poSets) => {
+    const listed = pos.map(po => String(po ?? '').trim()).filter(Boolean);
+    if (listed.length > 0) {
+        const rule = rules.find(candidate => (candidate.conditions || []).length > 0 &&
+            candidate.conditions.every(condition => conditionHolds(condition, listed, poSets)));
+        if (rule) {
+            return { rule, matched: true, reason: rule.conditions.map(describeCondition).join(' and ') };
+        }
+    }
+
+    const fallback = rules.find(rule => rule.isDefault) || null;
+    const why = listed.length > 0 ? 'no rule matched' : 'no PO numbers';
+    return {
+        rule: fallback,
+        matched: false,
+        reason: fallback ? `${why}, default ${fallback.code} used` : `${why} and no default rule`
+    };
+};
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { classifyInvoice, describeCondition } from './compositionRules';
+
+// The built-in table (Server/models/CompositionRule.js) plus a two-set rule, highest priority first
+const rules = [
+    {
+        code: 'BONE-RECYCLED',
+        priority: 30,
+        conditions: [{ poSet: 'bone-china', match: 'any' }, { poSet: 'recycled', match: 'any' }]
+    },
+    { code: 'RECYCLED-80-20', priority: 20, conditions: [{ poSet: 'recycled', match: 'all' }] },
+    { code: 'MIXED-80-20', priority: 10, conditions: [{ poSet: 'recycled', match: 'some' }] },
+    { code: 'PORCELAIN', priority: 0, isDefault: true, conditions: [] }
+];
+
+const poSets = new Map([
+    ['recycled', new Set(['R1', 'R2'])],
+    ['bone-china', new Set(['B1'])]
+]);
+
+describe('classifyInvoice', () => {
+    it('uses the first rule whose conditions all hold', () => {
+        expect(classifyInvoice(['R1', 'R2'], rules, poSets)).toEqual({
+            rule: rules[1],
+            matched: true,
+            reason: 'all POs in recycled'
+        });
+        expect(classifyInvoice(['R1', 'P1'], rules, poSets).rule.code).toBe('MIXED-80-20');
+        expect(classifyInvoice(['B1', 'R1'], rules, poSets)).toMatchObject({
+            rule: { code: 'BONE-RECYCLED' },
+            reason: 'a PO in bone-china and a PO in recycled'
+        });
+    });
+
+    it('falls back to the default rule', () => {
+        expect(classifyInvoice(['P1'], rules, poSets)).toEqual({
+            rule: rules[3],
+            matched: false,
+            reason: 'no rule matched, default PORCELAIN used'
+        });
+    });
+
+    it('ignores blank PO numbers and uses the default without any', () => {
+        expect(classifyInvoice([' R1 ', '', null], rules, poSets).rule.code).toBe('RECYCLED-80-20');
+        expect(classifyInvoice(['', ' '], rules, poSets)).toMatchObject({
+            rule: { code: 'PORCELAIN' },
+            reason: 'no PO numbers, default PORCELAIN used'
+        });
+    });
+
+    it('treats a set with no POs on that day as empty', () => {
+        const noneRule = { code: 'NO-BONE', conditions: [{ poSet: 'bone-china', match: 'none' }] };
+        expect(classifyInvoice(['P1'], [noneRule], new Map()).rule).toBe(noneRule);
+        expect(classifyInvoice(['P1'], rules, new Map()).rule.code).toBe('PORCELAIN');
+    });
+
+    it('returns no rule when nothing matches and there is no default', () => {
+        expect(classifyInvoice(['P1'], rules.slice(0, 3), poSets)).toEqual({
+            rule: null,
+            matched: false,
+            reason: 'no rule matched and no default rule'
+        });
+    });
+});
+
+describe('describeCondition', () => {
+    it('reads like the rule editor', () => {
+        expect(describeCondition({ poSet: 'recycled', match: 'none' })).toBe('no PO in recycled');
+        expect(describeCondition({ poSet: 'recycled', match: 'most' })).toBe('most recycled');
+    });
+});
@@ -0,0 +1,24 @@
+// Three-way merge of copy-status maps ({ boxId: true }) after a save conflict.
+// Starts from the server's map and re-applies every box this client changed since `base`,
+// the last server state it saw; boxes only the other side touched keep their value.
+export const mergeCopiedBoxes = (base = {}, mine = {}, theirs = {}) => {
+    const merged = { ...theirs };
+    const boxIds = new Set([...Object.keys(base), ...Object.keys(mine)]);
+
+    boxIds.forEach(boxId => {
+        if (!!mine[boxId] === !!base[boxId]) return;
+        if (mine[boxId]) {
+            merged[boxId] = true;
+        } else {
+            delete merged[boxId];
+        }
+    });
+
+    return merged;
+};
+
+// True when both maps mark the same boxes as copied (false and missing are equivalent)
+export const sameCopyStatus = (a = {}, b = {}) => {
+    const boxIds = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...boxIds].every(boxId => !!a[boxId] === !!b[boxId]);
+};
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { mergeCopiedBoxes, sameCopyStatus } from './copyStatus';
+
+describe('mergeCopiedBoxes', () => {
+    it('keeps boxes only the other side changed', () => {
+        const base = { a: true };
+        const mine = { a: true };
+        const theirs = { a: true, b: true };
+        expect(mergeCopiedBoxes(base, mine, theirs)).toEqual({ a: true, b: true });
+    });
+
+    it('re-applies the boxes this client ticked and unticked', () => {
+        const base = { a: true, b: true };
+        const mine = { b: true, c: true };
+        const theirs = { a: true, b: true, d: true };
+        expect(mergeCopiedBoxes(base, mine, theirs)).toEqual({ b: true, c: true, d: true });
+    });
+
+    it('treats false like a missing box', () => {
+        expect(mergeCopiedBoxes({ a: true }, { a: false }, { a: true })).toEqual({});
+        expect(mergeCopiedBoxes({ a: false }, {}, { a: true })).toEqual({ a: true });
+    });
+
+    it('never loses a tick both sides made', () => {
+        expect(mergeCopiedBoxes({}, { a: true }, { a: true })).toEqual({ a: true });
+    });
+
+    it('does not change its inputs', () => {
+        const theirs = { a: true };
+        mergeCopiedBoxes({ a: true }, {}, theirs);
+        expect(theirs).toEqual({ a: true });
+    });
+});
+
+describe('sameCopyStatus', () => {
+    it('compares the copied boxes only', () => {
+        expect(sameCopyStatus({ a: true, b: false }, { a: true })).toBe(true);
+        expect(sameCopyStatus({ a: true }, { b: true })).toBe(false);
+        expect(sameCopyStatus(undefined, {})).toBe(true);
+    });
+});
@@ -0,0 +1,40 @@
+// Validation of FCR country codes against the server's ISO 3166 table
+// (see Server/models/Country.js)
+
+// countries: [{ code, name }] as returned by GET /api/countries
+export const countryLookup = (countries) => new Map(countries.map(country => [country.code, country.name]));
+
+// Returns { countryCode, countryName, known, reason }; the code comes back trimmed and upper-cased.
+// corrections maps common mistakes (UK, USA, ...) to the ISO code for the "did you mean" hint.
+// With an empty lookup (the table failed to load) codes can't be checked and are all let through.
+export const checkCountry = (value, lookup, corrections = {}) => {
+    const countryCode = String(value ?? '').trim().toUpperCase();
+    if (!countryCode) {
+        return { countryCode, countryName: '', known: false, reason: 'no country code' };
+    }
+    if (lookup.size === 0) {
+        return { countryCode, countryName: '', known: true, reason: '' };
+    }
+    if (lookup.has(countryCode)) {
+        return { countryCode, countryName: lookup.get(countryCode), known: true, reason: '' };
+    }
+
+    const suggestion = corrections[countryCode];
+    return {
+        countryCode,
+        countryName: '',
+        known: false,
+        reason: suggestion && lookup.has(suggestion)
+            ? `"${countryCode}" is not an ISO 3166 code, did you mean ${suggestion} (${lookup.get(suggestion)})?`
+            : `"${countryCode}" is not an ISO 3166 code`
+    };
+};
+
+// How a template prints {{country}}: code, name or both; falls back to the code when the name is unknown
+export const formatCountry = (row, countryFormat = 'code') => {
+    const code = row.countryCode ?? '';
+    const name = row.countryName || '';
+    if (!name || countryFormat === 'code') return code;
+    if (countryFormat === 'name') return name;
+    return `${name} (${code})`;
+};
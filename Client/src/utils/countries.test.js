@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { countryLookup, checkCountry, formatCountry } from './countries';
+
+const lookup = countryLookup([
+    { code: 'DE', name: 'GERMANY' },
+    { code: 'GB', name: 'UNITED KINGDOM' }
+]);
+
+describe('checkCountry', () => {
+    it('expands known codes after trimming and upper-casing', () => {
+        expect(checkCountry(' de ', lookup)).toEqual({ countryCode: 'DE', countryName: 'GERMANY', known: true, reason: '' });
+    });
+
+    it('suggests the ISO code for common mistakes', () => {
+        const result = checkCountry('uk', lookup, { UK: 'GB' });
+        expect(result).toMatchObject({ countryCode: 'UK', countryName: '', known: false });
+        expect(result.reason).toBe('"UK" is not an ISO 3166 code, did you mean GB (UNITED KINGDOM)?');
+    });
+
+    it('flags unknown and missing codes', () => {
+        expect(checkCountry('XX', lookup).reason).toBe('"XX" is not an ISO 3166 code');
+        expect(checkCountry('', lookup)).toMatchObject({ known: false, reason: 'no country code' });
+        expect(checkCountry(null, lookup)).toMatchObject({ known: false, reason: 'no country code' });
+    });
+
+    it('lets every code through when the table is not loaded', () => {
+        expect(checkCountry('xx', new Map(), { XX: 'DE' })).toEqual({ countryCode: 'XX', countryName: '', known: true, reason: '' });
+        expect(checkCountry('', new Map()).known).toBe(false);
+    });
+});
+
+describe('formatCountry', () => {
+    const row = { countryCode: 'DE', countryName: 'GERMANY' };
+
+    it('prints the code, name or both', () => {
+        expect(formatCountry(row)).toBe('DE');
+        expect(formatCountry(row, 'name')).toBe('GERMANY');
+        expect(formatCountry(row, 'both')).toBe('GERMANY (DE)');
+    });
+
+    it('falls back to the code without a name', () => {
+        expect(formatCountry({ countryCode: 'XX' }, 'both')).toBe('XX');
+    });
+});
@@ -0,0 +1,124 @@
+// Date parsing for FCR imports, shared by FCRDraftGenerator and the legacy FCRGenerator.
+// new Date('03/04/2024') reads month-first and rejects most dashed dates, while our
+// Bangladesh exports are day-first, so the format is always explicit or detected.
+
+export const DATE_FORMATS = [
+    { id: 'auto', label: 'Auto-detect' },
+    { id: 'dmy', label: 'DD/MM/YYYY' },
+    { id: 'mdy', label: 'MM/DD/YYYY' },
+    { id: 'iso', label: 'ISO (YYYY-MM-DD)' },
+    { id: 'excel', label: 'Excel serial number' }
+];
+
+// Used when day and month can't be told apart
+export const DEFAULT_DATE_FORMAT = 'dmy';
+
+export const dateFormatLabel = (format) =>
+    (DATE_FORMATS.find(entry => entry.id === format) || {}).label || format;
+
+const PARTS = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:[ T].*)?$/;
+const ISO = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T].*)?$/;
+const SERIAL = /^\d{1,6}(\.\d+)?$/;
+
+// Excel's day 0 is 1899-12-30 once its 1900 leap year bug is accounted for
+const EXCEL_EPOCH_UTC = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Local date, or null when the parts do not form a real calendar day (31/02, month 13, ...)
+const makeDate = (year, month, day) => {
+    const fullYear = year < 100 ? 2000 + year : year;
+    const date = new Date(fullYear, month - 1, day);
+    if (date.getFullYear() !== fullYear || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+    return date;
+};
+
+/**
+ * Parses one cell with an explicit format ('dmy' | 'mdy' | 'iso' | 'excel').
+ * Date objects (real Excel date cells) are taken as they are. Returns a Date or null.
+ */
+export const parseDateValue = (value, format) => {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value;
+    }
+    if (isBlank(value)) return null;
+    const text = String(value).trim();
+
+    if (format === 'excel') {
+        if (!SERIAL.test(text)) return null;
+        const utc = new Date(EXCEL_EPOCH_UTC + Math.floor(parseFloat(text)) * DAY_MS);
+        return makeDate(utc.getUTCFullYear(), utc.getUTCMonth() + 1, utc.getUTCDate());
+    }
+    if (format === 'iso') {
+        const match = text.match(ISO);
+        return match ? makeDate(Number(match[1]), Number(match[2]), Number(match[3])) : null;
+    }
+
+    const match = text.match(PARTS);
+    if (!match) return null;
+    const [first, second, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    return format === 'mdy' ? makeDate(year, first, second) : makeDate(year, second, first);
+};
+
+/**
+ * Picks the format that reads the most of the given values.
+ * Returns { format, ambiguous, unparsed }: ambiguous when day-first and month-first both
+ * read every value (e.g. only dates like 03/04/2024), in which case DEFAULT_DATE_FORMAT wins;
+ * unparsed counts the values the chosen format could not read.
+ */
+export const detectDateFormat = (values) => {
+    const filled = values.filter(value => !isBlank(value) && !(value instanceof Date));
+    if (filled.length === 0) {
+        return { format: DEFAULT_DATE_FORMAT, ambiguous: false, unparsed: 0 };
+    }
+
+    const scores = ['dmy', 'mdy', 'iso', 'excel'].map(format => ({
+        format,
+        parsed: filled.filter(value => parseDateValue(value, format)).length
+    }));
+    const best = Math.max(...scores.map(score => score.parsed));
+    const candidates = scores.filter(score => score.parsed === best).map(score => score.format);
+    const format = candidates.includes(DEFAULT_DATE_FORMAT) ? DEFAULT_DATE_FORMAT : candidates[0];
+
+    return {
+        format,
+        ambiguous: best > 0 && candidates.includes('dmy') && candidates.includes('mdy'),
+        unparsed: filled.length - best
+    };
+};
+
+// Values where day and month are both 12 or less, so the format decides which is which
+export const countAmbiguousDates = (values) => values
+    .filter(value => !(value instanceof Date) && PARTS.test(String(value ?? '').trim()))
+    .filter(value => {
+        const [, first, second] = String(value).trim().match(PARTS).map(Number);
+        return first <= 12 && second <= 12 && first !== second;
+    }).length;
+
+/**
+ * Cell to the DD-MM-YYYY text printed on FCRs. Blank stays blank; a value the format
+ * can't read is returned unchanged so it is visible rather than silently wrong.
+ */
+export const formatDateValue = (value, format) => {
+    if (isBlank(value)) return '';
+    const date = parseDateValue(value, format);
+    if (!date) return String(value);
+
+    const day = date.getDate().toString().padStart(2, '0');
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    return `${day}-${month}-${date.getFullYear()}`;
+};
+
+// Files read with a saved mapping profile keep their format in that profile on the server
+// (see ColumnMapping/ColumnMappingStep.jsx); this remembers it for everything else, under
+// 'standard', the built-in FCR column layout
+const FORMAT_KEY_PREFIX = 'fcr_date_format:';
+
+export const rememberedDateFormat = (profile = 'standard') =>
+    localStorage.getItem(`${FORMAT_KEY_PREFIX}${profile}`) || 'auto';
+
+export const rememberDateFormat = (profile, format) =>
+    localStorage.setItem(`${FORMAT_KEY_PREFIX}${profile || 'standard'}`, format);
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { parseDateValue, detectDateFormat, countAmbiguousDates, formatDateValue } from './dateFormats';
+
+const ymd = (date) => date && [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('parseDateValue', () => {
+    it('reads day-first and month-first dates as asked', () => {
+        expect(ymd(parseDateValue('03/04/2024', 'dmy'))).toEqual([2024, 4, 3]);
+        expect(ymd(parseDateValue('03/04/2024', 'mdy'))).toEqual([2024, 3, 4]);
+        expect(ymd(parseDateValue('3.4.24', 'dmy'))).toEqual([2024, 4, 3]);
+        expect(ymd(parseDateValue('03-04-2024 10:30', 'dmy'))).toEqual([2024, 4, 3]);
+    });
+
+    it('reads ISO dates and Excel serial numbers', () => {
+        expect(ymd(parseDateValue('2024-04-03', 'iso'))).toEqual([2024, 4, 3]);
+        expect(ymd(parseDateValue('45385', 'excel'))).toEqual([2024, 4, 3]);
+        expect(ymd(parseDateValue('45385.75', 'excel'))).toEqual([2024, 4, 3]);
+    });
+
+    it('rejects days that are not on the calendar', () => {
+        expect(parseDateValue('31/02/2024', 'dmy')).toBeNull();
+        expect(parseDateValue('13/13/2024', 'mdy')).toBeNull();
+        expect(parseDateValue('2024-13-01', 'iso')).toBeNull();
+    });
+
+    it('rejects values in another format and blanks', () => {
+        expect(parseDateValue('2024-04-03', 'dmy')).toBeNull();
+        expect(parseDateValue('03/04/2024', 'excel')).toBeNull();
+        expect(parseDateValue('  ', 'dmy')).toBeNull();
+    });
+
+    it('takes Date cells as they are', () => {
+        const date = new Date(2024, 3, 3);
+        expect(parseDateValue(date, 'mdy')).toBe(date);
+        expect(parseDateValue(new Date('nope'), 'dmy')).toBeNull();
+    });
+});
+
+describe('detectDateFormat', () => {
+    it('picks the format that reads every value', () => {
+        expect(detectDateFormat(['13/04/2024', '03/04/2024'])).toEqual({ format: 'dmy', ambiguous: false, unparsed: 0 });
+        expect(detectDateFormat(['04/13/2024', '04/03/2024'])).toEqual({ format: 'mdy', ambiguous: false, unparsed: 0 });
+        expect(detectDateFormat(['2024-04-13', ''])).toMatchObject({ format: 'iso', unparsed: 0 });
+        expect(detectDateFormat(['45385', '45386'])).toMatchObject({ format: 'excel' });
+    });
+
+    it('prefers day-first when both read every value', () => {
+        expect(detectDateFormat(['03/04/2024', '05/06/2024'])).toEqual({ format: 'dmy', ambiguous: true, unparsed: 0 });
+    });
+
+    it('counts what the chosen format cannot read', () => {
+        expect(detectDateFormat(['13/04/2024', 'soon'])).toEqual({ format: 'dmy', ambiguous: false, unparsed: 1 });
+    });
+
+    it('falls back to the default for empty columns', () => {
+        expect(detectDateFormat(['', null])).toEqual({ format: 'dmy', ambiguous: false, unparsed: 0 });
+    });
+});
+
+describe('countAmbiguousDates', () => {
+    it('counts dates whose day and month could be swapped', () => {
+        expect(countAmbiguousDates(['03/04/2024', '13/04/2024', '04/04/2024', '2024-04-03', null])).toBe(1);
+    });
+});
+
+describe('formatDateValue', () => {
+    it('prints DD-MM-YYYY', () => {
+        expect(formatDateValue('3/4/2024', 'mdy')).toBe('04-03-2024');
+        expect(formatDateValue('45385', 'excel')).toBe('03-04-2024');
+    });
+
+    it('keeps blanks blank and unreadable values as they are', () => {
+        expect(formatDateValue('', 'dmy')).toBe('');
+        expect(formatDateValue('31/02/2024', 'dmy')).toBe('31/02/2024');
+    });
+});
@@ -0,0 +1,45 @@
+// Local snapshots of FCRDraftGenerator sessions that have not been saved to the server yet,
+// so a reload or crash does not lose the uploaded data and copy progress.
+
+const KEY_PREFIX = 'fcr_draft_session:';
+
+// Excel date cells in inputData are local-midnight Dates; JSON would turn them into UTC
+// strings a day off east of Greenwich, so they are stored as { $date: 'YYYY-MM-DD' }
+function dateReplacer(key, value) {
+    const raw = this[key];
+    if (!(raw instanceof Date)) return value;
+    const pad = (number) => String(number).padStart(2, '0');
+    return { $date: `${raw.getFullYear()}-${pad(raw.getMonth() + 1)}-${pad(raw.getDate())}` };
+}
+
+const dateReviver = (key, value) => {
+    if (!value || typeof value.$date !== 'string') return value;
+    const [year, month, day] = value.$date.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+export const draftSessionKey = (fileName, projectName) =>
+    `${KEY_PREFIX}${fileName || 'untitled'}|${(projectName || '').trim()}`;
+
+// session: { fileName, projectName, projectYear, inputData, processedData, copiedBoxes, sessionHistory }
+// Throws when the browser storage is full so the caller can tell the operator.
+export const saveDraftSession = (key, session) => {
+    localStorage.setItem(key, JSON.stringify({ ...session, key, savedAt: new Date().toISOString() }, dateReplacer));
+};
+
+export const loadDraftSession = (key) => {
+    try {
+        return JSON.parse(localStorage.getItem(key), dateReviver);
+    } catch {
+        return null;
+    }
+};
+
+export const discardDraftSession = (key) => localStorage.removeItem(key);
+
+// Newest first
+export const listDraftSessions = () => Object.keys(localStorage)
+    .filter(key => key.startsWith(KEY_PREFIX))
+    .map(loadDraftSession)
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
@@ -0,0 +1,35 @@
+// Rendering of FCR box text from a stored template (see Server/models/FCRTemplate.js)
+
+import { formatCountry } from './countries';
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Used when no template could be loaded from the server, matching the built-in "Standard" one
+export const FALLBACK_TEMPLATE_BODY = `{{description}}
+ORDER NO. : {{poNumbers}}
+DESCRIPTION OF GOODS. : {{goods}}
+INVOICE NO. : {{invoiceNo}}
+DATE: {{invoiceDate}}
+EXP NO. : {{expNo}}
+DATE: {{entryDate}}
+CONTRACT NO. : {{lcContact}}
+DATE: {{contactDate}}
+H. S. CODE: {{hsCode}}
+COUNTRY: {{country}}`;
+
+// Values a processed row offers to templates; expNo is derived from its three parts and
+// country follows the template's countryFormat
+export const templateValues = (row, { countryFormat } = {}) => ({
+    ...row,
+    expNo: `${row.adCode ?? ''}/${row.expSerial ?? ''}/${row.expYear ?? ''}`,
+    country: formatCountry(row, countryFormat)
+});
+
+// Unknown placeholders are left in place so a typo is visible in the preview.
+// options: { countryFormat } taken from the template
+export const renderFcrTemplate = (body, row, options) => {
+    const values = templateValues(row, options);
+    return String(body || '').replace(PLACEHOLDER, (placeholder, field) =>
+        (field in values ? String(values[field] ?? '') : placeholder)
+    );
+};
@@ -0,0 +1,90 @@
+// Row-level checks on an uploaded FCR CSV, run before processData so bad rows are
+// reported instead of turning into NaN serials and unparsed dates.
+
+import { parseDateValue, dateFormatLabel, DEFAULT_DATE_FORMAT } from './dateFormats';
+
+// Required columns for FCR data
+export const REQUIRED_COLUMNS = [
+    'EXP Serial', 'Invoice Date', 'Entry Date', 'Date of Contact',
+    'Description', 'PO Numbers', 'Invoice No', 'AD Code', 'EXP Year',
+    'Lc Contact', 'Country short code', 'Goods'
+];
+
+export const DATE_COLUMNS = ['Invoice Date', 'Entry Date', 'Date of Contact'];
+const NUMERIC_COLUMNS = ['EXP Serial', 'AD Code'];
+
+// Dates outside this window are almost always typos (e.g. 2204 for 2024)
+const MIN_YEAR = 2000;
+const maxYear = () => new Date().getFullYear() + 1;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Whole numbers only; Excel exports sometimes add ".0"
+const isWholeNumber = (value) => /^\d+(\.0+)?$/.test(String(value).trim());
+
+/**
+ * Checks every row and returns a flat list of issues; dates are read with dateFormat
+ * (see utils/dateFormats.js):
+ * { row (1-based), invoiceNo, column, severity: 'error' | 'warning', message }.
+ * Errors are values processData would mangle; warnings are values that look wrong but still process.
+ */
+export const validateFcrRows = (rows, { projectYear, dateFormat = DEFAULT_DATE_FORMAT } = {}) => {
+    const issues = [];
+    const add = (index, row, column, severity, message) => issues.push({
+        row: index + 1,
+        invoiceNo: String(row['Invoice No'] ?? '').trim(),
+        column,
+        severity,
+        message
+    });
+
+    rows.forEach((row, index) => {
+        REQUIRED_COLUMNS.forEach(column => {
+            if (isBlank(row[column])) {
+                add(index, row, column, 'error', 'Missing value');
+            }
+        });
+
+        NUMERIC_COLUMNS.forEach(column => {
+            if (!isBlank(row[column]) && !isWholeNumber(row[column])) {
+                add(index, row, column, 'error', `"${row[column]}" is not a number`);
+            }
+        });
+
+        DATE_COLUMNS.forEach(column => {
+            if (isBlank(row[column])) return;
+            const date = parseDateValue(row[column], dateFormat);
+            if (!date) {
+                add(index, row, column, 'error', `"${row[column]}" is not a ${dateFormatLabel(dateFormat)} date`);
+            } else if (date.getFullYear() < MIN_YEAR || date.getFullYear() > maxYear()) {
+                add(index, row, column, 'error', `${date.getFullYear()} is outside ${MIN_YEAR}-${maxYear()}`);
+            }
+        });
+
+        const expYear = row['EXP Year'];
+        if (!isBlank(expYear)) {
+            if (!isWholeNumber(expYear)) {
+                add(index, row, 'EXP Year', 'error', `"${expYear}" is not a year`);
+            } else if (projectYear && parseInt(expYear, 10) !== parseInt(projectYear, 10)) {
+                add(index, row, 'EXP Year', 'warning', `${parseInt(expYear, 10)} differs from project year ${projectYear}`);
+            }
+        }
+    });
+
+    // Every occurrence of a repeated invoice number is flagged with the other rows it appears on
+    const rowsByInvoice = new Map();
+    rows.forEach((row, index) => {
+        const invoiceNo = String(row['Invoice No'] ?? '').trim();
+        if (!invoiceNo) return;
+        rowsByInvoice.set(invoiceNo, [...(rowsByInvoice.get(invoiceNo) || []), index]);
+    });
+    rowsByInvoice.forEach((indexes, invoiceNo) => {
+        if (indexes.length < 2) return;
+        indexes.forEach(index => {
+            const others = indexes.filter(other => other !== index).map(other => other + 1);
+            add(index, rows[index], 'Invoice No', 'error', `Invoice ${invoiceNo} also on row ${others.join(', ')}`);
+        });
+    });
+
+    return issues.sort((a, b) => a.row - b.row);
+};
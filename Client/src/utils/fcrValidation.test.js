@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { validateFcrRows } from './fcrValidation';
+
+const validRow = (overrides = {}) => ({
+    'EXP Serial': '123',
+    'Invoice Date': '15/01/2025',
+    'Entry Date': '20/01/2025',
+    'Date of Contact': '02/01/2025',
+    'Description': '100% PORCELAIN TABLEWARE',
+    'PO Numbers': '4500123',
+    'Invoice No': 'INV-1',
+    'AD Code': '0260',
+    'EXP Year': '2025',
+    'Lc Contact': 'LC-9',
+    'Country short code': 'DE',
+    'Goods': 'Plates',
+    ...overrides
+});
+
+describe('validateFcrRows', () => {
+    it('accepts complete rows', () => {
+        expect(validateFcrRows([validRow(), validRow({ 'Invoice No': 'INV-2' })], { projectYear: 2025 })).toEqual([]);
+    });
+
+    it('reports missing values and non-numeric serials as errors', () => {
+        const issues = validateFcrRows([validRow({ 'Goods': ' ', 'EXP Serial': '12a' })]);
+        expect(issues).toEqual([
+            { row: 1, invoiceNo: 'INV-1', column: 'Goods', severity: 'error', message: 'Missing value' },
+            { row: 1, invoiceNo: 'INV-1', column: 'EXP Serial', severity: 'error', message: '"12a" is not a number' }
+        ]);
+    });
+
+    it('accepts serials exported with a trailing .0', () => {
+        expect(validateFcrRows([validRow({ 'EXP Serial': '123.0' })])).toEqual([]);
+    });
+
+    it('reads dates with the chosen format', () => {
+        const row = validRow({ 'Invoice Date': '01/15/2025' });
+        expect(validateFcrRows([row])[0]).toMatchObject({
+            column: 'Invoice Date',
+            message: '"01/15/2025" is not a DD/MM/YYYY date'
+        });
+        expect(validateFcrRows([validRow({ 'Invoice Date': '01/15/2025', 'Entry Date': '01/20/2025', 'Date of Contact': '01/02/2025' })], { dateFormat: 'mdy' })).toEqual([]);
+    });
+
+    it('flags years that are likely typos', () => {
+        expect(validateFcrRows([validRow({ 'Entry Date': '20/01/2205' })])[0].message).toMatch(/^2205 is outside 2000-/);
+    });
+
+    it('warns when the EXP year differs from the project year', () => {
+        expect(validateFcrRows([validRow()], { projectYear: '2026' })).toEqual([
+            { row: 1, invoiceNo: 'INV-1', column: 'EXP Year', severity: 'warning', message: '2025 differs from project year 2026' }
+        ]);
+    });
+
+    it('flags every row of a repeated invoice number', () => {
+        const issues = validateFcrRows([validRow(), validRow({ 'Invoice No': 'INV-2' }), validRow()]);
+        expect(issues.map(issue => [issue.row, issue.message])).toEqual([
+            [1, 'Invoice INV-1 also on row 3'],
+            [3, 'Invoice INV-1 also on row 1']
+        ]);
+    });
+});
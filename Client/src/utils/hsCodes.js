@@ -0,0 +1,44 @@
+// HS code classification of processed FCR rows against the server's master table
+// (see Server/models/HSCode.js)
+
+// Used when the table could not be loaded, matching the built-in default (porcelain tableware)
+export const FALLBACK_HS_CODE = '6911.10.00';
+
+const ruleMatches = (rule, row) => {
+    const value = String(row[rule.field] ?? '');
+    if (rule.matchType === 'regex') {
+        try {
+            return new RegExp(rule.pattern, 'i').test(value);
+        } catch {
+            return false;
+        }
+    }
+    return value.toLowerCase().includes(String(rule.pattern).toLowerCase());
+};
+
+// hsCodes in the order the server returns them (highest priority first).
+// Returns { hsCode, matched, reason }; unmatched rows get the default code, or '' without one.
+// An empty table (it failed to load) gives every row FALLBACK_HS_CODE, reported as unmatched.
+export const classifyRow = (row, hsCodes) => {
+    if (hsCodes.length === 0) {
+        return { hsCode: FALLBACK_HS_CODE, matched: false, reason: `HS code table not loaded, ${FALLBACK_HS_CODE} used` };
+    }
+
+    for (const entry of hsCodes) {
+        const rule = (entry.rules || []).find(candidate => ruleMatches(candidate, row));
+        if (rule) {
+            return {
+                hsCode: entry.code,
+                matched: true,
+                reason: `${rule.field} ${rule.matchType === 'regex' ? 'matches' : 'contains'} "${rule.pattern}"`
+            };
+        }
+    }
+
+    const fallback = hsCodes.find(entry => entry.isDefault);
+    return {
+        hsCode: fallback ? fallback.code : '',
+        matched: false,
+        reason: fallback ? `no rule matched, default ${fallback.code} used` : 'no rule matched and no default code'
+    };
+};
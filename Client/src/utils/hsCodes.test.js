@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { classifyRow, FALLBACK_HS_CODE } from './hsCodes';
+
+const hsCodes = [
+    { code: '6912.00.00', rules: [{ field: 'goods', matchType: 'keyword', pattern: 'Stoneware' }] },
+    { code: '6911.10.00', isDefault: true, rules: [{ field: 'description', matchType: 'regex', pattern: '^100% porcelain' }] }
+];
+
+describe('classifyRow', () => {
+    it('uses the first code with a matching rule, ignoring case', () => {
+        expect(classifyRow({ goods: 'STONEWARE MUGS', description: '100% PORCELAIN' }, hsCodes)).toEqual({
+            hsCode: '6912.00.00',
+            matched: true,
+            reason: 'goods contains "Stoneware"'
+        });
+    });
+
+    it('matches regex rules', () => {
+        const result = classifyRow({ goods: 'Plates', description: '100% Porcelain tableware' }, hsCodes);
+        expect(result).toMatchObject({ hsCode: '6911.10.00', matched: true, reason: 'description matches "^100% porcelain"' });
+    });
+
+    it('falls back to the default code', () => {
+        expect(classifyRow({ goods: 'Glass', description: 'Tumblers' }, hsCodes)).toEqual({
+            hsCode: '6911.10.00',
+            matched: false,
+            reason: 'no rule matched, default 6911.10.00 used'
+        });
+    });
+
+    it('leaves the code empty without a default', () => {
+        expect(classifyRow({ goods: 'Glass' }, [hsCodes[0]])).toMatchObject({ hsCode: '', matched: false });
+    });
+
+    it('uses the built-in default when the table did not load', () => {
+        expect(classifyRow({ goods: 'Glass' }, [])).toEqual({
+            hsCode: FALLBACK_HS_CODE,
+            matched: false,
+            reason: `HS code table not loaded, ${FALLBACK_HS_CODE} used`
+        });
+    });
+
+    it('skips broken regular expressions', () => {
+        const broken = [{ code: '1', rules: [{ field: 'goods', matchType: 'regex', pattern: '(' }] }];
+        expect(classifyRow({ goods: '(' }, broken).matched).toBe(false);
+    });
+});
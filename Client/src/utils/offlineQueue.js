@@ -0,0 +1,49 @@
+// IndexedDB-backed queue of copy-status changes made while the server could not be reached.
+// Entries are kept in insertion order (auto-increment `seq`) so they can be replayed as made.
+
+const DB_NAME = 'fcr-offline';
+const DB_VERSION = 1;
+const STORE = 'copyStatusQueue';
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true });
+                store.createIndex('projectId', 'projectId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+};
+
+// Run fn against the store inside one transaction and resolve with the request's result
+const withStore = async (mode, fn) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode);
+        const request = fn(transaction.objectStore(STORE));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+// change: { projectId, boxId, isCopied, user, at }
+export const enqueueCopyChange = (change) => withStore('readwrite', store => store.add(change));
+
+// Oldest first
+export const getQueuedChanges = async (projectId) => {
+    const changes = await withStore('readonly', store => store.index('projectId').getAll(projectId));
+    return (changes || []).sort((a, b) => a.seq - b.seq);
+};
+
+export const removeQueuedChange = (seq) => withStore('readwrite', store => store.delete(seq));
@@ -0,0 +1,68 @@
+// Hand-off from POProcessor to FCRDraftGenerator: the per-invoice PO output is kept for the
+// browser session and joined by invoice number with an uploaded EXP register, replacing the
+// manual Excel merge of output_<date>.csv.
+
+const STORAGE_KEY = 'fcr_po_output';
+
+// The FCR columns the PO output supplies; the EXP register provides the rest
+export const PO_OUTPUT_COLUMNS = ['PO Numbers', 'Description', 'Goods'];
+
+// output: POProcessor rows { 'Invoice Number', 'PO Numbers', 'Description', 'Goods' }
+export const storePoOutput = (output) => {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ rows: output, createdAt: new Date().toISOString() }));
+};
+
+export const loadPoOutput = () => {
+    try {
+        return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    } catch {
+        return null;
+    }
+};
+
+export const clearPoOutput = () => sessionStorage.removeItem(STORAGE_KEY);
+
+// "00123", "123" and Excel's "123.0" are the same invoice
+export const invoiceKey = (value) => {
+    const text = String(value ?? '').trim();
+    return /^\d+(\.0+)?$/.test(text) ? String(parseInt(text, 10)) : text.toUpperCase();
+};
+
+/**
+ * Joins EXP register rows (FCR columns, keyed by 'Invoice No') with the PO output.
+ * Returns { rows, unmatchedPo, unmatchedRegister }: rows are register rows that found their
+ * invoice, with PO Numbers, Description and Goods taken from the PO output; unmatchedPo are
+ * invoice numbers with no register row; unmatchedRegister are { row (1-based), invoiceNo }.
+ */
+export const joinPoOutput = (poRows, registerRows) => {
+    const poByInvoice = new Map();
+    poRows.forEach(row => {
+        const key = invoiceKey(row['Invoice Number']);
+        if (key) poByInvoice.set(key, row);
+    });
+
+    const joinedKeys = new Set();
+    const rows = [];
+    const unmatchedRegister = [];
+    registerRows.forEach((row, index) => {
+        const key = invoiceKey(row['Invoice No']);
+        const po = poByInvoice.get(key);
+        if (!po) {
+            unmatchedRegister.push({ row: index + 1, invoiceNo: String(row['Invoice No'] ?? '').trim() });
+            return;
+        }
+        joinedKeys.add(key);
+        rows.push({
+            ...row,
+            'PO Numbers': po['PO Numbers'] || '',
+            'Description': po['Description'] || '',
+            'Goods': po['Goods'] || ''
+        });
+    });
+
+    const unmatchedPo = poRows
+        .filter(row => !joinedKeys.has(invoiceKey(row['Invoice Number'])))
+        .map(row => String(row['Invoice Number'] ?? '').trim());
+
+    return { rows, unmatchedPo, unmatchedRegister };
+};
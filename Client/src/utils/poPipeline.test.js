@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { invoiceKey, joinPoOutput } from './poPipeline';
+
+describe('invoiceKey', () => {
+    it('treats zero-padded and Excel numbers as the same invoice', () => {
+        expect(invoiceKey('00123')).toBe('123');
+        expect(invoiceKey(123)).toBe('123');
+        expect(invoiceKey('123.0')).toBe('123');
+    });
+
+    it('compares other invoice numbers case-insensitively', () => {
+        expect(invoiceKey(' inv-7 ')).toBe('INV-7');
+        expect(invoiceKey(null)).toBe('');
+    });
+});
+
+describe('joinPoOutput', () => {
+    const poRows = [
+        { 'Invoice Number': '00123', 'PO Numbers': '4500123,4500124', 'Description': '100% PORCELAIN TABLEWARE', 'Goods': 'Plates' },
+        { 'Invoice Number': 'INV-7', 'PO Numbers': '4500999', 'Description': 'MIXED', 'Goods': '' },
+        { 'Invoice Number': '555', 'PO Numbers': '4500555', 'Description': 'X', 'Goods': 'Cups' }
+    ];
+
+    it('fills the PO columns of register rows from the matching invoice', () => {
+        const registerRows = [
+            { 'Invoice No': '123', 'EXP Serial': '1', 'PO Numbers': 'stale', 'Goods': 'stale' },
+            { 'Invoice No': 'inv-7', 'EXP Serial': '2' }
+        ];
+
+        const { rows } = joinPoOutput(poRows, registerRows);
+
+        expect(rows).toEqual([
+            { 'Invoice No': '123', 'EXP Serial': '1', 'PO Numbers': '4500123,4500124', 'Description': '100% PORCELAIN TABLEWARE', 'Goods': 'Plates' },
+            { 'Invoice No': 'inv-7', 'EXP Serial': '2', 'PO Numbers': '4500999', 'Description': 'MIXED', 'Goods': '' }
+        ]);
+    });
+
+    it('reports invoices missing on either side', () => {
+        const registerRows = [
+            { 'Invoice No': '123' },
+            { 'Invoice No': ' 999 ' }
+        ];
+
+        const { unmatchedPo, unmatchedRegister } = joinPoOutput(poRows, registerRows);
+
+        expect(unmatchedPo).toEqual(['INV-7', '555']);
+        expect(unmatchedRegister).toEqual([{ row: 2, invoiceNo: '999' }]);
+    });
+
+    it('ignores PO rows without an invoice number', () => {
+        const { rows, unmatchedRegister } = joinPoOutput([{ 'Invoice Number': '', 'PO Numbers': '1' }], [{ 'Invoice No': '' }]);
+        expect(rows).toEqual([]);
+        expect(unmatchedRegister).toEqual([{ row: 1, invoiceNo: '' }]);
+    });
+});
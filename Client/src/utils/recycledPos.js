@@ -0,0 +1,30 @@
+// Picking the recycled PO list that applied on a given day (see Server/models/RecycledPO.js)
+
+export const DEFAULT_PO_SET = 'recycled';
+
+// Local calendar day of a Date as 'YYYY-MM-DD'
+export const dayKey = (date) => {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Entry dates come from the server as UTC-midnight ISO strings; their day is the date part
+const entryDay = (value) => (value ? String(value).slice(0, 10) : null);
+
+// entries: GET /api/recycled-pos; day: 'YYYY-MM-DD'. Both ends of a range are inclusive.
+export const isEffectiveOn = (entry, day) => {
+    const from = entryDay(entry.effectiveFrom);
+    const to = entryDay(entry.effectiveTo);
+    return (!from || from <= day) && (!to || to >= day);
+};
+
+// Map of PO set name to the PO numbers in it on that day, for the composition rules
+export const poSetsOn = (entries, day) => {
+    const sets = new Map();
+    entries.filter(entry => isEffectiveOn(entry, day)).forEach(entry => {
+        const name = entry.poSet || DEFAULT_PO_SET;
+        if (!sets.has(name)) sets.set(name, new Set());
+        sets.get(name).add(String(entry.po).trim());
+    });
+    return sets;
+};
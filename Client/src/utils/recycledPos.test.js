@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { dayKey, isEffectiveOn, poSetsOn } from './recycledPos';
+
+describe('dayKey', () => {
+    it('uses the local calendar day', () => {
+        expect(dayKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+    });
+});
+
+describe('isEffectiveOn', () => {
+    const entry = { effectiveFrom: '2026-03-01T00:00:00.000Z', effectiveTo: '2026-03-31T00:00:00.000Z' };
+
+    it('includes both ends of the range', () => {
+        expect(isEffectiveOn(entry, '2026-03-01')).toBe(true);
+        expect(isEffectiveOn(entry, '2026-03-31')).toBe(true);
+        expect(isEffectiveOn(entry, '2026-02-28')).toBe(false);
+        expect(isEffectiveOn(entry, '2026-04-01')).toBe(false);
+    });
+
+    it('treats missing dates as open-ended', () => {
+        expect(isEffectiveOn({ effectiveFrom: null, effectiveTo: null }, '1999-01-01')).toBe(true);
+        expect(isEffectiveOn({ effectiveFrom: '2026-03-01T00:00:00.000Z' }, '2030-01-01')).toBe(true);
+        expect(isEffectiveOn({ effectiveTo: '2026-03-01T00:00:00.000Z' }, '2026-03-02')).toBe(false);
+    });
+});
+
+describe('poSetsOn', () => {
+    it('groups the POs valid on the day by set', () => {
+        const entries = [
+            { po: '4500123 ', effectiveFrom: '2026-01-01T00:00:00.000Z' },
+            { po: '4500124', poSet: 'recycled', effectiveTo: '2025-12-31T00:00:00.000Z' },
+            { po: '4500200', poSet: 'bone-china' },
+            { po: 4500201, poSet: 'bone-china' }
+        ];
+
+        const sets = poSetsOn(entries, '2026-02-01');
+
+        expect([...sets.keys()]).toEqual(['recycled', 'bone-china']);
+        expect([...sets.get('recycled')]).toEqual(['4500123']);
+        expect([...sets.get('bone-china')]).toEqual(['4500200', '4500201']);
+    });
+});
@@ -0,0 +1,71 @@
+// Reading XLSX/XLS uploads into the same { fields, rows } shape Papa.parse gives for CSV
+import * as XLSX from 'xlsx';
+
+export const isSpreadsheetFile = (fileName) => /\.(xlsx|xls)$/i.test(fileName || '');
+
+export const readWorkbook = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            // cellNF keeps each cell's number format, which is how date cells are recognised
+            resolve(XLSX.read(new Uint8Array(e.target.result), { type: 'array', cellNF: true }));
+        } catch (error) {
+            reject(error);
+        }
+    };
+    reader.onerror = () => reject(new Error('Could not read the file'));
+    reader.readAsArrayBuffer(file);
+});
+
+// A cell to what a CSV row would hold: date-formatted numbers become local-midnight Dates
+// (no serials, no locale strings), everything else becomes text
+const cellValue = (cell) => {
+    if (!cell || cell.v === undefined || cell.v === null) return '';
+    if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+        const { y, m, d } = XLSX.SSF.parse_date_code(cell.v);
+        return new Date(y, m - 1, d);
+    }
+    if (cell.t === 'd') {
+        return new Date(cell.v.getFullYear(), cell.v.getMonth(), cell.v.getDate());
+    }
+    return String(cell.v).trim();
+};
+
+/**
+ * Rows of one sheet as objects keyed by the first row's headers.
+ * Returns { fields, rows }; fully empty rows are skipped like Papa's skipEmptyLines.
+ */
+export const sheetRows = (workbook, sheetName) => {
+    const sheet = workbook.Sheets[sheetName];
+    if (!sheet || !sheet['!ref']) return { fields: [], rows: [] };
+
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const cellAt = (r, c) => sheet[XLSX.utils.encode_cell({ r, c })];
+    const columns = [];
+    for (let c = range.s.c; c <= range.e.c; c++) columns.push(c);
+
+    const fields = columns.map(c => String(cellValue(cellAt(range.s.r, c))).trim());
+    const rows = [];
+    for (let r = range.s.r + 1; r <= range.e.r; r++) {
+        const row = {};
+        columns.forEach((c, idx) => {
+            if (fields[idx]) row[fields[idx]] = cellValue(cellAt(r, c));
+        });
+        if (Object.values(row).some(value => value !== '')) rows.push(row);
+    }
+
+    return { fields: fields.filter(Boolean), rows };
+};
+
+// The first sheet that has every required column, else the first sheet
+export const pickSheet = (workbook, requiredColumns) =>
+    workbook.SheetNames.find(name => {
+        const sheet = workbook.Sheets[name];
+        if (!sheet || !sheet['!ref']) return false;
+        const range = XLSX.utils.decode_range(sheet['!ref']);
+        const fields = [];
+        for (let c = range.s.c; c <= range.e.c; c++) {
+            fields.push(String(cellValue(sheet[XLSX.utils.encode_cell({ r: range.s.r, c })])).trim());
+        }
+        return requiredColumns.every(column => fields.includes(column));
+    }) || workbook.SheetNames[0];
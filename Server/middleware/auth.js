@@ -0,0 +1,68 @@
+// -----------------------------------------------------------
+// middleware/auth.js - JWT bearer-token authentication
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// Read lazily: dotenv is loaded after the modules are required
+const getSecret = () => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return process.env.JWT_SECRET;
+};
+
+const signToken = (user) => jwt.sign(
+    { sub: String(user._id) },
+    getSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || '12h' }
+);
+
+// The browser's EventSource cannot set headers, so event-stream requests may pass the token as
+// ?access_token=; everything else must use the header, which keeps tokens out of access logs
+const tokenFromRequest = (req) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Bearer' && token) return token;
+
+    const acceptsStream = (req.headers.accept || '').includes('text/event-stream');
+    if (req.method === 'GET' && acceptsStream && typeof req.query.access_token === 'string') {
+        return req.query.access_token;
+    }
+    return null;
+};
+
+// Require a valid "Authorization: Bearer <token>" header and attach the user to req.user
+const authenticate = async (req, res, next) => {
+    const token = tokenFromRequest(req);
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, getSecret());
+    } catch {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    try {
+        const user = await User.findById(payload.sub);
+        if (!user) {
+            return res.status(401).json({ error: 'User no longer exists' });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Allow the request through only for users holding one of the given roles (use after authenticate)
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+    next();
+};
+
+module.exports = { authenticate, authorize, signToken };
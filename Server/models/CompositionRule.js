@@ -0,0 +1,95 @@
+// -----------------------------------------------------------
+// models/CompositionRule.js - Material composition rules the PO processor uses to describe invoices
+
+const mongoose = require('mongoose');
+const { insertBuiltIns } = require('../utils/builtIns');
+
+// How an invoice's POs must relate to a PO set (see models/RecycledPO.js) for a condition to hold.
+// all: every PO is in the set; some: at least one is and at least one is not; any: at least one is;
+// none: no PO is in the set.
+const MATCH_TYPES = ['all', 'some', 'any', 'none'];
+
+// Installed when the collection is empty; these reproduce the three descriptions that were hard-coded before
+const BUILT_IN_RULES = [
+    {
+        code: 'RECYCLED-80-20',
+        description: '80% PORCELAIN, 20% RECYCLED PRE-CONSUMER PORCELAIN',
+        priority: 20,
+        conditions: [{ poSet: 'recycled', match: 'all' }]
+    },
+    {
+        code: 'MIXED-80-20',
+        description: '100% PORCELAIN TABLEWARE AND 80% PORCELAIN, 20% RECYCLED PRE-CONSUMER PORCELAIN',
+        priority: 10,
+        conditions: [{ poSet: 'recycled', match: 'some' }]
+    },
+    {
+        code: 'PORCELAIN',
+        description: '100% PORCELAIN TABLEWARE',
+        isDefault: true,
+        priority: 0,
+        conditions: []
+    }
+];
+
+const conditionSchema = new mongoose.Schema({
+    poSet: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        maxLength: 40,
+        match: [/^[a-z0-9][a-z0-9-]*$/, 'PO set names may only contain letters, digits and dashes']
+    },
+    match: {
+        type: String,
+        enum: MATCH_TYPES,
+        default: 'all'
+    }
+}, { _id: false });
+
+const compositionRuleSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true,
+        maxLength: 40,
+        match: [/^[A-Z0-9][A-Z0-9-]*$/, 'Composition codes may only contain letters, digits and dashes']
+    },
+    // Written to the Description column of the PO output, and from there onto the FCR
+    description: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 300
+    },
+    // Every condition must hold for the rule to fire
+    conditions: [conditionSchema],
+    // Higher priority rules are tried first
+    priority: {
+        type: Number,
+        default: 0
+    },
+    // Used for invoices no rule matches
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    updatedBy: {
+        type: String,
+        default: 'system'
+    }
+}, {
+    timestamps: true
+});
+
+compositionRuleSchema.statics.ensureBuiltIns = async function () {
+    await insertBuiltIns(this, BUILT_IN_RULES);
+};
+
+const CompositionRule = mongoose.model('CompositionRule', compositionRuleSchema);
+CompositionRule.MATCH_TYPES = MATCH_TYPES;
+
+module.exports = CompositionRule;
@@ -0,0 +1,40 @@
+// -----------------------------------------------------------
+// models/Country.js - ISO 3166 country table used to validate and expand FCR country codes
+
+const mongoose = require('mongoose');
+const { insertBuiltIns } = require('../utils/builtIns');
+const { COUNTRIES, COMMON_MISTAKES } = require('../data/countries');
+
+const countrySchema = new mongoose.Schema({
+    // ISO 3166-1 alpha-2
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{2}$/, 'Country code must be two letters']
+    },
+    // Printed on FCRs when a template asks for the full name
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 100
+    },
+    updatedBy: {
+        type: String,
+        default: 'system'
+    }
+}, {
+    timestamps: true
+});
+
+countrySchema.statics.ensureBuiltIns = async function () {
+    await insertBuiltIns(this, COUNTRIES.map(([code, name]) => ({ code, name })));
+};
+
+const Country = mongoose.model('Country', countrySchema);
+Country.COMMON_MISTAKES = COMMON_MISTAKES;
+
+module.exports = Country;
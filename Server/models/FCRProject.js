@@ -3,6 +3,34 @@
 
 const mongoose = require('mongoose');
 
+// Pages that can mark boxes; 'legacy' marks entries migrated from the old string history
+const COPY_SOURCES = ['project-detail', 'draft-generator', 'legacy', 'unknown'];
+
+// One audit-trail entry per copy / uncopy / reset action
+const copyEventSchema = new mongoose.Schema({
+    boxId: {
+        type: String
+    },
+    action: {
+        type: String,
+        enum: ['copy', 'uncopy', 'reset'],
+        required: true
+    },
+    user: {
+        type: String,
+        default: 'system'
+    },
+    source: {
+        type: String,
+        enum: COPY_SOURCES,
+        default: 'unknown'
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 const fcrProjectSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -10,6 +38,10 @@ const fcrProjectSchema = new mongoose.Schema({
         trim: true,
         maxLength: 100
     },
+    year: {
+        type: Number,
+        required: true
+    },
     description: {
         type: String,
         maxLength: 500,
@@ -30,15 +62,19 @@ const fcrProjectSchema = new mongoose.Schema({
         lcContact: String,
         contactDate: String,
         countryCode: String,
+        countryName: String,
+        hsCode: String,
         formattedText: String
     }],
     copiedBoxes: {
         type: mongoose.Schema.Types.Mixed,
         default: {}
     },
-    copyHistory: [{
-        type: String
-    }],
+    // Excluded from normal reads; fetched through the history endpoint
+    copyHistory: {
+        type: [copyEventSchema],
+        select: false
+    },
     totalBoxes: {
         type: Number,
         default: 0
@@ -51,6 +87,12 @@ const fcrProjectSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Layout the box text was rendered with (see models/FCRTemplate.js)
+    template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FCRTemplate',
+        default: null
+    },
     tags: [{
         type: String,
         trim: true
@@ -69,6 +111,11 @@ const fcrProjectSchema = new mongoose.Schema({
     exportCount: {
         type: Number,
         default: 0
+    },
+    // Bumped on every change to row data or copy status; clients send it back as a save precondition
+    version: {
+        type: Number,
+        default: 0
     }
 }, {
     timestamps: true,
@@ -76,18 +123,20 @@ const fcrProjectSchema = new mongoose.Schema({
     toObject: { virtuals: true }
 });
 
+// Only boxes explicitly marked true count as copied
+const countCopied = (copiedBoxes) => Object.values(copiedBoxes || {}).filter(Boolean).length;
+
 // Virtual for calculating completion percentage
 fcrProjectSchema.virtual('calculatedCompletionPercentage').get(function () {
     if (!this.processedData || this.processedData.length === 0) return 0;
-    const copiedCount = Object.keys(this.copiedBoxes || {}).length;
-    return Math.round((copiedCount / this.processedData.length) * 100);
+    return Math.round((countCopied(this.copiedBoxes) / this.processedData.length) * 100);
 });
 
 // Pre-save middleware to update statistics
 fcrProjectSchema.pre('save', function (next) {
     if (this.processedData) {
         this.totalBoxes = this.processedData.length;
-        this.copiedCount = Object.keys(this.copiedBoxes || {}).length;
+        this.copiedCount = countCopied(this.copiedBoxes);
         this.completionPercentage = this.totalBoxes > 0
             ? Math.round((this.copiedCount / this.totalBoxes) * 100)
             : 0;
@@ -95,10 +144,53 @@ fcrProjectSchema.pre('save', function (next) {
     next();
 });
 
+// Same calculation as the pre-save hook, as an update pipeline for writes that bypass save()
+const statsPipeline = [
+    {
+        $set: {
+            totalBoxes: { $size: { $ifNull: ['$processedData', []] } },
+            copiedCount: {
+                $size: {
+                    $filter: {
+                        input: { $objectToArray: { $ifNull: ['$copiedBoxes', {}] } },
+                        cond: { $eq: ['$$this.v', true] }
+                    }
+                }
+            }
+        }
+    },
+    {
+        $set: {
+            completionPercentage: {
+                $cond: [
+                    { $gt: ['$totalBoxes', 0] },
+                    { $round: [{ $multiply: [{ $divide: ['$copiedCount', '$totalBoxes'] }, 100] }, 0] },
+                    0
+                ]
+            }
+        }
+    }
+];
+
+// Recalculate stored statistics for one project and return the updated document
+fcrProjectSchema.statics.refreshStats = function (filter, options = {}) {
+    return this.findOneAndUpdate(filter, statsPipeline, { new: true, ...options });
+};
+
+// Recalculate stored statistics for every matching project
+fcrProjectSchema.statics.refreshAllStats = function (filter = {}) {
+    return this.updateMany(filter, statsPipeline);
+};
+
 // Index for better query performance
 fcrProjectSchema.index({ name: 1, createdBy: 1 });
+fcrProjectSchema.index({ name: 1, year: 1 });
 fcrProjectSchema.index({ createdAt: -1 });
 fcrProjectSchema.index({ updatedAt: -1 });
 fcrProjectSchema.index({ isArchived: 1 });
+fcrProjectSchema.index({ tags: 1 });
+
+const FCRProject = mongoose.model('FCRProject', fcrProjectSchema);
+FCRProject.COPY_SOURCES = COPY_SOURCES;
 
-module.exports = mongoose.model('FCRProject', fcrProjectSchema);
\ No newline at end of file
+module.exports = FCRProject;
\ No newline at end of file
@@ -0,0 +1,111 @@
+// -----------------------------------------------------------
+// models/FCRTemplate.js - Named layouts for the text of each FCR box
+
+const mongoose = require('mongoose');
+const { insertBuiltIns } = require('../utils/builtIns');
+
+// Row fields a template may reference as {{field}}; expNo is adCode/expSerial/expYear and
+// country is the country printed the way the template's countryFormat asks for
+const FIELDS = [
+    'index', 'description', 'poNumbers', 'goods', 'invoiceNo', 'invoiceDate',
+    'adCode', 'expSerial', 'expYear', 'expNo', 'entryDate', 'lcContact',
+    'contactDate', 'countryCode', 'countryName', 'country', 'hsCode'
+];
+
+// code: DE, name: GERMANY, both: GERMANY (DE)
+const COUNTRY_FORMATS = ['code', 'name', 'both'];
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Installed when the collection is empty: the layout processData used to hard-code, once with
+// the row's description as the first line and once word for word
+const BUILT_IN_TEMPLATES = [
+    {
+        name: 'Standard',
+        description: 'Description from the data file as the first line',
+        isDefault: true,
+        body: `{{description}}
+ORDER NO. : {{poNumbers}}
+DESCRIPTION OF GOODS. : {{goods}}
+INVOICE NO. : {{invoiceNo}}
+DATE: {{invoiceDate}}
+EXP NO. : {{expNo}}
+DATE: {{entryDate}}
+CONTRACT NO. : {{lcContact}}
+DATE: {{contactDate}}
+H. S. CODE: {{hsCode}}
+COUNTRY: {{country}}`
+    },
+    {
+        name: 'Porcelain tableware (legacy)',
+        description: 'The original fixed layout',
+        isDefault: false,
+        body: `100% PORCELAIN TABLEWARE
+ORDER NO. : {{poNumbers}}
+DESCRIPTION OF GOODS. : {{goods}}
+INVOICE NO. : {{invoiceNo}}
+DATE: {{invoiceDate}}
+EXP NO. : {{expNo}}
+DATE: {{entryDate}}
+CONTRACT NO. : {{lcContact}}
+DATE: {{contactDate}}
+H. S. CODE: 6911.10.00
+COUNTRY: {{countryCode}}`
+    }
+];
+
+const fcrTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        maxLength: 100
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxLength: 500,
+        default: ''
+    },
+    body: {
+        type: String,
+        required: true,
+        maxLength: 5000
+    },
+    countryFormat: {
+        type: String,
+        enum: COUNTRY_FORMATS,
+        default: 'code'
+    },
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: String,
+        default: 'system'
+    },
+    updatedBy: {
+        type: String,
+        default: 'system'
+    }
+}, {
+    timestamps: true
+});
+
+// Placeholders in the body that are not row fields
+fcrTemplateSchema.statics.unknownPlaceholders = function (body) {
+    const names = [...String(body || '').matchAll(PLACEHOLDER)].map(match => match[1]);
+    return [...new Set(names)].filter(name => !FIELDS.includes(name));
+};
+
+fcrTemplateSchema.statics.ensureBuiltIns = async function () {
+    await insertBuiltIns(this, BUILT_IN_TEMPLATES);
+};
+
+const FCRTemplate = mongoose.model('FCRTemplate', fcrTemplateSchema);
+FCRTemplate.FIELDS = FIELDS;
+FCRTemplate.COUNTRY_FORMATS = COUNTRY_FORMATS;
+
+module.exports = FCRTemplate;
@@ -0,0 +1,116 @@
+// -----------------------------------------------------------
+// models/HSCode.js - HS code master table with rules that classify FCR rows
+
+const mongoose = require('mongoose');
+const { insertBuiltIns } = require('../utils/builtIns');
+
+const RULE_FIELDS = ['goods', 'description'];
+const MATCH_TYPES = ['keyword', 'regex'];
+
+// Installed when the collection is empty; porcelain is the fallback, as it was hard-coded before
+const BUILT_IN_CODES = [
+    {
+        code: '6911.10.00',
+        label: 'Porcelain or china tableware and kitchenware',
+        isDefault: true,
+        priority: 10,
+        rules: [
+            { field: 'description', matchType: 'keyword', pattern: 'porcelain' },
+            { field: 'goods', matchType: 'keyword', pattern: 'porcelain' },
+            { field: 'description', matchType: 'keyword', pattern: 'bone china' }
+        ]
+    },
+    {
+        code: '6912.00.00',
+        label: 'Ceramic tableware other than porcelain (stoneware, earthenware)',
+        priority: 20,
+        rules: [
+            { field: 'description', matchType: 'regex', pattern: '\\b(stoneware|earthenware)\\b' },
+            { field: 'goods', matchType: 'regex', pattern: '\\b(stoneware|earthenware)\\b' }
+        ]
+    },
+    {
+        code: '7013.49.00',
+        label: 'Glassware for table or kitchen use',
+        priority: 20,
+        rules: [
+            { field: 'description', matchType: 'regex', pattern: '\\bglass(ware)?\\b' },
+            { field: 'goods', matchType: 'regex', pattern: '\\bglass(ware)?\\b' }
+        ]
+    }
+];
+
+const ruleSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        enum: RULE_FIELDS,
+        required: true
+    },
+    // keyword: case-insensitive substring; regex: case-insensitive regular expression
+    matchType: {
+        type: String,
+        enum: MATCH_TYPES,
+        default: 'keyword'
+    },
+    pattern: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 200,
+        validate: {
+            validator: function (pattern) {
+                if (this.matchType !== 'regex') return true;
+                try {
+                    new RegExp(pattern, 'i');
+                    return true;
+                } catch {
+                    return false;
+                }
+            },
+            message: props => `Invalid regular expression: ${props.value}`
+        }
+    }
+}, { _id: false });
+
+const hsCodeSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        match: [/^\d{4}(\.\d{2}){1,3}$/, 'HS code must look like 6911.10.00']
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxLength: 200,
+        default: ''
+    },
+    rules: [ruleSchema],
+    // Higher priority codes are tried first
+    priority: {
+        type: Number,
+        default: 0
+    },
+    // Used for rows no rule matches; such rows are still reported as unclassified
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    updatedBy: {
+        type: String,
+        default: 'system'
+    }
+}, {
+    timestamps: true
+});
+
+hsCodeSchema.statics.ensureBuiltIns = async function () {
+    await insertBuiltIns(this, BUILT_IN_CODES);
+};
+
+const HSCode = mongoose.model('HSCode', hsCodeSchema);
+HSCode.RULE_FIELDS = RULE_FIELDS;
+HSCode.MATCH_TYPES = MATCH_TYPES;
+
+module.exports = HSCode;
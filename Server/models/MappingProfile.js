@@ -0,0 +1,72 @@
+// -----------------------------------------------------------
+// models/MappingProfile.js - Named source-column mappings for FCR and PO imports
+
+const mongoose = require('mongoose');
+
+// The fields each import needs, under the names the processing code reads them by
+const FIELDS_BY_KIND = {
+    fcr: [
+        'EXP Serial', 'Invoice Date', 'Entry Date', 'Date of Contact',
+        'Description', 'PO Numbers', 'Invoice No', 'AD Code', 'EXP Year',
+        'Lc Contact', 'Country short code', 'Goods'
+    ],
+    // Invoice Date is optional; it picks the recycled PO list valid for each invoice
+    po: ['Invoice', 'PO', 'Goods', 'Invoice Date'],
+    recycled: ['PO']
+};
+const KINDS = Object.keys(FIELDS_BY_KIND);
+
+// Same ids as the client's date format selector (Client/src/utils/dateFormats.js)
+const DATE_FORMATS = ['auto', 'dmy', 'mdy', 'iso', 'excel'];
+
+const mappingProfileSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 100
+    },
+    kind: {
+        type: String,
+        enum: KINDS,
+        required: true
+    },
+    // field -> source column header in the uploaded file
+    columns: {
+        type: Map,
+        of: String,
+        default: {},
+        validate: {
+            validator: function (columns) {
+                const fields = FIELDS_BY_KIND[this.kind] || [];
+                return [...columns.keys()].every(field => fields.includes(field));
+            },
+            message: 'Columns may only map fields of this import kind'
+        }
+    },
+    // How date cells of files with this layout are read; only used by FCR imports
+    dateFormat: {
+        type: String,
+        enum: DATE_FORMATS,
+        default: 'auto'
+    },
+    createdBy: {
+        type: String,
+        required: true
+    },
+    updatedBy: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+mappingProfileSchema.index({ kind: 1, name: 1 }, { unique: true });
+
+const MappingProfile = mongoose.model('MappingProfile', mappingProfileSchema);
+MappingProfile.FIELDS_BY_KIND = FIELDS_BY_KIND;
+MappingProfile.KINDS = KINDS;
+MappingProfile.DATE_FORMATS = DATE_FORMATS;
+
+module.exports = MappingProfile;
@@ -0,0 +1,97 @@
+// -----------------------------------------------------------
+// models/ProjectRevision.js - Full snapshots of a project after each update
+
+const mongoose = require('mongoose');
+const { diffProjects, summarizeDiff } = require('../utils/projectDiff');
+
+const projectRevisionSchema = new mongoose.Schema({
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FCRProject',
+        required: true
+    },
+    number: {
+        type: Number,
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ['baseline', 'create', 'update', 'reset', 'restore'],
+        required: true
+    },
+    author: {
+        type: String,
+        default: 'system'
+    },
+    summary: {
+        type: String,
+        default: ''
+    },
+    // Snapshot of the project state after this revision
+    name: String,
+    year: Number,
+    processedData: {
+        type: Array,
+        default: []
+    },
+    copiedBoxes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+projectRevisionSchema.index({ project: 1, number: -1 }, { unique: true });
+
+const snapshotOf = (project) => ({
+    name: project.name,
+    year: project.year,
+    processedData: (project.processedData || []).map(row => (row.toObject ? row.toObject() : row)),
+    copiedBoxes: project.copiedBoxes || {}
+});
+
+// Concurrent saves of one project can pick the same next number; the unique index rejects
+// the later one, which then reads the latest number again
+const MAX_RECORD_ATTEMPTS = 5;
+
+const createNext = async function ({ before, after, author, kind, summary }) {
+    const latest = await this.findOne({ project: after._id }).sort({ number: -1 }).select('number');
+    let number = latest ? latest.number : 0;
+
+    if (!latest && before) {
+        number += 1;
+        await this.create({
+            project: after._id,
+            number,
+            kind: 'baseline',
+            author: before.createdBy || 'system',
+            summary: 'State before revision history was recorded',
+            ...snapshotOf(before)
+        });
+    }
+
+    return this.create({
+        project: after._id,
+        number: number + 1,
+        kind,
+        author,
+        summary: summary || (before ? summarizeDiff(diffProjects(before, after)) : 'Project created'),
+        ...snapshotOf(after)
+    });
+};
+
+// Store the state after a change. Projects that predate revision history get a baseline
+// snapshot of their previous state first, so the very first update can still be undone.
+projectRevisionSchema.statics.record = async function (revision) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await createNext.call(this, revision);
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+        }
+    }
+};
+
+module.exports = mongoose.model('ProjectRevision', projectRevisionSchema);
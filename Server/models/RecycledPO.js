@@ -0,0 +1,73 @@
+// -----------------------------------------------------------
+// models/RecycledPO.js - Recycled PO master list, each entry valid for a date range.
+// Entries are grouped into named PO sets (recycled 80/20, recycled 70/30, bone china, ...)
+// that the composition rules in models/CompositionRule.js refer to.
+
+const mongoose = require('mongoose');
+
+const DEFAULT_PO_SET = 'recycled';
+
+const recycledPOSchema = new mongoose.Schema({
+    poSet: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: DEFAULT_PO_SET,
+        maxLength: 40,
+        match: [/^[a-z0-9][a-z0-9-]*$/, 'PO set names may only contain letters, digits and dashes']
+    },
+    po: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 50
+    },
+    // null means "since always" / "until further notice"; both ends are inclusive days
+    effectiveFrom: {
+        type: Date,
+        default: null
+    },
+    effectiveTo: {
+        type: Date,
+        default: null,
+        validate: {
+            validator: function (effectiveTo) {
+                return !effectiveTo || !this.effectiveFrom || effectiveTo >= this.effectiveFrom;
+            },
+            message: 'Effective to must not be before effective from'
+        }
+    },
+    note: {
+        type: String,
+        default: '',
+        maxLength: 200
+    },
+    createdBy: {
+        type: String,
+        required: true
+    },
+    updatedBy: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// The same PO can come back to a set for a later period, but not twice from the same day
+recycledPOSchema.index({ poSet: 1, po: 1, effectiveFrom: 1 }, { unique: true });
+
+// Entries valid on the given day (a Date at UTC midnight)
+recycledPOSchema.statics.validOn = function (day) {
+    return this.find({
+        $and: [
+            { $or: [{ effectiveFrom: null }, { effectiveFrom: { $lte: day } }] },
+            { $or: [{ effectiveTo: null }, { effectiveTo: { $gte: day } }] }
+        ]
+    });
+};
+
+const RecycledPO = mongoose.model('RecycledPO', recycledPOSchema);
+RecycledPO.DEFAULT_PO_SET = DEFAULT_PO_SET;
+
+module.exports = RecycledPO;
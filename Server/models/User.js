@@ -0,0 +1,59 @@
+// -----------------------------------------------------------
+// models/User.js - Staff accounts for the FCR server
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const userSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true,
+        maxLength: 50
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxLength: 100,
+        default: ''
+    },
+    password: {
+        type: String,
+        required: true,
+        minLength: 8,
+        select: false
+    },
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'viewer'
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.password;
+            return ret;
+        }
+    }
+});
+
+// Hash the password whenever it is set or changed
+userSchema.pre('save', async function () {
+    if (!this.isModified('password')) return;
+    this.password = await bcrypt.hash(this.password, 10);
+});
+
+userSchema.methods.comparePassword = function (candidate) {
+    return bcrypt.compare(candidate, this.password);
+};
+
+const User = mongoose.model('User', userSchema);
+User.ROLES = ROLES;
+
+module.exports = User;
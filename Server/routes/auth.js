@@ -0,0 +1,130 @@
+// -----------------------------------------------------------
+// routes/auth.js - Register, login and current-user endpoints
+
+const express = require('express');
+const User = require('../models/User');
+const { authenticate, authorize, signToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// The very first account can be created openly and becomes an admin; after that only admins can add users
+const allowBootstrapOrAdmin = async (req, res, next) => {
+    try {
+        const userCount = await User.countDocuments();
+        if (userCount === 0) {
+            req.isBootstrap = true;
+            return next();
+        }
+        return authenticate(req, res, () => authorize('admin')(req, res, next));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// POST /api/auth/register - Create a user account
+router.post('/register', allowBootstrapOrAdmin, async (req, res) => {
+    try {
+        const { username, name, password, role } = req.body;
+
+        if (!username || !username.trim()) {
+            return res.status(400).json({ error: 'Username is required' });
+        }
+
+        if (!password || password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+
+        if (role !== undefined && !User.ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${User.ROLES.join(', ')}` });
+        }
+
+        const existingUser = await User.findOne({ username: username.trim().toLowerCase() });
+        if (existingUser) {
+            return res.status(409).json({ error: 'Username is already taken' });
+        }
+
+        const user = await User.create({
+            username: username.trim(),
+            name: (name || '').trim(),
+            password,
+            role: req.isBootstrap ? 'admin' : (role || 'viewer')
+        });
+
+        console.log('User registered:', user.username, user.role);
+        res.status(201).json({ user });
+    } catch (error) {
+        console.error('Error registering user:', error);
+        res.status(500).json({ error: 'Failed to register user' });
+    }
+});
+
+// POST /api/auth/login - Exchange username and password for a token
+router.post('/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+
+        const user = await User.findOne({ username: username.trim().toLowerCase() }).select('+password');
+        if (!user || !(await user.comparePassword(password))) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        res.json({ token: signToken(user), user });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+// GET /api/auth/me - Current user
+router.get('/me', authenticate, (req, res) => {
+    res.json({ user: req.user });
+});
+
+// GET /api/auth/users - List all users (admin only)
+router.get('/users', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const users = await User.find().sort({ username: 1 });
+        res.json(users);
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// PUT /api/auth/users/:id/role - Change a user's role (admin only)
+router.put('/users/:id/role', authenticate, authorize('admin'), async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!User.ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${User.ROLES.join(', ')}` });
+        }
+
+        // Stop the last admin from locking everyone out
+        if (String(req.user._id) === req.params.id && role !== 'admin') {
+            return res.status(400).json({ error: 'You cannot remove your own admin role' });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { role },
+            { new: true, runValidators: true }
+        );
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        console.log('User role changed:', user.username, user.role);
+        res.json({ user });
+    } catch (error) {
+        console.error('Error changing user role:', error);
+        res.status(500).json({ error: 'Failed to change user role' });
+    }
+});
+
+module.exports = router;
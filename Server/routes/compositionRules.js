@@ -0,0 +1,113 @@
+// -----------------------------------------------------------
+// routes/compositionRules.js - Composition rule table (read by everyone, managed by admins)
+
+const express = require('express');
+const CompositionRule = require('../models/CompositionRule');
+const RecycledPO = require('../models/RecycledPO');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Only one rule can be the fallback for unmatched invoices
+const clearOtherDefaults = (id) => CompositionRule.updateMany(
+    { _id: { $ne: id }, isDefault: true },
+    { $set: { isDefault: false } }
+);
+
+const applyChanges = (rule, { code, description, conditions, priority, isDefault }, username) => {
+    if (code !== undefined) rule.code = code;
+    if (description !== undefined) rule.description = description;
+    if (conditions !== undefined) rule.conditions = Array.isArray(conditions) ? conditions : [];
+    if (priority !== undefined) rule.priority = Number(priority) || 0;
+    if (isDefault !== undefined) rule.isDefault = Boolean(isDefault);
+    rule.updatedBy = username;
+};
+
+// Schema validation (code format, condition fields) is reported as a 400
+const sendSaveError = (res, error, logMessage, errorMessage) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: Object.values(error.errors).map(err => err.message).join('; ') });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ error: 'This composition code already exists' });
+    }
+    console.error(logMessage, error);
+    res.status(500).json({ error: errorMessage });
+};
+
+// GET /api/composition-rules - The whole table in the order rules are tried, with the PO sets conditions can name
+router.get('/', async (req, res) => {
+    try {
+        await CompositionRule.ensureBuiltIns();
+        const rules = await CompositionRule.find().sort({ priority: -1, code: 1 }).lean();
+        const poSets = await RecycledPO.distinct('poSet');
+        res.json({
+            rules,
+            matchTypes: CompositionRule.MATCH_TYPES,
+            poSets: [...new Set([RecycledPO.DEFAULT_PO_SET, ...poSets])].sort()
+        });
+    } catch (error) {
+        console.error('Error fetching composition rules:', error);
+        res.status(500).json({ error: 'Failed to fetch composition rules' });
+    }
+});
+
+// POST /api/composition-rules - Add a rule
+router.post('/', authorize('admin'), async (req, res) => {
+    try {
+        const rule = new CompositionRule();
+        applyChanges(rule, req.body, req.user.username);
+        await rule.save();
+
+        if (rule.isDefault) {
+            await clearOtherDefaults(rule._id);
+        }
+
+        console.log('Composition rule created:', rule.code);
+        res.status(201).json(rule);
+    } catch (error) {
+        sendSaveError(res, error, 'Error creating composition rule:', 'Failed to create composition rule');
+    }
+});
+
+// PUT /api/composition-rules/:id - Change a rule's code, description, conditions, priority or default flag
+router.put('/:id', authorize('admin'), async (req, res) => {
+    try {
+        const rule = await CompositionRule.findById(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Composition rule not found' });
+        }
+
+        applyChanges(rule, req.body, req.user.username);
+        await rule.save();
+
+        if (rule.isDefault) {
+            await clearOtherDefaults(rule._id);
+        }
+
+        console.log('Composition rule updated:', rule.code);
+        res.json(rule);
+    } catch (error) {
+        sendSaveError(res, error, 'Error updating composition rule:', 'Failed to update composition rule');
+    }
+});
+
+// DELETE /api/composition-rules/:id - Remove a rule (earlier PO outputs keep the description they were given)
+router.delete('/:id', authorize('admin'), async (req, res) => {
+    try {
+        const rule = await CompositionRule.findByIdAndDelete(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Composition rule not found' });
+        }
+
+        console.log('Composition rule deleted:', rule.code);
+        res.json({ message: 'Composition rule deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting composition rule:', error);
+        res.status(500).json({ error: 'Failed to delete composition rule' });
+    }
+});
+
+module.exports = router;
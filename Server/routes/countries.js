@@ -0,0 +1,50 @@
+// -----------------------------------------------------------
+// routes/countries.js - ISO 3166 country table (read by everyone, names editable by admins)
+
+const express = require('express');
+const Country = require('../models/Country');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// GET /api/countries - Every country plus known typos (e.g. UK -> GB) for import hints
+router.get('/', async (req, res) => {
+    try {
+        await Country.ensureBuiltIns();
+        const countries = await Country.find().sort({ code: 1 }).select('code name').lean();
+        res.json({ countries, corrections: Country.COMMON_MISTAKES });
+    } catch (error) {
+        console.error('Error fetching countries:', error);
+        res.status(500).json({ error: 'Failed to fetch countries' });
+    }
+});
+
+// PUT /api/countries/:code - Change the name printed for a country
+router.put('/:code', authorize('admin'), async (req, res) => {
+    try {
+        const { name } = req.body;
+        if (!name || !String(name).trim()) {
+            return res.status(400).json({ error: 'Country name is required' });
+        }
+
+        const country = await Country.findOneAndUpdate(
+            { code: String(req.params.code).toUpperCase() },
+            { name: String(name).trim(), updatedBy: req.user.username },
+            { new: true, runValidators: true }
+        );
+
+        if (!country) {
+            return res.status(404).json({ error: 'Country not found' });
+        }
+
+        console.log('Country updated:', country.code, country.name);
+        res.json(country);
+    } catch (error) {
+        console.error('Error updating country:', error);
+        res.status(500).json({ error: 'Failed to update country' });
+    }
+});
+
+module.exports = router;
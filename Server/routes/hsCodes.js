@@ -0,0 +1,107 @@
+// -----------------------------------------------------------
+// routes/hsCodes.js - HS code master table (read by everyone, managed by admins)
+
+const express = require('express');
+const HSCode = require('../models/HSCode');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Only one code can be the fallback for unmatched rows
+const clearOtherDefaults = (id) => HSCode.updateMany(
+    { _id: { $ne: id }, isDefault: true },
+    { $set: { isDefault: false } }
+);
+
+const applyChanges = (hsCode, { code, label, rules, priority, isDefault }, username) => {
+    if (code !== undefined) hsCode.code = code;
+    if (label !== undefined) hsCode.label = label;
+    if (rules !== undefined) hsCode.rules = Array.isArray(rules) ? rules : [];
+    if (priority !== undefined) hsCode.priority = Number(priority) || 0;
+    if (isDefault !== undefined) hsCode.isDefault = Boolean(isDefault);
+    hsCode.updatedBy = username;
+};
+
+// Schema validation (code format, rule fields, regex syntax) is reported as a 400
+const sendSaveError = (res, error, logMessage, errorMessage) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: Object.values(error.errors).map(err => err.message).join('; ') });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ error: 'This HS code already exists' });
+    }
+    console.error(logMessage, error);
+    res.status(500).json({ error: errorMessage });
+};
+
+// GET /api/hs-codes - The whole table, in the order rules are tried
+router.get('/', async (req, res) => {
+    try {
+        await HSCode.ensureBuiltIns();
+        const hsCodes = await HSCode.find().sort({ priority: -1, code: 1 }).lean();
+        res.json({ hsCodes, ruleFields: HSCode.RULE_FIELDS, matchTypes: HSCode.MATCH_TYPES });
+    } catch (error) {
+        console.error('Error fetching HS codes:', error);
+        res.status(500).json({ error: 'Failed to fetch HS codes' });
+    }
+});
+
+// POST /api/hs-codes - Add a code with its rules
+router.post('/', authorize('admin'), async (req, res) => {
+    try {
+        const hsCode = new HSCode();
+        applyChanges(hsCode, req.body, req.user.username);
+        await hsCode.save();
+
+        if (hsCode.isDefault) {
+            await clearOtherDefaults(hsCode._id);
+        }
+
+        console.log('HS code created:', hsCode.code);
+        res.status(201).json(hsCode);
+    } catch (error) {
+        sendSaveError(res, error, 'Error creating HS code:', 'Failed to create HS code');
+    }
+});
+
+// PUT /api/hs-codes/:id - Change a code, its rules, priority or default flag
+router.put('/:id', authorize('admin'), async (req, res) => {
+    try {
+        const hsCode = await HSCode.findById(req.params.id);
+        if (!hsCode) {
+            return res.status(404).json({ error: 'HS code not found' });
+        }
+
+        applyChanges(hsCode, req.body, req.user.username);
+        await hsCode.save();
+
+        if (hsCode.isDefault) {
+            await clearOtherDefaults(hsCode._id);
+        }
+
+        console.log('HS code updated:', hsCode.code);
+        res.json(hsCode);
+    } catch (error) {
+        sendSaveError(res, error, 'Error updating HS code:', 'Failed to update HS code');
+    }
+});
+
+// DELETE /api/hs-codes/:id - Remove a code (saved projects keep the code they were stamped with)
+router.delete('/:id', authorize('admin'), async (req, res) => {
+    try {
+        const hsCode = await HSCode.findByIdAndDelete(req.params.id);
+        if (!hsCode) {
+            return res.status(404).json({ error: 'HS code not found' });
+        }
+
+        console.log('HS code deleted:', hsCode.code);
+        res.json({ message: 'HS code deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting HS code:', error);
+        res.status(500).json({ error: 'Failed to delete HS code' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+// -----------------------------------------------------------
+// routes/mappingProfiles.js - Saved column mappings for FCR and PO imports
+
+const express = require('express');
+const MappingProfile = require('../models/MappingProfile');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const applyChanges = (profile, { name, kind, columns, dateFormat }, username) => {
+    if (name !== undefined) profile.name = name;
+    if (kind !== undefined) profile.kind = kind;
+    if (columns !== undefined) {
+        // Unmapped fields are simply left out
+        profile.columns = Object.fromEntries(
+            Object.entries(columns || {}).filter(([, source]) => source && String(source).trim())
+        );
+    }
+    if (dateFormat !== undefined) profile.dateFormat = dateFormat;
+    profile.updatedBy = username;
+};
+
+// Schema validation (kind, fields, date format) is reported as a 400
+const sendSaveError = (res, error, logMessage, errorMessage) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: Object.values(error.errors).map(err => err.message).join('; ') });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ error: 'A profile with this name already exists for this import' });
+    }
+    console.error(logMessage, error);
+    res.status(500).json({ error: errorMessage });
+};
+
+// GET /api/mapping-profiles?kind=fcr - Profiles, optionally of one import kind
+router.get('/', async (req, res) => {
+    try {
+        const filter = req.query.kind ? { kind: req.query.kind } : {};
+        const profiles = await MappingProfile.find(filter).sort({ name: 1 }).lean();
+        res.json({ profiles, fieldsByKind: MappingProfile.FIELDS_BY_KIND });
+    } catch (error) {
+        console.error('Error fetching mapping profiles:', error);
+        res.status(500).json({ error: 'Failed to fetch mapping profiles' });
+    }
+});
+
+// POST /api/mapping-profiles - Save a mapping under a new name
+router.post('/', authorize('operator', 'admin'), async (req, res) => {
+    try {
+        const profile = new MappingProfile({ createdBy: req.user.username });
+        applyChanges(profile, req.body, req.user.username);
+        await profile.save();
+
+        console.log('Mapping profile created:', profile.kind, profile.name);
+        res.status(201).json(profile);
+    } catch (error) {
+        sendSaveError(res, error, 'Error creating mapping profile:', 'Failed to create mapping profile');
+    }
+});
+
+// PUT /api/mapping-profiles/:id - Change a profile's columns, name or date format
+router.put('/:id', authorize('operator', 'admin'), async (req, res) => {
+    try {
+        const profile = await MappingProfile.findById(req.params.id);
+        if (!profile) {
+            return res.status(404).json({ error: 'Mapping profile not found' });
+        }
+
+        // A profile keeps its kind; its columns only make sense for that import
+        applyChanges(profile, { ...req.body, kind: undefined }, req.user.username);
+        await profile.save();
+
+        console.log('Mapping profile updated:', profile.kind, profile.name);
+        res.json(profile);
+    } catch (error) {
+        sendSaveError(res, error, 'Error updating mapping profile:', 'Failed to update mapping profile');
+    }
+});
+
+// DELETE /api/mapping-profiles/:id - Remove a profile
+router.delete('/:id', authorize('admin'), async (req, res) => {
+    try {
+        const profile = await MappingProfile.findByIdAndDelete(req.params.id);
+        if (!profile) {
+            return res.status(404).json({ error: 'Mapping profile not found' });
+        }
+
+        console.log('Mapping profile deleted:', profile.kind, profile.name);
+        res.json({ message: 'Mapping profile deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting mapping profile:', error);
+        res.status(500).json({ error: 'Failed to delete mapping profile' });
+    }
+});
+
+module.exports = router;
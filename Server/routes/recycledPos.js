@@ -0,0 +1,174 @@
+// -----------------------------------------------------------
+// routes/recycledPos.js - Recycled PO master list (named PO sets) used by the PO processor
+
+const express = require('express');
+const RecycledPO = require('../models/RecycledPO');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// 'YYYY-MM-DD' (or anything Date can read) to that day at UTC midnight; '' and null clear the date.
+// Returns undefined for values that are not dates.
+const toDay = (value) => {
+    if (value === null || value === '') return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return undefined;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Shared by add, edit and bulk import; returns an error message or null
+const readDates = (body, target) => {
+    for (const field of ['effectiveFrom', 'effectiveTo']) {
+        if (body[field] === undefined) continue;
+        const day = toDay(body[field]);
+        if (day === undefined) {
+            return `${field} is not a valid date`;
+        }
+        target[field] = day;
+    }
+    return null;
+};
+
+// Schema validation (PO, date order) is reported as a 400
+const sendSaveError = (res, error, logMessage, errorMessage) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: Object.values(error.errors).map(err => err.message).join('; ') });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ error: 'This PO is already in that set from that date' });
+    }
+    console.error(logMessage, error);
+    res.status(500).json({ error: errorMessage });
+};
+
+// GET /api/recycled-pos?on=YYYY-MM-DD&poSet=name - The whole list, or only entries valid on one day / in one set
+router.get('/', async (req, res) => {
+    try {
+        let query = RecycledPO.find();
+        if (req.query.on) {
+            const day = toDay(req.query.on);
+            if (!day) {
+                return res.status(400).json({ error: 'on must be a date' });
+            }
+            query = RecycledPO.validOn(day);
+        }
+        if (req.query.poSet) {
+            query = query.where({ poSet: String(req.query.poSet).toLowerCase() });
+        }
+
+        const entries = await query.sort({ poSet: 1, po: 1, effectiveFrom: 1 }).lean();
+        res.json(entries);
+    } catch (error) {
+        console.error('Error fetching recycled POs:', error);
+        res.status(500).json({ error: 'Failed to fetch recycled POs' });
+    }
+});
+
+// POST /api/recycled-pos - Add one PO
+router.post('/', authorize('operator', 'admin'), async (req, res) => {
+    try {
+        const entry = new RecycledPO({
+            po: req.body.po,
+            poSet: req.body.poSet || undefined,
+            note: req.body.note || '',
+            createdBy: req.user.username,
+            updatedBy: req.user.username
+        });
+        const dateError = readDates(req.body, entry);
+        if (dateError) {
+            return res.status(400).json({ error: dateError });
+        }
+
+        await entry.save();
+
+        console.log(`Recycled PO added to ${entry.poSet}:`, entry.po);
+        res.status(201).json(entry);
+    } catch (error) {
+        sendSaveError(res, error, 'Error adding recycled PO:', 'Failed to add recycled PO');
+    }
+});
+
+// POST /api/recycled-pos/bulk - Add many POs to one set with the same dates; ones already in it from that date are skipped
+router.post('/bulk', authorize('operator', 'admin'), async (req, res) => {
+    try {
+        const pos = [...new Set((Array.isArray(req.body.pos) ? req.body.pos : [])
+            .map(po => String(po ?? '').trim())
+            .filter(Boolean))];
+        if (pos.length === 0) {
+            return res.status(400).json({ error: 'pos must list at least one PO number' });
+        }
+
+        const dates = { effectiveFrom: null, effectiveTo: null };
+        const dateError = readDates(req.body, dates);
+        if (dateError) {
+            return res.status(400).json({ error: dateError });
+        }
+        if (dates.effectiveFrom && dates.effectiveTo && dates.effectiveTo < dates.effectiveFrom) {
+            return res.status(400).json({ error: 'Effective to must not be before effective from' });
+        }
+
+        const poSet = String(req.body.poSet || RecycledPO.DEFAULT_PO_SET).trim().toLowerCase();
+        const existing = await RecycledPO.find({ poSet, po: { $in: pos }, effectiveFrom: dates.effectiveFrom }).select('po').lean();
+        const listed = new Set(existing.map(entry => entry.po));
+        const toAdd = pos.filter(po => !listed.has(po));
+
+        if (toAdd.length > 0) {
+            await RecycledPO.insertMany(toAdd.map(po => ({
+                po,
+                poSet,
+                ...dates,
+                note: req.body.note || '',
+                createdBy: req.user.username,
+                updatedBy: req.user.username
+            })));
+        }
+
+        console.log(`Recycled POs imported to ${poSet}: ${toAdd.length} added, ${listed.size} skipped`);
+        res.status(201).json({ added: toAdd.length, skipped: [...listed] });
+    } catch (error) {
+        sendSaveError(res, error, 'Error importing recycled POs:', 'Failed to import recycled POs');
+    }
+});
+
+// PUT /api/recycled-pos/:id - Change an entry's dates or note (e.g. end it)
+router.put('/:id', authorize('operator', 'admin'), async (req, res) => {
+    try {
+        const entry = await RecycledPO.findById(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Recycled PO not found' });
+        }
+
+        const dateError = readDates(req.body, entry);
+        if (dateError) {
+            return res.status(400).json({ error: dateError });
+        }
+        if (req.body.note !== undefined) entry.note = req.body.note;
+        entry.updatedBy = req.user.username;
+        await entry.save();
+
+        console.log('Recycled PO updated:', entry.po);
+        res.json(entry);
+    } catch (error) {
+        sendSaveError(res, error, 'Error updating recycled PO:', 'Failed to update recycled PO');
+    }
+});
+
+// DELETE /api/recycled-pos/:id - Remove an entry
+router.delete('/:id', authorize('operator', 'admin'), async (req, res) => {
+    try {
+        const entry = await RecycledPO.findByIdAndDelete(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Recycled PO not found' });
+        }
+
+        console.log('Recycled PO removed:', entry.po);
+        res.json({ message: 'Recycled PO removed successfully' });
+    } catch (error) {
+        console.error('Error removing recycled PO:', error);
+        res.status(500).json({ error: 'Failed to remove recycled PO' });
+    }
+});
+
+module.exports = router;
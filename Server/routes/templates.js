@@ -0,0 +1,175 @@
+// -----------------------------------------------------------
+// routes/templates.js - FCR text templates (read by everyone, managed by admins)
+
+const express = require('express');
+const FCRTemplate = require('../models/FCRTemplate');
+const FCRProject = require('../models/FCRProject');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Shared by create and update; returns an error message or null
+const validateTemplate = ({ name, body, countryFormat }, partial = false) => {
+    if ((!partial || name !== undefined) && (!name || !String(name).trim())) {
+        return 'Template name is required';
+    }
+    if ((!partial || body !== undefined) && (!body || !String(body).trim())) {
+        return 'Template body is required';
+    }
+    if (countryFormat !== undefined && !FCRTemplate.COUNTRY_FORMATS.includes(countryFormat)) {
+        return `Country format must be one of: ${FCRTemplate.COUNTRY_FORMATS.join(', ')}`;
+    }
+    const unknown = FCRTemplate.unknownPlaceholders(body);
+    if (unknown.length > 0) {
+        return `Unknown placeholders: ${unknown.map(field => `{{${field}}}`).join(', ')}. ` +
+            `Available: ${FCRTemplate.FIELDS.join(', ')}`;
+    }
+    return null;
+};
+
+// Only one template can be the default for new projects
+const clearOtherDefaults = (id) => FCRTemplate.updateMany(
+    { _id: { $ne: id }, isDefault: true },
+    { $set: { isDefault: false } }
+);
+
+// GET /api/templates - Every template, default first
+router.get('/', async (req, res) => {
+    try {
+        await FCRTemplate.ensureBuiltIns();
+        const templates = await FCRTemplate.find().sort({ isDefault: -1, name: 1 }).lean();
+        res.json({ templates, fields: FCRTemplate.FIELDS, countryFormats: FCRTemplate.COUNTRY_FORMATS });
+    } catch (error) {
+        console.error('Error fetching templates:', error);
+        res.status(500).json({ error: 'Failed to fetch templates' });
+    }
+});
+
+// GET /api/templates/:id - Get a single template
+router.get('/:id', async (req, res) => {
+    try {
+        const template = await FCRTemplate.findById(req.params.id).lean();
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        res.json(template);
+    } catch (error) {
+        console.error('Error fetching template:', error);
+        res.status(500).json({ error: 'Failed to fetch template' });
+    }
+});
+
+// POST /api/templates - Create a template
+router.post('/', authorize('admin'), async (req, res) => {
+    try {
+        const { name, description, body, countryFormat, isDefault } = req.body;
+
+        const validationError = validateTemplate({ name, body, countryFormat });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        if (await FCRTemplate.exists({ name: name.trim() })) {
+            return res.status(409).json({ error: 'A template with this name already exists' });
+        }
+
+        const template = await FCRTemplate.create({
+            name: name.trim(),
+            description: description || '',
+            body,
+            countryFormat: countryFormat || 'code',
+            isDefault: Boolean(isDefault),
+            createdBy: req.user.username,
+            updatedBy: req.user.username
+        });
+
+        if (template.isDefault) {
+            await clearOtherDefaults(template._id);
+        }
+
+        console.log('Template created:', template.name);
+        res.status(201).json(template);
+    } catch (error) {
+        console.error('Error creating template:', error);
+        res.status(500).json({ error: 'Failed to create template' });
+    }
+});
+
+// PUT /api/templates/:id - Update a template (projects already processed keep their text)
+router.put('/:id', authorize('admin'), async (req, res) => {
+    try {
+        const { name, description, body, countryFormat, isDefault } = req.body;
+
+        const validationError = validateTemplate({ name, body, countryFormat }, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const updateData = { updatedBy: req.user.username };
+        if (name !== undefined) updateData.name = name.trim();
+        if (description !== undefined) updateData.description = description;
+        if (body !== undefined) updateData.body = body;
+        if (countryFormat !== undefined) updateData.countryFormat = countryFormat;
+        if (isDefault !== undefined) updateData.isDefault = Boolean(isDefault);
+
+        if (updateData.name && await FCRTemplate.exists({ _id: { $ne: req.params.id }, name: updateData.name })) {
+            return res.status(409).json({ error: 'A template with this name already exists' });
+        }
+
+        // There is always a default; it moves by making another template the default
+        if (updateData.isDefault === false && await FCRTemplate.exists({ _id: req.params.id, isDefault: true })) {
+            return res.status(409).json({ error: 'Make another template the default instead of unsetting this one' });
+        }
+
+        const template = await FCRTemplate.findByIdAndUpdate(
+            req.params.id,
+            updateData,
+            { new: true, runValidators: true }
+        );
+
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        if (template.isDefault) {
+            await clearOtherDefaults(template._id);
+        }
+
+        console.log('Template updated:', template.name);
+        res.json(template);
+    } catch (error) {
+        console.error('Error updating template:', error);
+        res.status(500).json({ error: 'Failed to update template' });
+    }
+});
+
+// DELETE /api/templates/:id - Delete a template that no project uses
+router.delete('/:id', authorize('admin'), async (req, res) => {
+    try {
+        const template = await FCRTemplate.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        if (template.isDefault) {
+            return res.status(409).json({ error: 'Make another template the default before deleting this one' });
+        }
+
+        const projectCount = await FCRProject.countDocuments({ template: template._id });
+        if (projectCount > 0) {
+            return res.status(409).json({ error: `Template is used by ${projectCount} project(s)` });
+        }
+
+        await template.deleteOne();
+
+        console.log('Template deleted:', template.name);
+        res.json({ message: 'Template deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        res.status(500).json({ error: 'Failed to delete template' });
+    }
+});
+
+module.exports = router;
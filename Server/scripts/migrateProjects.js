@@ -0,0 +1,86 @@
+// -----------------------------------------------------------
+// scripts/migrateProjects.js - Bring existing projects up to the shared model
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const FCRProject = require('../models/FCRProject');
+
+dotenv.config();
+
+// Fields that projects created by the old inline server schema never had
+const defaults = {
+    description: '',
+    tags: [],
+    isArchived: false,
+    copyHistory: [],
+    createdBy: 'system',
+    exportCount: 0,
+    version: 0
+};
+
+async function migrateProjects() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/fcr_generator');
+        console.log('Connected to MongoDB');
+
+        for (const [field, value] of Object.entries(defaults)) {
+            const result = await FCRProject.collection.updateMany(
+                { [field]: { $exists: false } },
+                { $set: { [field]: value } }
+            );
+            console.log(`Backfilled ${field} on ${result.modifiedCount} projects`);
+        }
+
+        // Seeded projects were created without a year; fall back to the creation year
+        const yearResult = await FCRProject.collection.updateMany(
+            { year: { $exists: false } },
+            [{ $set: { year: { $year: { $ifNull: ['$createdAt', '$$NOW'] } } } }]
+        );
+        console.log(`Backfilled year on ${yearResult.modifiedCount} projects`);
+
+        // copyHistory used to be a list of box ids; turn those into audit-trail entries
+        const historyResult = await FCRProject.collection.updateMany(
+            { copyHistory: { $elemMatch: { $type: 'string' } } },
+            [{
+                $set: {
+                    copyHistory: {
+                        $map: {
+                            input: '$copyHistory',
+                            in: {
+                                $cond: [
+                                    { $eq: [{ $type: '$$this' }, 'string'] },
+                                    {
+                                        boxId: '$$this',
+                                        action: 'copy',
+                                        user: { $ifNull: ['$createdBy', 'system'] },
+                                        source: 'legacy',
+                                        at: { $ifNull: ['$updatedAt', '$$NOW'] }
+                                    },
+                                    '$$this'
+                                ]
+                            }
+                        }
+                    }
+                }
+            }]
+        );
+        console.log(`Converted copy history on ${historyResult.modifiedCount} projects`);
+
+        const statsResult = await FCRProject.refreshAllStats();
+        console.log(`Recalculated stats on ${statsResult.modifiedCount} projects`);
+
+        console.log('Migration completed successfully!');
+    } catch (error) {
+        console.error('Error migrating projects:', error);
+    } finally {
+        await mongoose.connection.close();
+        console.log('Database connection closed');
+    }
+}
+
+// Run migration if this script is called directly
+if (require.main === module) {
+    migrateProjects();
+}
+
+module.exports = { migrateProjects };
@@ -1,98 +1,14 @@
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
+const FCRProject = require('../models/FCRProject');
 
 dotenv.config();
 
-// Import the schema (you'll need to extract it to a separate models file)
-const fcrProjectSchema = new mongoose.Schema({
-    name: {
-        type: String,
-        required: true,
-        trim: true,
-        maxLength: 100
-    },
-    description: {
-        type: String,
-        maxLength: 500,
-        default: ''
-    },
-    processedData: [{
-        id: String,
-        index: Number,
-        description: String,
-        poNumbers: String,
-        goods: String,
-        invoiceNo: String,
-        invoiceDate: String,
-        adCode: String,
-        expSerial: String,
-        expYear: String,
-        entryDate: String,
-        lcContact: String,
-        contactDate: String,
-        countryCode: String,
-        formattedText: String
-    }],
-    copiedBoxes: {
-        type: mongoose.Schema.Types.Mixed,
-        default: {}
-    },
-    copyHistory: [{
-        type: String
-    }],
-    totalBoxes: {
-        type: Number,
-        default: 0
-    },
-    copiedCount: {
-        type: Number,
-        default: 0
-    },
-    completionPercentage: {
-        type: Number,
-        default: 0
-    },
-    tags: [{
-        type: String,
-        trim: true
-    }],
-    isArchived: {
-        type: Boolean,
-        default: false
-    },
-    createdBy: {
-        type: String,
-        default: 'system'
-    },
-    lastExportDate: {
-        type: Date
-    },
-    exportCount: {
-        type: Number,
-        default: 0
-    }
-}, {
-    timestamps: true
-});
-
-// Pre-save middleware
-fcrProjectSchema.pre('save', function (next) {
-    if (this.processedData) {
-        this.totalBoxes = this.processedData.length;
-        this.copiedCount = Object.keys(this.copiedBoxes || {}).length;
-        this.completionPercentage = this.totalBoxes > 0
-            ? Math.round((this.copiedCount / this.totalBoxes) * 100)
-            : 0;
-    }
-    next();
-});
-
-const FCRProject = mongoose.model('FCRProject', fcrProjectSchema);
-
 // Sample data for seeding
 const sampleProjects = [
     {
         name: "Sample FCR Project 1",
+        year: 2024,
         description: "This is a sample FCR project for testing purposes",
         processedData: [
             {
@@ -153,12 +69,15 @@ COUNTRY: UK`
         copiedBoxes: {
             "box_0": true
         },
-        copyHistory: ["box_0"],
+        copyHistory: [
+            { boxId: "box_0", action: "copy", user: "seed_script", source: "project-detail" }
+        ],
         tags: ["sample", "test", "ceramics"],
         createdBy: "seed_script"
     },
     {
         name: "Sample FCR Project 2",
+        year: 2024,
         description: "Another sample project with different data",
         processedData: [
             {
@@ -205,8 +124,8 @@ async function seedDatabase() {
         await FCRProject.deleteMany({});
         console.log('Cleared existing projects');
 
-        // Insert sample data
-        const projects = await FCRProject.insertMany(sampleProjects);
+        // Insert sample data (create() runs the pre-save hook that fills in the stats)
+        const projects = await FCRProject.create(sampleProjects);
         console.log(`Seeded ${projects.length} sample projects`);
 
         console.log('Database seeding completed successfully!');
@@ -1,8 +1,22 @@
 // server.js - Simplified Express Backend with MongoDB for FCR Generator
+// The project schema lives in models/FCRProject.js and is shared with the scripts
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
+const FCRProject = require('./models/FCRProject');
+const FCRTemplate = require('./models/FCRTemplate');
+const ProjectRevision = require('./models/ProjectRevision');
+const { diffProjects, summarizeDiff } = require('./utils/projectDiff');
+const projectEvents = require('./utils/projectEvents');
+const authRoutes = require('./routes/auth');
+const templateRoutes = require('./routes/templates');
+const hsCodeRoutes = require('./routes/hsCodes');
+const countryRoutes = require('./routes/countries');
+const mappingProfileRoutes = require('./routes/mappingProfiles');
+const recycledPoRoutes = require('./routes/recycledPos');
+const compositionRuleRoutes = require('./routes/compositionRules');
+const { authenticate, authorize } = require('./middleware/auth');
 
 dotenv.config();
 
@@ -24,52 +38,82 @@ const connectDB = async () => {
     }
 };
 
-// Simplified FCR Project Schema
-const fcrProjectSchema = new mongoose.Schema({
-    name: {
-        type: String,
-        required: true,
-        trim: true
-    },
-    year: {
-        type: Number,
-        required: true
-    },
-    processedData: [{
-        id: String,
-        index: Number,
-        description: String,
-        poNumbers: String,
-        goods: String,
-        invoiceNo: String,
-        invoiceDate: String,
-        adCode: String,
-        expSerial: String,
-        expYear: String,
-        entryDate: String,
-        lcContact: String,
-        contactDate: String,
-        countryCode: String,
-        formattedText: String
-    }],
-    copiedBoxes: {
-        type: mongoose.Schema.Types.Mixed,
-        default: {}
-    }
-}, {
-    timestamps: true
-});
-
-const FCRProject = mongoose.model('FCRProject', fcrProjectSchema);
+// Audit-trail helpers
+const toCopySource = (source) => (FCRProject.COPY_SOURCES.includes(source) ? source : 'unknown');
+
+// Events recorded in the browser before a project existed; the user is always the one saving
+const sanitizeCopyHistory = (events, user, source) => (Array.isArray(events) ? events : [])
+    .filter(event => event && ['copy', 'uncopy', 'reset'].includes(event.action))
+    .map(event => ({
+        boxId: event.action === 'reset' ? undefined : String(event.boxId || ''),
+        action: event.action,
+        user,
+        source: toCopySource(source),
+        at: event.at && !isNaN(new Date(event.at)) ? new Date(event.at) : new Date()
+    }));
+
+// ?archived=true matches archived projects only, ?archived=all everything; by default archived ones are hidden
+const archivedFilter = (archived) => {
+    if (archived === 'true') return { isArchived: true };
+    if (archived === 'all') return {};
+    return { isArchived: { $ne: true } };
+};
 
-// Routes
+// Tags are compared case-insensitively, so store them trimmed, lower-case and without duplicates
+const normalizeTags = (tags) => [...new Set(
+    (Array.isArray(tags) ? tags : [])
+        .map(tag => String(tag).trim().toLowerCase())
+        .filter(Boolean)
+)];
+
+// The project change has already been written when this runs, so a failed revision is logged
+// rather than turning a successful save into an error
+const recordRevision = async (revision) => {
+    try {
+        await ProjectRevision.record(revision);
+    } catch (error) {
+        console.error('Error recording project revision:', error);
+    }
+};
 
-// GET /api/projects - Get all projects
+// A project's template must be an existing one; null clears the choice
+const isKnownTemplate = async (template) => template === null ||
+    (mongoose.isValidObjectId(template) && Boolean(await FCRTemplate.exists({ _id: template })));
+
+// Save precondition: the project version from an If-Match header ("3" or W/"3") or a `version` body field.
+// Returns undefined when the client sent none, NaN when it sent something unusable.
+const expectedVersion = (req) => {
+    const header = req.get('If-Match');
+    const raw = header !== undefined ? header.replace(/^W\//, '').replace(/"/g, '').trim() : req.body.version;
+    if (raw === undefined || raw === null || raw === '') return undefined;
+    return Number.isInteger(Number(raw)) ? Number(raw) : NaN;
+};
+
+// Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/hs-codes', hsCodeRoutes);
+app.use('/api/countries', countryRoutes);
+app.use('/api/mapping-profiles', mappingProfileRoutes);
+app.use('/api/recycled-pos', recycledPoRoutes);
+app.use('/api/composition-rules', compositionRuleRoutes);
+
+// Every project route requires a signed-in user; write routes also check the role
+// viewer: browse and export, operator: also create projects and mark boxes, admin: everything
+app.use('/api/projects', authenticate);
+
+// GET /api/projects - Get all projects (summary only, with progress stats)
+// ?archived=true|all as for archivedFilter, ?tag=<tag> limits to projects carrying that tag
 app.get('/api/projects', async (req, res) => {
     try {
-        const projects = await FCRProject.find()
+        const filter = archivedFilter(req.query.archived);
+        if (req.query.tag) {
+            filter.tags = String(req.query.tag).trim().toLowerCase();
+        }
+
+        const projects = await FCRProject.find(filter)
             .sort({ updatedAt: -1 })
-            .select('name year createdAt updatedAt')
+            .select('name year tags template isArchived createdAt updatedAt totalBoxes copiedCount completionPercentage version')
             .lean();
 
         res.json(projects);
@@ -79,6 +123,99 @@ app.get('/api/projects', async (req, res) => {
     }
 });
 
+// GET /api/projects/tags - Every tag in use with the number of projects carrying it
+app.get('/api/projects/tags', async (req, res) => {
+    try {
+        const tags = await FCRProject.aggregate([
+            { $match: archivedFilter(req.query.archived) },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $project: { _id: 0, tag: '$_id', count: 1 } }
+        ]);
+
+        res.json(tags);
+    } catch (error) {
+        console.error('Error fetching tags:', error);
+        res.status(500).json({ error: 'Failed to fetch tags' });
+    }
+});
+
+// GET /api/projects/search?q=...&field=... - Find boxes across every project
+// field: invoiceNo, poNumbers, lcContact, expNo (adCode/expSerial/expYear) or all (default)
+const SEARCH_FIELDS = ['invoiceNo', 'poNumbers', 'lcContact', 'expNo'];
+
+app.get('/api/projects/search', async (req, res) => {
+    try {
+        const q = String(req.query.q || '').trim();
+        if (q.length < 2) {
+            return res.status(400).json({ error: 'Search term must be at least 2 characters' });
+        }
+
+        const field = req.query.field || 'all';
+        if (field !== 'all' && !SEARCH_FIELDS.includes(field)) {
+            return res.status(400).json({ error: `field must be one of: all, ${SEARCH_FIELDS.join(', ')}` });
+        }
+
+        const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        const fields = field === 'all' ? SEARCH_FIELDS : [field];
+
+        const results = await FCRProject.aggregate([
+            { $match: archivedFilter(req.query.archived || 'all') },
+            { $unwind: '$processedData' },
+            {
+                $addFields: {
+                    box: {
+                        $mergeObjects: [
+                            '$processedData',
+                            {
+                                expNo: {
+                                    $concat: [
+                                        { $ifNull: ['$processedData.adCode', ''] }, '/',
+                                        { $ifNull: ['$processedData.expSerial', ''] }, '/',
+                                        { $ifNull: ['$processedData.expYear', ''] }
+                                    ]
+                                }
+                            }
+                        ]
+                    }
+                }
+            },
+            { $match: { $or: fields.map(name => ({ [`box.${name}`]: pattern })) } },
+            { $sort: { updatedAt: -1, 'box.index': 1 } },
+            { $limit: 200 },
+            {
+                $project: {
+                    _id: 0,
+                    projectId: '$_id',
+                    projectName: '$name',
+                    year: 1,
+                    isArchived: 1,
+                    boxId: '$box.id',
+                    index: '$box.index',
+                    invoiceNo: '$box.invoiceNo',
+                    invoiceDate: '$box.invoiceDate',
+                    poNumbers: '$box.poNumbers',
+                    lcContact: '$box.lcContact',
+                    expNo: '$box.expNo',
+                    countryCode: '$box.countryCode',
+                    isCopied: {
+                        $in: [
+                            { k: '$box.id', v: true },
+                            { $objectToArray: { $ifNull: ['$copiedBoxes', {}] } }
+                        ]
+                    }
+                }
+            }
+        ]);
+
+        res.json(results);
+    } catch (error) {
+        console.error('Error searching projects:', error);
+        res.status(500).json({ error: 'Failed to search projects' });
+    }
+});
+
 // GET /api/projects/:id - Get project by ID
 app.get('/api/projects/:id', async (req, res) => {
     try {
@@ -86,6 +223,7 @@ app.get('/api/projects/:id', async (req, res) => {
         if (!project) {
             return res.status(404).json({ error: 'Project not found' });
         }
+        res.set('ETag', `"${project.version}"`);
         res.json(project);
     } catch (error) {
         console.error('Error fetching project:', error);
@@ -94,9 +232,9 @@ app.get('/api/projects/:id', async (req, res) => {
 });
 
 // POST /api/projects - Create new project
-app.post('/api/projects', async (req, res) => {
+app.post('/api/projects', authorize('operator', 'admin'), async (req, res) => {
     try {
-        const { name, year, processedData, copiedBoxes } = req.body;
+        const { name, year, processedData, copiedBoxes, copyHistory, source, tags, template } = req.body;
 
         // Validation
         if (!name || !name.trim()) {
@@ -111,6 +249,10 @@ app.post('/api/projects', async (req, res) => {
             return res.status(400).json({ error: 'Processed data is required' });
         }
 
+        if (template !== undefined && !(await isKnownTemplate(template))) {
+            return res.status(400).json({ error: 'Template not found' });
+        }
+
         // Check for duplicate name and year combination
         const existingProject = await FCRProject.findOne({
             name: name.trim(),
@@ -125,10 +267,15 @@ app.post('/api/projects', async (req, res) => {
             name: name.trim(),
             year: parseInt(year),
             processedData,
-            copiedBoxes: copiedBoxes || {}
+            copiedBoxes: copiedBoxes || {},
+            template: template || null,
+            tags: normalizeTags(tags),
+            copyHistory: sanitizeCopyHistory(copyHistory, req.user.username, source || 'draft-generator'),
+            createdBy: req.user.username
         });
 
         const savedProject = await project.save();
+        await recordRevision({ after: savedProject, author: req.user.username, kind: 'create' });
         console.log('Project created:', savedProject.name, savedProject.year);
         res.status(201).json(savedProject);
     } catch (error) {
@@ -138,9 +285,24 @@ app.post('/api/projects', async (req, res) => {
 });
 
 // PUT /api/projects/:id - Update project
-app.put('/api/projects/:id', async (req, res) => {
+app.put('/api/projects/:id', authorize('operator', 'admin'), async (req, res) => {
     try {
-        const { name, year, processedData, copiedBoxes } = req.body;
+        const { name, year, processedData, copiedBoxes, template } = req.body;
+        const version = expectedVersion(req);
+
+        if (Number.isNaN(version)) {
+            return res.status(400).json({ error: 'Version must be a whole number' });
+        }
+
+        // Operators may only change copy status; renaming, row data and template edits are admin-only
+        if (req.user.role !== 'admin' &&
+            (name !== undefined || year !== undefined || processedData !== undefined || template !== undefined)) {
+            return res.status(403).json({ error: 'Only admins can edit project details or row data' });
+        }
+
+        if (template !== undefined && !(await isKnownTemplate(template))) {
+            return res.status(400).json({ error: 'Template not found' });
+        }
 
         // Build update object
         const updateData = {};
@@ -161,36 +323,354 @@ app.put('/api/projects/:id', async (req, res) => {
             updateData.copiedBoxes = copiedBoxes;
         }
 
+        if (template !== undefined) {
+            updateData.template = template;
+        }
+
         // Always update the timestamp
         updateData.updatedAt = new Date();
 
         console.log('Updating project with:', updateData);
 
+        // Without a version the update is unconditional, as older clients expect
+        const filter = { _id: req.params.id };
+        if (version !== undefined) {
+            // Projects saved before versioning have no field yet; they read as version 0
+            filter.version = version === 0 ? { $in: [0, null] } : version;
+        }
+
+        // Without { new: true } this returns the previous state, which the revision diff needs
+        const before = await FCRProject.findOneAndUpdate(
+            filter,
+            { ...updateData, $inc: { version: 1 } },
+            { runValidators: true }
+        ).lean();
+
+        if (!before) {
+            const current = await FCRProject.findById(req.params.id);
+            if (!current) {
+                return res.status(404).json({ error: 'Project not found' });
+            }
+            // Someone else saved first; hand back their state so the client can merge
+            return res.status(409).json({
+                error: `Project was changed by someone else (version ${current.version}, you had ${version})`,
+                current
+            });
+        }
+
+        const project = await FCRProject.refreshStats({ _id: before._id });
+        await recordRevision({ before, after: project, author: req.user.username, kind: 'update' });
+
+        projectEvents.publish(before._id, 'updated', { user: req.user.username, version: project.version });
+
+        console.log('Project updated:', project.name, project.year, 'version', project.version);
+        res.set('ETag', `"${project.version}"`);
+        res.json(project);
+    } catch (error) {
+        console.error('Error updating project:', error);
+        res.status(500).json({ error: 'Failed to update project' });
+    }
+});
+
+// PUT /api/projects/:id/copy-status - Mark a single box as copied / not copied
+app.put('/api/projects/:id/copy-status', authorize('operator', 'admin'), async (req, res) => {
+    try {
+        const { boxId, isCopied, source } = req.body;
+
+        // boxId becomes part of a field path, so reject anything that could escape it
+        if (!boxId || typeof boxId !== 'string' || /[.$]/.test(boxId)) {
+            return res.status(400).json({ error: 'A valid boxId is required' });
+        }
+
+        if (typeof isCopied !== 'boolean') {
+            return res.status(400).json({ error: 'isCopied must be true or false' });
+        }
+
+        const update = isCopied
+            ? { $set: { [`copiedBoxes.${boxId}`]: true } }
+            : { $unset: { [`copiedBoxes.${boxId}`]: '' } };
+
+        update.$inc = { version: 1 };
+        update.$push = {
+            copyHistory: {
+                boxId,
+                action: isCopied ? 'copy' : 'uncopy',
+                user: req.user.username,
+                source: toCopySource(source)
+            }
+        };
+
+        const updated = await FCRProject.findOneAndUpdate(
+            { _id: req.params.id, 'processedData.id': boxId },
+            update,
+            { projection: { _id: 1 } }
+        ).lean();
+
+        if (!updated) {
+            const exists = await FCRProject.exists({ _id: req.params.id });
+            return res.status(404).json({ error: exists ? 'Box not found in project' : 'Project not found' });
+        }
+
+        const project = await FCRProject.refreshStats(
+            { _id: updated._id },
+            { projection: { totalBoxes: 1, copiedCount: 1, completionPercentage: 1, version: 1 } }
+        ).lean();
+
+        projectEvents.publish(updated._id, 'copy-status', {
+            boxId,
+            isCopied,
+            user: req.user.username,
+            version: project.version,
+            copiedCount: project.copiedCount
+        });
+
+        res.json({
+            boxId,
+            isCopied,
+            version: project.version,
+            totalBoxes: project.totalBoxes,
+            copiedCount: project.copiedCount,
+            completionPercentage: project.completionPercentage
+        });
+    } catch (error) {
+        console.error('Error updating copy status:', error);
+        res.status(500).json({ error: 'Failed to update copy status' });
+    }
+});
+
+// POST /api/projects/:id/reset-copy-status - Clear every box's copy status
+app.post('/api/projects/:id/reset-copy-status', authorize('operator', 'admin'), async (req, res) => {
+    try {
+        const before = await FCRProject.findByIdAndUpdate(
+            req.params.id,
+            {
+                $set: { copiedBoxes: {} },
+                $inc: { version: 1 },
+                $push: {
+                    copyHistory: {
+                        action: 'reset',
+                        user: req.user.username,
+                        source: toCopySource(req.body.source)
+                    }
+                }
+            },
+        ).lean();
+
+        if (!before) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const project = await FCRProject.refreshStats({ _id: before._id }).lean();
+        await recordRevision({ before, after: project, author: req.user.username, kind: 'reset' });
+        projectEvents.publish(before._id, 'reset', { user: req.user.username, version: project.version });
+
+        res.json({
+            version: project.version,
+            totalBoxes: project.totalBoxes,
+            copiedCount: project.copiedCount,
+            completionPercentage: project.completionPercentage
+        });
+    } catch (error) {
+        console.error('Error resetting copy status:', error);
+        res.status(500).json({ error: 'Failed to reset copy status' });
+    }
+});
+
+// GET /api/projects/:id/events - Server-Sent Events stream for a project
+// Events: copy-status { boxId, isCopied, user, version, copiedCount }, reset { user, version },
+// updated { user, version } (rows or the whole copy map replaced, or any change made through
+// another server instance, then with user null) and presence { viewers }
+app.get('/api/projects/:id/events', async (req, res) => {
+    try {
+        const project = await FCRProject.findById(req.params.id).select('version').lean();
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        projectEvents.subscribe(req.params.id, req.user, req, res, project.version || 0);
+    } catch (error) {
+        console.error('Error opening project event stream:', error);
+        res.status(500).json({ error: 'Failed to open event stream' });
+    }
+});
+
+// GET /api/projects/:id/history - Copy / uncopy / reset timeline, newest first
+app.get('/api/projects/:id/history', async (req, res) => {
+    try {
+        const project = await FCRProject.findById(req.params.id)
+            .select('+copyHistory processedData.id processedData.index processedData.invoiceNo')
+            .lean();
+
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const boxes = new Map(project.processedData.map(item => [item.id, item]));
+
+        let history = (project.copyHistory || []).map(event => ({
+            ...event,
+            index: boxes.get(event.boxId)?.index ?? null,
+            invoiceNo: boxes.get(event.boxId)?.invoiceNo ?? null
+        }));
+
+        if (req.query.boxId) {
+            history = history.filter(event => event.boxId === req.query.boxId);
+        }
+
+        if (req.query.invoiceNo) {
+            history = history.filter(event => event.invoiceNo === req.query.invoiceNo);
+        }
+
+        history.sort((a, b) => new Date(b.at) - new Date(a.at));
+        res.json(history);
+    } catch (error) {
+        console.error('Error fetching copy history:', error);
+        res.status(500).json({ error: 'Failed to fetch copy history' });
+    }
+});
+
+// GET /api/projects/:id/revisions - Revision list, newest first (without snapshots)
+app.get('/api/projects/:id/revisions', async (req, res) => {
+    try {
+        const revisions = await ProjectRevision.find({ project: req.params.id })
+            .sort({ number: -1 })
+            .select('number kind author summary createdAt')
+            .lean();
+
+        res.json(revisions);
+    } catch (error) {
+        console.error('Error fetching revisions:', error);
+        res.status(500).json({ error: 'Failed to fetch revisions' });
+    }
+});
+
+// GET /api/projects/:id/revisions/:number/diff?against=<number> - Compare with another revision
+// (defaults to the revision just before it)
+app.get('/api/projects/:id/revisions/:number/diff', async (req, res) => {
+    try {
+        const number = parseInt(req.params.number);
+        const against = req.query.against !== undefined ? parseInt(req.query.against) : number - 1;
+
+        const [revision, base] = await Promise.all([
+            ProjectRevision.findOne({ project: req.params.id, number }).lean(),
+            ProjectRevision.findOne({ project: req.params.id, number: against }).lean()
+        ]);
+
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        const diff = diffProjects(base || {}, revision);
+        res.json({ from: base ? base.number : null, to: revision.number, summary: summarizeDiff(diff), ...diff });
+    } catch (error) {
+        console.error('Error diffing revisions:', error);
+        res.status(500).json({ error: 'Failed to diff revisions' });
+    }
+});
+
+// POST /api/projects/:id/revisions/:number/restore - Put an earlier revision back (admin only)
+app.post('/api/projects/:id/revisions/:number/restore', authorize('admin'), async (req, res) => {
+    try {
+        const revision = await ProjectRevision.findOne({
+            project: req.params.id,
+            number: parseInt(req.params.number)
+        }).lean();
+
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        const before = await FCRProject.findByIdAndUpdate(
+            req.params.id,
+            {
+                name: revision.name,
+                year: revision.year,
+                processedData: revision.processedData,
+                copiedBoxes: revision.copiedBoxes,
+                $inc: { version: 1 }
+            },
+            { runValidators: true }
+        ).lean();
+
+        if (!before) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const project = await FCRProject.refreshStats({ _id: before._id });
+        await recordRevision({
+            before,
+            after: project,
+            author: req.user.username,
+            kind: 'restore',
+            summary: `Restored revision ${revision.number} (${summarizeDiff(diffProjects(before, project))})`
+        });
+
+        projectEvents.publish(before._id, 'updated', { user: req.user.username, version: project.version });
+
+        console.log('Project restored:', project.name, project.year, 'to revision', revision.number);
+        res.json(project);
+    } catch (error) {
+        console.error('Error restoring revision:', error);
+        res.status(500).json({ error: 'Failed to restore revision' });
+    }
+});
+
+// PUT /api/projects/:id/tags - Replace a project's tags
+app.put('/api/projects/:id/tags', authorize('operator', 'admin'), async (req, res) => {
+    try {
+        if (!Array.isArray(req.body.tags)) {
+            return res.status(400).json({ error: 'tags must be an array' });
+        }
+
         const project = await FCRProject.findByIdAndUpdate(
             req.params.id,
-            updateData,
-            { new: true, runValidators: true }
-        );
+            { tags: normalizeTags(req.body.tags) },
+            { new: true, projection: { name: 1, year: 1, tags: 1 } }
+        ).lean();
 
         if (!project) {
             return res.status(404).json({ error: 'Project not found' });
         }
 
-        console.log('Project updated:', project.name, project.year);
         res.json(project);
     } catch (error) {
-        console.error('Error updating project:', error);
-        res.status(500).json({ error: 'Failed to update project' });
+        console.error('Error updating tags:', error);
+        res.status(500).json({ error: 'Failed to update tags' });
     }
 });
 
+// PUT /api/projects/:id/archive and /unarchive - Hide or restore a project on the dashboard
+const setArchived = (isArchived) => async (req, res) => {
+    try {
+        const project = await FCRProject.findByIdAndUpdate(
+            req.params.id,
+            { isArchived },
+            { new: true, projection: { name: 1, year: 1, isArchived: 1, updatedAt: 1 } }
+        ).lean();
+
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        console.log(`Project ${isArchived ? 'archived' : 'unarchived'}:`, project.name, project.year);
+        res.json(project);
+    } catch (error) {
+        console.error('Error changing archive status:', error);
+        res.status(500).json({ error: 'Failed to change archive status' });
+    }
+};
+
+app.put('/api/projects/:id/archive', authorize('operator', 'admin'), setArchived(true));
+app.put('/api/projects/:id/unarchive', authorize('operator', 'admin'), setArchived(false));
+
 // DELETE /api/projects/:id - Delete project
-app.delete('/api/projects/:id', async (req, res) => {
+app.delete('/api/projects/:id', authorize('admin'), async (req, res) => {
     try {
         const project = await FCRProject.findByIdAndDelete(req.params.id);
         if (!project) {
             return res.status(404).json({ error: 'Project not found' });
         }
+        await ProjectRevision.deleteMany({ project: project._id });
         res.json({ message: 'Project deleted successfully' });
     } catch (error) {
         console.error('Error deleting project:', error);
@@ -220,6 +700,11 @@ app.use('*', (req, res) => {
 
 // Connect to MongoDB and start server
 const startServer = async () => {
+    if (!process.env.JWT_SECRET) {
+        console.error('JWT_SECRET must be set to sign login tokens');
+        process.exit(1);
+    }
+
     await connectDB();
     app.listen(PORT, () => {
         console.log(`Server is running on port ${PORT}`);
@@ -227,11 +712,16 @@ const startServer = async () => {
     });
 };
 
-startServer().catch(console.error);
+// The tests drive the app through supertest against mocked models, without a database
+if (process.env.NODE_ENV !== 'test') {
+    startServer().catch(console.error);
+
+    // Graceful shutdown
+    process.on('SIGINT', async () => {
+        console.log('Shutting down gracefully...');
+        await mongoose.connection.close();
+        process.exit(0);
+    });
+}
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('Shutting down gracefully...');
-    await mongoose.connection.close();
-    process.exit(0);
-});
\ No newline at end of file
+module.exports = app;
\ No newline at end of file
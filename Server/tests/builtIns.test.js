@@ -0,0 +1,41 @@
+const { insertBuiltIns } = require('../utils/builtIns');
+
+const writeError = (code) => Object.assign(new Error(`write error ${code}`), { code });
+
+// Just the parts of a model insertBuiltIns uses
+const fakeModel = (count, insertMany = jest.fn().mockResolvedValue([])) => ({
+    estimatedDocumentCount: jest.fn().mockResolvedValue(count),
+    init: jest.fn().mockResolvedValue(),
+    insertMany
+});
+
+describe('insertBuiltIns', () => {
+    const docs = [{ code: 'A' }, { code: 'B' }];
+
+    it('leaves tables that already have entries alone', async () => {
+        const Model = fakeModel(3);
+        await insertBuiltIns(Model, docs);
+        expect(Model.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('inserts every entry into an empty table, unordered', async () => {
+        const Model = fakeModel(0);
+        await insertBuiltIns(Model, docs);
+        expect(Model.init).toHaveBeenCalled();
+        expect(Model.insertMany).toHaveBeenCalledWith(docs, { ordered: false });
+    });
+
+    it('ignores entries another request inserted first', async () => {
+        const bulkError = Object.assign(new Error('bulk write'), { writeErrors: [writeError(11000), writeError(11000)] });
+        const Model = fakeModel(0, jest.fn().mockRejectedValue(bulkError));
+
+        await expect(insertBuiltIns(Model, docs)).resolves.toBeUndefined();
+    });
+
+    it('passes on every other failure', async () => {
+        const bulkError = Object.assign(new Error('bulk write'), { writeErrors: [writeError(11000), writeError(121)] });
+
+        await expect(insertBuiltIns(fakeModel(0, jest.fn().mockRejectedValue(bulkError)), docs)).rejects.toBe(bulkError);
+        await expect(insertBuiltIns(fakeModel(0, jest.fn().mockRejectedValue(new Error('timeout'))), docs)).rejects.toThrow('timeout');
+    });
+});
@@ -0,0 +1,89 @@
+const request = require('supertest');
+const { query, authAs, mockUsers, silenceConsole, newId } = require('./helpers');
+const app = require('../server');
+const CompositionRule = require('../models/CompositionRule');
+const RecycledPO = require('../models/RecycledPO');
+
+describe('composition rule routes', () => {
+    beforeEach(() => {
+        silenceConsole();
+        mockUsers();
+        jest.spyOn(CompositionRule.prototype, 'save').mockImplementation(async function () {
+            await this.validate();
+            return this;
+        });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('lists the rules with every PO set conditions can name', async () => {
+        jest.spyOn(CompositionRule, 'ensureBuiltIns').mockResolvedValue();
+        jest.spyOn(CompositionRule, 'find').mockReturnValue(query([{ code: 'PORCELAIN', isDefault: true }]));
+        jest.spyOn(RecycledPO, 'distinct').mockResolvedValue(['mixed', 'bone-china']);
+
+        const response = await request(app).get('/api/composition-rules').set('Authorization', authAs('viewer'));
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+            rules: [{ code: 'PORCELAIN', isDefault: true }],
+            matchTypes: ['all', 'some', 'any', 'none'],
+            poSets: ['bone-china', 'mixed', 'recycled']
+        });
+    });
+
+    it('creates a rule and makes it the only default', async () => {
+        const clear = jest.spyOn(CompositionRule, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+        const response = await request(app)
+            .post('/api/composition-rules')
+            .set('Authorization', authAs('admin'))
+            .send({
+                code: 'bone-china',
+                description: '100% BONE CHINA',
+                priority: '30',
+                isDefault: true,
+                conditions: [{ poSet: 'Bone-China', match: 'all' }]
+            });
+
+        expect(response.status).toBe(201);
+        expect(response.body).toMatchObject({
+            code: 'BONE-CHINA',
+            priority: 30,
+            conditions: [{ poSet: 'bone-china', match: 'all' }],
+            updatedBy: 'admin-user'
+        });
+        expect(clear).toHaveBeenCalledWith(
+            { _id: { $ne: expect.anything() }, isDefault: true },
+            { $set: { isDefault: false } }
+        );
+    });
+
+    it('reports invalid conditions as a 400', async () => {
+        const response = await request(app)
+            .post('/api/composition-rules')
+            .set('Authorization', authAs('admin'))
+            .send({ code: 'X', description: 'X', conditions: [{ poSet: 'recycled', match: 'most' }] });
+
+        expect(response.status).toBe(400);
+    });
+
+    it('reports a code already in use as a 409', async () => {
+        CompositionRule.prototype.save.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+        const response = await request(app)
+            .post('/api/composition-rules')
+            .set('Authorization', authAs('admin'))
+            .send({ code: 'PORCELAIN', description: 'Again' });
+
+        expect(response.status).toBe(409);
+    });
+
+    it('only lets admins change rules', async () => {
+        const response = await request(app)
+            .put(`/api/composition-rules/${newId()}`)
+            .set('Authorization', authAs('operator'))
+            .send({ description: 'Changed' });
+
+        expect(response.status).toBe(403);
+    });
+});
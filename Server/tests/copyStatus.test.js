@@ -0,0 +1,82 @@
+const request = require('supertest');
+const { query, authAs, mockUsers, silenceConsole, newId } = require('./helpers');
+const app = require('../server');
+const FCRProject = require('../models/FCRProject');
+
+describe('PUT /api/projects/:id/copy-status', () => {
+    const projectId = newId();
+
+    beforeEach(() => {
+        silenceConsole();
+        mockUsers();
+        jest.spyOn(FCRProject, 'refreshStats').mockReturnValue(query({
+            _id: projectId, version: 4, totalBoxes: 10, copiedCount: 3, completionPercentage: 30
+        }));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const putCopyStatus = (body, role = 'operator') => request(app)
+        .put(`/api/projects/${projectId}/copy-status`)
+        .set('Authorization', authAs(role))
+        .send(body);
+
+    it('sets the box in copiedBoxes and records a copy event', async () => {
+        const update = jest.spyOn(FCRProject, 'findOneAndUpdate').mockReturnValue(query({ _id: projectId }));
+
+        const response = await putCopyStatus({ boxId: 'box-1', isCopied: true, source: 'project-detail' });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ boxId: 'box-1', isCopied: true, version: 4, copiedCount: 3 });
+
+        const [filter, changes] = update.mock.calls[0];
+        expect(filter).toEqual({ _id: projectId, 'processedData.id': 'box-1' });
+        expect(changes.$set).toEqual({ 'copiedBoxes.box-1': true });
+        expect(changes.$unset).toBeUndefined();
+        expect(changes.$inc).toEqual({ version: 1 });
+        expect(changes.$push.copyHistory).toMatchObject({
+            boxId: 'box-1', action: 'copy', user: 'operator-user', source: 'project-detail'
+        });
+    });
+
+    it('unsets the box when it is unmarked', async () => {
+        const update = jest.spyOn(FCRProject, 'findOneAndUpdate').mockReturnValue(query({ _id: projectId }));
+
+        const response = await putCopyStatus({ boxId: 'box-1', isCopied: false, source: 'somewhere-else' });
+
+        expect(response.status).toBe(200);
+        const [, changes] = update.mock.calls[0];
+        expect(changes.$unset).toEqual({ 'copiedBoxes.box-1': '' });
+        expect(changes.$set).toBeUndefined();
+        expect(changes.$push.copyHistory).toMatchObject({ action: 'uncopy', source: 'unknown' });
+    });
+
+    it('rejects box ids that would escape the field path', async () => {
+        const update = jest.spyOn(FCRProject, 'findOneAndUpdate');
+
+        for (const boxId of ['a.b', '$where', '', 42]) {
+            const response = await putCopyStatus({ boxId, isCopied: true });
+            expect(response.status).toBe(400);
+        }
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('requires isCopied to be a boolean', async () => {
+        const response = await putCopyStatus({ boxId: 'box-1', isCopied: 'yes' });
+        expect(response.status).toBe(400);
+    });
+
+    it('tells a missing box from a missing project', async () => {
+        jest.spyOn(FCRProject, 'findOneAndUpdate').mockReturnValue(query(null));
+        const exists = jest.spyOn(FCRProject, 'exists').mockResolvedValueOnce({ _id: projectId });
+
+        let response = await putCopyStatus({ boxId: 'box-9', isCopied: true });
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Box not found in project');
+
+        exists.mockResolvedValueOnce(null);
+        response = await putCopyStatus({ boxId: 'box-9', isCopied: true });
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Project not found');
+    });
+});
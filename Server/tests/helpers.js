@@ -0,0 +1,46 @@
+// -----------------------------------------------------------
+// tests/helpers.js - Shared setup for the route tests: signed-in users and stand-in queries
+//
+// The routes run against the real models with their statics replaced by jest spies, so
+// no database is needed.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { signToken } = require('../middleware/auth');
+
+// Stand-in for a Mongoose query that resolves to result; chains like the real one
+const query = (result) => {
+    const chain = {
+        select: () => chain,
+        sort: () => chain,
+        where: () => chain,
+        lean: () => chain,
+        exec: () => Promise.resolve(result),
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+};
+
+const users = Object.fromEntries(User.ROLES.map(role => [
+    role,
+    { _id: new mongoose.Types.ObjectId(), username: `${role}-user`, name: role, role }
+]));
+
+// Value for the Authorization header of a user with this role
+const authAs = (role) => `Bearer ${signToken(users[role])}`;
+
+// authenticate() looks the token's user up on every request
+const mockUsers = () => jest.spyOn(User, 'findById').mockImplementation(id =>
+    query(Object.values(users).find(user => String(user._id) === String(id)) || null));
+
+// Route handlers log their progress and failures; keep the test output readable
+const silenceConsole = () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+};
+
+const newId = () => String(new mongoose.Types.ObjectId());
+
+module.exports = { query, users, authAs, mockUsers, silenceConsole, newId };
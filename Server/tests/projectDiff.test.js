@@ -0,0 +1,72 @@
+const { diffProjects, summarizeDiff } = require('../utils/projectDiff');
+
+describe('diffProjects', () => {
+    const before = {
+        name: 'Spring',
+        year: 2025,
+        processedData: [
+            { id: 'a', invoiceNo: 'INV-1', goods: 'Plates' },
+            { id: 'b', invoiceNo: 'INV-2', goods: 'Cups' }
+        ],
+        copiedBoxes: { a: true, b: false }
+    };
+
+    it('reports nothing for identical states', () => {
+        const diff = diffProjects(before, before);
+        expect(diff.name).toBeNull();
+        expect(diff.year).toBeNull();
+        expect(diff.rows).toEqual({ added: [], removed: [], changed: [] });
+        expect(diff.copied).toEqual({ added: [], removed: [] });
+        expect(summarizeDiff(diff)).toBe('No changes');
+    });
+
+    it('finds renamed projects and added, removed and changed rows', () => {
+        const after = {
+            name: 'Spring (final)',
+            year: 2026,
+            processedData: [
+                { id: 'a', invoiceNo: 'INV-1', goods: 'Bowls' },
+                { id: 'c', invoiceNo: 'INV-3', goods: 'Mugs' }
+            ],
+            copiedBoxes: { a: true }
+        };
+
+        const diff = diffProjects(before, after);
+
+        expect(diff.name).toEqual({ from: 'Spring', to: 'Spring (final)' });
+        expect(diff.year).toEqual({ from: 2025, to: 2026 });
+        expect(diff.rows.added).toEqual(['c']);
+        expect(diff.rows.removed).toEqual(['b']);
+        expect(diff.rows.changed).toEqual([{ id: 'a', invoiceNo: 'INV-1', fields: ['goods'] }]);
+    });
+
+    it('only counts boxes marked true as copied', () => {
+        const diff = diffProjects(before, { ...before, copiedBoxes: { b: true } });
+        expect(diff.copied).toEqual({ added: ['b'], removed: ['a'] });
+        expect(summarizeDiff(diff)).toBe('1 box marked copied, 1 box unmarked');
+    });
+
+    it('counts rows and boxes in the plural', () => {
+        const after = {
+            ...before,
+            processedData: [...before.processedData, { id: 'c' }, { id: 'd' }],
+            copiedBoxes: { b: true, c: true, d: true }
+        };
+        expect(summarizeDiff(diffProjects(before, after))).toBe('2 rows added, 3 boxes marked copied, 1 box unmarked');
+        expect(summarizeDiff(diffProjects(after, before))).toBe('2 rows removed, 1 box marked copied, 3 boxes unmarked');
+    });
+
+    it('treats missing and empty fields alike', () => {
+        const diff = diffProjects(
+            { processedData: [{ id: 'a', hsCode: '' }] },
+            { processedData: [{ id: 'a' }] }
+        );
+        expect(diff.rows.changed).toEqual([]);
+    });
+
+    it('compares against an empty state for the first revision', () => {
+        const diff = diffProjects({}, before);
+        expect(diff.rows.added).toEqual(['a', 'b']);
+        expect(diff.copied.added).toEqual(['a']);
+    });
+});
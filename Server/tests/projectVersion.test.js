@@ -0,0 +1,93 @@
+const request = require('supertest');
+const { query, authAs, mockUsers, silenceConsole, newId } = require('./helpers');
+const app = require('../server');
+const FCRProject = require('../models/FCRProject');
+const ProjectRevision = require('../models/ProjectRevision');
+
+describe('PUT /api/projects/:id version check', () => {
+    const projectId = newId();
+    const before = { _id: projectId, name: 'Spring', year: 2026, processedData: [{ id: 'a' }], copiedBoxes: {}, version: 3 };
+
+    beforeEach(() => {
+        silenceConsole();
+        mockUsers();
+        jest.spyOn(ProjectRevision, 'record').mockResolvedValue({});
+        jest.spyOn(FCRProject, 'refreshStats').mockReturnValue(query({ ...before, copiedBoxes: { a: true }, version: 4 }));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const save = (headers = {}, body = { copiedBoxes: { a: true } }) => request(app)
+        .put(`/api/projects/${projectId}`)
+        .set('Authorization', authAs('operator'))
+        .set(headers)
+        .send(body);
+
+    it('saves when If-Match names the current version', async () => {
+        const update = jest.spyOn(FCRProject, 'findOneAndUpdate').mockReturnValue(query(before));
+
+        const response = await save({ 'If-Match': '"3"' });
+
+        expect(response.status).toBe(200);
+        expect(response.headers.etag).toBe('"4"');
+        const [filter, changes] = update.mock.calls[0];
+        expect(filter).toEqual({ _id: projectId, version: 3 });
+        expect(changes.$inc).toEqual({ version: 1 });
+    });
+
+    it('accepts weak tags and a version field in the body', async () => {
+        const update = jest.spyOn(FCRProject, 'findOneAndUpdate').mockReturnValue(query(before));
+
+        await save({ 'If-Match': 'W/"3"' });
+        await save({}, { copiedBoxes: {}, version: 3 });
+
+        expect(update.mock.calls.map(([filter]) => filter.version)).toEqual([3, 3]);
+    });
+
+    it('matches projects saved before versioning as version 0', async () => {
+        const update = jest.spyOn(FCRProject, 'findOneAndUpdate').mockReturnValue(query(before));
+
+        await save({ 'If-Match': '"0"' });
+
+        expect(update.mock.calls[0][0].version).toEqual({ $in: [0, null] });
+    });
+
+    it('returns 409 with the current state when someone else saved first', async () => {
+        jest.spyOn(FCRProject, 'findOneAndUpdate').mockReturnValue(query(null));
+        jest.spyOn(FCRProject, 'findById').mockReturnValue(query({ ...before, version: 5 }));
+
+        const response = await save({ 'If-Match': '"3"' });
+
+        expect(response.status).toBe(409);
+        expect(response.body.current.version).toBe(5);
+        expect(response.body.error).toMatch(/version 5, you had 3/);
+        expect(ProjectRevision.record).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 when the project is gone', async () => {
+        jest.spyOn(FCRProject, 'findOneAndUpdate').mockReturnValue(query(null));
+        jest.spyOn(FCRProject, 'findById').mockReturnValue(query(null));
+
+        const response = await save({ 'If-Match': '"3"' });
+
+        expect(response.status).toBe(404);
+    });
+
+    it('rejects versions that are not whole numbers', async () => {
+        const update = jest.spyOn(FCRProject, 'findOneAndUpdate');
+
+        const response = await save({ 'If-Match': '"three"' });
+
+        expect(response.status).toBe(400);
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('saves unconditionally without a version', async () => {
+        const update = jest.spyOn(FCRProject, 'findOneAndUpdate').mockReturnValue(query(before));
+
+        const response = await save();
+
+        expect(response.status).toBe(200);
+        expect(update.mock.calls[0][0]).toEqual({ _id: projectId });
+    });
+});
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const { query, authAs, mockUsers, silenceConsole, newId } = require('./helpers');
+const app = require('../server');
+const RecycledPO = require('../models/RecycledPO');
+
+describe('recycled PO routes', () => {
+    beforeEach(() => {
+        silenceConsole();
+        mockUsers();
+        // Run the schema validation a real save would, without the database
+        jest.spyOn(RecycledPO.prototype, 'save').mockImplementation(async function () {
+            await this.validate();
+            return this;
+        });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const add = (body, role = 'operator') => request(app)
+        .post('/api/recycled-pos')
+        .set('Authorization', authAs(role))
+        .send(body);
+
+    it('stores effective dates as whole UTC days in the default set', async () => {
+        const response = await add({ po: ' 4500123 ', effectiveFrom: '2026-03-01', effectiveTo: '2026-06-30T15:30:00Z' });
+
+        expect(response.status).toBe(201);
+        expect(response.body).toMatchObject({
+            po: '4500123',
+            poSet: 'recycled',
+            effectiveFrom: '2026-03-01T00:00:00.000Z',
+            effectiveTo: '2026-06-30T00:00:00.000Z',
+            createdBy: 'operator-user'
+        });
+    });
+
+    it('leaves open-ended entries without dates', async () => {
+        const response = await add({ po: '4500123', poSet: 'Bone-China', effectiveFrom: '' });
+
+        expect(response.status).toBe(201);
+        expect(response.body).toMatchObject({ poSet: 'bone-china', effectiveFrom: null, effectiveTo: null });
+    });
+
+    it('rejects unreadable dates and ranges that end before they start', async () => {
+        let response = await add({ po: '4500123', effectiveFrom: 'next tuesday' });
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('effectiveFrom is not a valid date');
+
+        response = await add({ po: '4500123', effectiveFrom: '2026-06-01', effectiveTo: '2026-05-31' });
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Effective to must not be before effective from');
+    });
+
+    it('reports a PO already in the set from that day as a conflict', async () => {
+        RecycledPO.prototype.save.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+        const response = await add({ po: '4500123', effectiveFrom: '2026-03-01' });
+
+        expect(response.status).toBe(409);
+    });
+
+    it('keeps viewers from changing the list', async () => {
+        const response = await add({ po: '4500123' }, 'viewer');
+        expect(response.status).toBe(403);
+    });
+
+    it('lists the entries valid on a day', async () => {
+        const find = jest.spyOn(RecycledPO, 'find').mockReturnValue(query([{ po: '4500123' }]));
+
+        const response = await request(app)
+            .get('/api/recycled-pos?on=2026-04-15')
+            .set('Authorization', authAs('viewer'));
+
+        expect(response.status).toBe(200);
+        const day = new Date('2026-04-15T00:00:00Z');
+        expect(find).toHaveBeenCalledWith({
+            $and: [
+                { $or: [{ effectiveFrom: null }, { effectiveFrom: { $lte: day } }] },
+                { $or: [{ effectiveTo: null }, { effectiveTo: { $gte: day } }] }
+            ]
+        });
+    });
+
+    it('rejects a day that is not a date', async () => {
+        const response = await request(app)
+            .get('/api/recycled-pos?on=soon')
+            .set('Authorization', authAs('viewer'));
+        expect(response.status).toBe(400);
+    });
+
+    it('imports only the POs not yet in the set from that day', async () => {
+        const find = jest.spyOn(RecycledPO, 'find').mockReturnValue(query([{ po: '2' }]));
+        const insert = jest.spyOn(RecycledPO, 'insertMany').mockResolvedValue([]);
+
+        const response = await request(app)
+            .post('/api/recycled-pos/bulk')
+            .set('Authorization', authAs('operator'))
+            .send({ pos: ['1', ' 2 ', '1', '', '3'], poSet: 'Mixed', effectiveFrom: '2026-01-01' });
+
+        expect(response.status).toBe(201);
+        expect(response.body).toEqual({ added: 2, skipped: ['2'] });
+        expect(find.mock.calls[0][0]).toMatchObject({ poSet: 'mixed', po: { $in: ['1', '2', '3'] } });
+        expect(insert.mock.calls[0][0].map(entry => [entry.po, entry.poSet, entry.effectiveFrom.toISOString()])).toEqual([
+            ['1', 'mixed', '2026-01-01T00:00:00.000Z'],
+            ['3', 'mixed', '2026-01-01T00:00:00.000Z']
+        ]);
+    });
+
+    it('ends an entry by setting its last day', async () => {
+        const entry = new RecycledPO({ po: '4500123', effectiveFrom: new Date('2026-01-01'), createdBy: 'admin-user', updatedBy: 'admin-user' });
+        jest.spyOn(RecycledPO, 'findById').mockResolvedValue(entry);
+
+        const response = await request(app)
+            .put(`/api/recycled-pos/${newId()}`)
+            .set('Authorization', authAs('operator'))
+            .send({ effectiveTo: '2026-02-28' });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ effectiveTo: '2026-02-28T00:00:00.000Z', updatedBy: 'operator-user' });
+    });
+});
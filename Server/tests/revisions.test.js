@@ -0,0 +1,123 @@
+const request = require('supertest');
+const { query, authAs, mockUsers, silenceConsole, newId } = require('./helpers');
+const app = require('../server');
+const FCRProject = require('../models/FCRProject');
+const ProjectRevision = require('../models/ProjectRevision');
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('ProjectRevision.record', () => {
+    const projectId = newId();
+    const after = { _id: projectId, name: 'Spring', year: 2026, processedData: [{ id: 'a' }], copiedBoxes: {} };
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('numbers the revision after the latest one', async () => {
+        jest.spyOn(ProjectRevision, 'findOne').mockReturnValue(query({ number: 4 }));
+        const create = jest.spyOn(ProjectRevision, 'create').mockImplementation(async doc => doc);
+
+        const revision = await ProjectRevision.record({ before: after, after, author: 'admin-user', kind: 'update' });
+
+        expect(revision).toMatchObject({ number: 5, kind: 'update', author: 'admin-user', summary: 'No changes' });
+        expect(create).toHaveBeenCalledTimes(1);
+    });
+
+    it('stores a baseline first for projects without revisions', async () => {
+        jest.spyOn(ProjectRevision, 'findOne').mockReturnValue(query(null));
+        const create = jest.spyOn(ProjectRevision, 'create').mockImplementation(async doc => doc);
+
+        await ProjectRevision.record({ before: { ...after, name: 'Draft', createdBy: 'operator-user' }, after, author: 'admin-user', kind: 'update' });
+
+        expect(create.mock.calls.map(([doc]) => [doc.number, doc.kind, doc.name])).toEqual([
+            [1, 'baseline', 'Draft'],
+            [2, 'update', 'Spring']
+        ]);
+    });
+
+    it('takes the next number again when a concurrent save claimed it', async () => {
+        jest.spyOn(ProjectRevision, 'findOne')
+            .mockReturnValueOnce(query({ number: 4 }))
+            .mockReturnValueOnce(query({ number: 5 }));
+        const create = jest.spyOn(ProjectRevision, 'create')
+            .mockRejectedValueOnce(duplicateKey())
+            .mockImplementation(async doc => doc);
+
+        const revision = await ProjectRevision.record({ after, author: 'admin-user', kind: 'create' });
+
+        expect(revision.number).toBe(6);
+        expect(create).toHaveBeenCalledTimes(2);
+    });
+
+    it('gives up after repeated collisions and passes other errors through', async () => {
+        jest.spyOn(ProjectRevision, 'findOne').mockReturnValue(query({ number: 4 }));
+        const create = jest.spyOn(ProjectRevision, 'create').mockRejectedValue(duplicateKey());
+
+        await expect(ProjectRevision.record({ after, kind: 'create' })).rejects.toMatchObject({ code: 11000 });
+        expect(create).toHaveBeenCalledTimes(5);
+
+        create.mockReset().mockRejectedValue(new Error('connection lost'));
+        await expect(ProjectRevision.record({ after, kind: 'create' })).rejects.toThrow('connection lost');
+        expect(create).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('POST /api/projects/:id/revisions/:number/restore', () => {
+    const projectId = newId();
+    const before = { _id: projectId, name: 'Spring', year: 2026, processedData: [{ id: 'a' }, { id: 'b' }], copiedBoxes: { a: true } };
+    const revision = { number: 2, name: 'Spring', year: 2026, processedData: [{ id: 'a' }], copiedBoxes: {} };
+    const restored = { ...before, ...revision, _id: projectId, version: 8 };
+
+    beforeEach(() => {
+        silenceConsole();
+        mockUsers();
+        jest.spyOn(FCRProject, 'refreshStats').mockReturnValue(query(restored));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const restore = (number = 2) => request(app)
+        .post(`/api/projects/${projectId}/revisions/${number}/restore`)
+        .set('Authorization', authAs('admin'));
+
+    it('writes the revision back and records the restore', async () => {
+        jest.spyOn(ProjectRevision, 'findOne').mockReturnValue(query(revision));
+        const update = jest.spyOn(FCRProject, 'findByIdAndUpdate').mockReturnValue(query(before));
+        const record = jest.spyOn(ProjectRevision, 'record').mockResolvedValue({});
+
+        const response = await restore();
+
+        expect(response.status).toBe(200);
+        expect(response.body.version).toBe(8);
+        expect(update.mock.calls[0][1]).toMatchObject({
+            processedData: revision.processedData,
+            copiedBoxes: {},
+            $inc: { version: 1 }
+        });
+        expect(record).toHaveBeenCalledWith(expect.objectContaining({
+            kind: 'restore',
+            author: 'admin-user',
+            summary: 'Restored revision 2 (1 row removed, 1 box unmarked)'
+        }));
+    });
+
+    it('still answers when the revision cannot be recorded', async () => {
+        jest.spyOn(ProjectRevision, 'findOne').mockReturnValue(query(revision));
+        jest.spyOn(FCRProject, 'findByIdAndUpdate').mockReturnValue(query(before));
+        jest.spyOn(ProjectRevision, 'record').mockRejectedValue(duplicateKey());
+
+        const response = await restore();
+
+        expect(response.status).toBe(200);
+        expect(console.error).toHaveBeenCalledWith('Error recording project revision:', expect.any(Error));
+    });
+
+    it('returns 404 for unknown revisions', async () => {
+        jest.spyOn(ProjectRevision, 'findOne').mockReturnValue(query(null));
+        const update = jest.spyOn(FCRProject, 'findByIdAndUpdate');
+
+        const response = await restore(99);
+
+        expect(response.status).toBe(404);
+        expect(update).not.toHaveBeenCalled();
+    });
+});
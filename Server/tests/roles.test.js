@@ -0,0 +1,81 @@
+const request = require('supertest');
+const { query, authAs, mockUsers, silenceConsole, newId } = require('./helpers');
+const app = require('../server');
+const FCRProject = require('../models/FCRProject');
+const ProjectRevision = require('../models/ProjectRevision');
+
+describe('project route roles', () => {
+    const projectId = newId();
+
+    beforeEach(() => {
+        silenceConsole();
+        mockUsers();
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('requires a token', async () => {
+        const response = await request(app).get('/api/projects');
+        expect(response.status).toBe(401);
+    });
+
+    it('rejects tokens that were not signed by the server', async () => {
+        const response = await request(app).get('/api/projects').set('Authorization', 'Bearer not-a-token');
+        expect(response.status).toBe(401);
+    });
+
+    it('lets viewers browse projects', async () => {
+        jest.spyOn(FCRProject, 'find').mockReturnValue(query([{ _id: projectId, name: 'Spring' }]));
+
+        const response = await request(app).get('/api/projects').set('Authorization', authAs('viewer'));
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual([{ _id: projectId, name: 'Spring' }]);
+    });
+
+    it('keeps viewers from creating projects or marking boxes', async () => {
+        const create = await request(app)
+            .post('/api/projects')
+            .set('Authorization', authAs('viewer'))
+            .send({ name: 'Spring', year: 2026, processedData: [{ id: 'box-1' }] });
+        const mark = await request(app)
+            .put(`/api/projects/${projectId}/copy-status`)
+            .set('Authorization', authAs('viewer'))
+            .send({ boxId: 'box-1', isCopied: true });
+
+        expect(create.status).toBe(403);
+        expect(mark.status).toBe(403);
+    });
+
+    it('keeps operators to copy status when updating', async () => {
+        const update = jest.spyOn(FCRProject, 'findOneAndUpdate');
+
+        const response = await request(app)
+            .put(`/api/projects/${projectId}`)
+            .set('Authorization', authAs('operator'))
+            .send({ name: 'Renamed' });
+
+        expect(response.status).toBe(403);
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('only lets admins delete projects', async () => {
+        const remove = jest.spyOn(FCRProject, 'findByIdAndDelete').mockResolvedValue({ _id: projectId });
+        jest.spyOn(ProjectRevision, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+
+        const asOperator = await request(app).delete(`/api/projects/${projectId}`).set('Authorization', authAs('operator'));
+        expect(asOperator.status).toBe(403);
+        expect(remove).not.toHaveBeenCalled();
+
+        const asAdmin = await request(app).delete(`/api/projects/${projectId}`).set('Authorization', authAs('admin'));
+        expect(asAdmin.status).toBe(200);
+        expect(remove).toHaveBeenCalledWith(projectId);
+    });
+
+    it('only lets admins restore revisions', async () => {
+        const response = await request(app)
+            .post(`/api/projects/${projectId}/revisions/1/restore`)
+            .set('Authorization', authAs('operator'));
+        expect(response.status).toBe(403);
+    });
+});
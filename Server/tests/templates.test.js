@@ -0,0 +1,77 @@
+const request = require('supertest');
+const { query, authAs, mockUsers, silenceConsole, newId } = require('./helpers');
+const app = require('../server');
+const FCRTemplate = require('../models/FCRTemplate');
+
+describe('template defaults', () => {
+    const templateId = newId();
+    const template = { _id: templateId, name: 'Standard', body: '{{invoiceNo}}', isDefault: true };
+
+    beforeEach(() => {
+        silenceConsole();
+        mockUsers();
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const update = (body, role = 'admin') => request(app)
+        .put(`/api/templates/${templateId}`)
+        .set('Authorization', authAs(role))
+        .send(body);
+
+    it('refuses to unset the current default', async () => {
+        jest.spyOn(FCRTemplate, 'exists').mockImplementation(async filter => (filter.isDefault ? { _id: templateId } : null));
+        const save = jest.spyOn(FCRTemplate, 'findByIdAndUpdate');
+
+        const response = await update({ isDefault: false });
+
+        expect(response.status).toBe(409);
+        expect(save).not.toHaveBeenCalled();
+    });
+
+    it('lets other templates be saved as not default', async () => {
+        jest.spyOn(FCRTemplate, 'exists').mockResolvedValue(null);
+        jest.spyOn(FCRTemplate, 'findByIdAndUpdate').mockResolvedValue({ ...template, isDefault: false });
+
+        const response = await update({ isDefault: false });
+
+        expect(response.status).toBe(200);
+    });
+
+    it('moves the default when another template takes it', async () => {
+        jest.spyOn(FCRTemplate, 'exists').mockResolvedValue(null);
+        jest.spyOn(FCRTemplate, 'findByIdAndUpdate').mockResolvedValue(template);
+        const clear = jest.spyOn(FCRTemplate, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+        const response = await update({ isDefault: true });
+
+        expect(response.status).toBe(200);
+        expect(clear).toHaveBeenCalledWith(
+            { _id: { $ne: templateId }, isDefault: true },
+            { $set: { isDefault: false } }
+        );
+    });
+
+    it('refuses to delete the default', async () => {
+        const deleteOne = jest.fn();
+        jest.spyOn(FCRTemplate, 'findById').mockResolvedValue({ ...template, deleteOne });
+
+        const response = await request(app)
+            .delete(`/api/templates/${templateId}`)
+            .set('Authorization', authAs('admin'));
+
+        expect(response.status).toBe(409);
+        expect(deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('only lets admins change templates', async () => {
+        const response = await update({ name: 'Mine' }, 'operator');
+        expect(response.status).toBe(403);
+    });
+
+    it('rejects placeholders that are not row fields', async () => {
+        const response = await update({ body: '{{invoiceNo}} {{colour}}' });
+        expect(response.status).toBe(400);
+        expect(response.body.error).toMatch(/\{\{colour\}\}/);
+    });
+});
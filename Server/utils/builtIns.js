@@ -0,0 +1,25 @@
+// -----------------------------------------------------------
+// utils/builtIns.js - Seeding master tables with their built-in entries
+//
+// Several requests (or server instances) can find the same collection empty at once. Each
+// table has a unique key, so the entries of whoever inserts first are kept and the duplicates
+// the others try to add are dropped instead of failing their request.
+
+const DUPLICATE_KEY = 11000;
+
+const insertBuiltIns = async (Model, docs) => {
+    if (await Model.estimatedDocumentCount() > 0) return;
+
+    // The unique index has to exist before the insert for duplicates to be rejected
+    await Model.init();
+    try {
+        await Model.insertMany(docs, { ordered: false });
+    } catch (error) {
+        const failures = error.writeErrors || [error];
+        if (!failures.every(failure => failure.code === DUPLICATE_KEY)) {
+            throw error;
+        }
+    }
+};
+
+module.exports = { insertBuiltIns };
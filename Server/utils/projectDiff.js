@@ -0,0 +1,57 @@
+// -----------------------------------------------------------
+// utils/projectDiff.js - Compare two project states for revision summaries and diffs
+
+// Row fields worth reporting when a box changes
+const ROW_FIELDS = [
+    'description', 'poNumbers', 'goods', 'invoiceNo', 'invoiceDate', 'adCode', 'expSerial',
+    'expYear', 'entryDate', 'lcContact', 'contactDate', 'countryCode', 'countryName', 'hsCode', 'formattedText'
+];
+
+const copiedIds = (copiedBoxes) => Object.keys(copiedBoxes || {}).filter(id => copiedBoxes[id]);
+
+// Structured difference between two { name, year, processedData, copiedBoxes } states
+const diffProjects = (before = {}, after = {}) => {
+    const beforeRows = new Map((before.processedData || []).map(row => [row.id, row]));
+    const afterRows = new Map((after.processedData || []).map(row => [row.id, row]));
+
+    const added = [...afterRows.keys()].filter(id => !beforeRows.has(id));
+    const removed = [...beforeRows.keys()].filter(id => !afterRows.has(id));
+    const changed = [...afterRows.keys()]
+        .filter(id => beforeRows.has(id))
+        .map(id => {
+            const fields = ROW_FIELDS.filter(field => (beforeRows.get(id)[field] ?? '') !== (afterRows.get(id)[field] ?? ''));
+            return { id, invoiceNo: afterRows.get(id).invoiceNo, fields };
+        })
+        .filter(row => row.fields.length > 0);
+
+    const beforeCopied = new Set(copiedIds(before.copiedBoxes));
+    const afterCopied = new Set(copiedIds(after.copiedBoxes));
+
+    return {
+        name: before.name !== after.name ? { from: before.name, to: after.name } : null,
+        year: before.year !== after.year ? { from: before.year, to: after.year } : null,
+        rows: { added, removed, changed },
+        copied: {
+            added: [...afterCopied].filter(id => !beforeCopied.has(id)),
+            removed: [...beforeCopied].filter(id => !afterCopied.has(id))
+        }
+    };
+};
+
+// One-line human summary of a diff, e.g. "3 rows changed, 5 boxes marked copied"
+const summarizeDiff = (diff) => {
+    const parts = [];
+    const plural = (count, word, words = `${word}s`) => `${count} ${count === 1 ? word : words}`;
+
+    if (diff.name) parts.push(`renamed to "${diff.name.to}"`);
+    if (diff.year) parts.push(`year ${diff.year.from} → ${diff.year.to}`);
+    if (diff.rows.added.length) parts.push(`${plural(diff.rows.added.length, 'row')} added`);
+    if (diff.rows.removed.length) parts.push(`${plural(diff.rows.removed.length, 'row')} removed`);
+    if (diff.rows.changed.length) parts.push(`${plural(diff.rows.changed.length, 'row')} changed`);
+    if (diff.copied.added.length) parts.push(`${plural(diff.copied.added.length, 'box', 'boxes')} marked copied`);
+    if (diff.copied.removed.length) parts.push(`${plural(diff.copied.removed.length, 'box', 'boxes')} unmarked`);
+
+    return parts.length > 0 ? parts.join(', ') : 'No changes';
+};
+
+module.exports = { diffProjects, summarizeDiff };
@@ -0,0 +1,105 @@
+// -----------------------------------------------------------
+// utils/projectEvents.js - Per-project Server-Sent Events hub (live copy status and presence)
+//
+// Subscribers are kept in this process's memory. Changes written through another server
+// instance (serverless or multi-instance deployments) are picked up by polling the project's
+// `version` while anyone here is subscribed, and sent as `updated` so clients refetch.
+// Presence only lists the viewers connected to this instance.
+
+const FCRProject = require('../models/FCRProject');
+
+// projectId -> { clients: Set of { res, user }, version, poller }
+const channels = new Map();
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_MS = 25000;
+const VERSION_POLL_MS = 5000;
+
+const send = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Everyone with the project open; a user with several tabs is listed once
+const viewersOf = (projectId) => {
+    const viewers = new Map();
+    for (const { user } of channels.get(projectId)?.clients || []) {
+        viewers.set(user.username, user);
+    }
+    return [...viewers.values()];
+};
+
+const publish = (projectId, event, data) => {
+    const channel = channels.get(String(projectId));
+    if (!channel) return;
+
+    // Our own writes must not come back from the version poll as someone else's
+    if (typeof data?.version === 'number' && data.version > channel.version) {
+        channel.version = data.version;
+    }
+    for (const { res } of channel.clients) {
+        send(res, event, data);
+    }
+};
+
+const publishPresence = (projectId) => {
+    publish(projectId, 'presence', { viewers: viewersOf(projectId) });
+};
+
+const pollVersion = async (projectId) => {
+    const channel = channels.get(projectId);
+    if (!channel) return;
+
+    try {
+        const project = await FCRProject.findById(projectId).select('version').lean();
+        const version = project?.version || 0;
+        if (channels.get(projectId) === channel && version > channel.version) {
+            publish(projectId, 'updated', { user: null, version });
+        }
+    } catch (error) {
+        console.error('Error polling project version:', error);
+    }
+};
+
+// Turn the response into an event stream for the project; cleans up when the client disconnects.
+// version: the project's version when the stream opened.
+const subscribe = (projectId, user, req, res, version = 0) => {
+    const id = String(projectId);
+    const client = {
+        res,
+        user: { username: user.username, name: user.name || user.username, role: user.role }
+    };
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    if (!channels.has(id)) {
+        channels.set(id, {
+            clients: new Set(),
+            version,
+            poller: setInterval(() => pollVersion(id), VERSION_POLL_MS)
+        });
+    }
+    channels.get(id).clients.add(client);
+    publishPresence(id);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const channel = channels.get(id);
+        channel.clients.delete(client);
+        if (channel.clients.size === 0) {
+            clearInterval(channel.poller);
+            channels.delete(id);
+        } else {
+            publishPresence(id);
+        }
+    });
+};
+
+module.exports = { subscribe, publish };